@@ -62,6 +62,247 @@ class AssertFail extends Error {
   }
 } // AssertFail
 
+/**
+ * @class
+ * @classdesc Used by RunTests for a test that took too long.
+ * @param {number} pLimit - the time limit, in milliseconds
+ * @param {string} pKind - 'test' or 'run'
+ */
+class TestTimeout extends Error {
+  constructor(pLimit, pKind = 'test') {
+    super((pKind == 'run' ? 'The run' : 'The test') + ' took longer than ' + pLimit + ' ms.');
+    this.name = 'TestTimeout';
+    this.limit = pLimit;
+    this.kind = pKind;
+  }
+} // TestTimeout
+
+/**
+ * @function Return true if pVal is a Promise, or has a then() method.
+ */
+function fIsThenable(pVal) {
+  return pVal != null && (typeof pVal === 'object' || typeof pVal === 'function') && typeof pVal.then === 'function';
+}
+
+/**
+ * @function Return a random number function, like Math.random, that always gives
+ * the same numbers for the same pSeed (mulberry32).
+ * @param {number} pSeed - an integer
+ * @returns {function} returns a number >= 0 and < 1
+ */
+function fSeededRandom(pSeed) {
+  let tState = pSeed >>> 0;
+  return function () {
+    tState = (tState + 0x6D2B79F5) >>> 0;
+    let t = tState;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * @function Return a shuffled copy of pList (Fisher-Yates).
+ * @param {function} pRandom - e.g. fSeededRandom(pSeed)
+ */
+function fShuffle(pList, pRandom = Math.random) {
+  let tList = pList.slice();
+  for (let i = tList.length - 1; i > 0; --i) {
+    let j = Math.floor(pRandom() * (i + 1));
+    [tList[i], tList[j]] = [tList[j], tList[i]];
+  }
+  return tList;
+}
+
+/**
+ * @function Deep compare pActual with pExpected.
+ * @param {obj} pArg = {strict: true} - see GsUnit.assertObjEqual
+ * @returns {array} list of differences. Empty if equal.
+ * @example fObjDiff({a: [1, 2]}, {a: [1, 3], b: 0}) returns
+ *   ['a[1]: expected 3 got 2', 'missing key: b']
+ */
+function fObjDiff(pActual, pExpected, pArg = {}) {
+  let tStrict = pArg.strict !== undefined ? pArg.strict : true;
+  let tDiffs = [];
+  let tSeen = new Map();   // actual obj -> expected obj, for cyclic refs
+  _diff(pActual, pExpected, '');
+  return tDiffs;
+
+  // -----
+  function _diff(pA, pE, pPath) {
+    if (_isLeaf(pA) || _isLeaf(pE)) {
+      if (!_leafEqual(pA, pE))
+        tDiffs.push(_where(pPath) + ': expected ' + _show(pE) + ' got ' + _show(pA));
+      return;
+    }
+    if (pA === pE)
+      return;
+    if (tSeen.has(pA)) {
+      if (tSeen.get(pA) !== pE)
+        tDiffs.push(_where(pPath) + ': cyclic reference does not match');
+      return;
+    }
+    let tTypeA = Object.prototype.toString.call(pA);
+    let tTypeE = Object.prototype.toString.call(pE);
+    if (tTypeA != tTypeE || (tStrict && Object.getPrototypeOf(pA) !== Object.getPrototypeOf(pE))) {
+      tDiffs.push(_where(pPath) + ': expected type ' + _gsunitTypeName(pE) + ' got ' + _gsunitTypeName(pA));
+      return;
+    }
+    tSeen.set(pA, pE);
+    if (pA instanceof Date || pA instanceof Number || pA instanceof String || pA instanceof Boolean) {
+      let tA = pA instanceof Date ? pA.getTime() : pA.valueOf();
+      let tE = pE instanceof Date ? pE.getTime() : pE.valueOf();
+      if (!_leafEqual(tA, tE))
+        tDiffs.push(_where(pPath) + ': expected ' + _show(pE) + ' got ' + _show(pA));
+    } else if (pA instanceof RegExp) {
+      if (String(pA) != String(pE))
+        tDiffs.push(_where(pPath) + ': expected ' + _show(pE) + ' got ' + _show(pA));
+    } else if (Array.isArray(pA) || ArrayBuffer.isView(pA)) {
+      let tMax = Math.max(pA.length, pE.length);
+      for (let i = 0; i < tMax; ++i)
+        if (i >= pA.length)
+          tDiffs.push('missing index: ' + pPath + '[' + i + ']');
+        else if (i >= pE.length)
+          tDiffs.push('unexpected index: ' + pPath + '[' + i + ']');
+        else
+          _diff(pA[i], pE[i], pPath + '[' + i + ']');
+    } else if (pA instanceof Map) {
+      for (let [tKey, tVal] of pA)
+        if (!pE.has(tKey))
+          tDiffs.push('unexpected key: ' + pPath + '.get(' + _show(tKey) + ')');
+        else
+          _diff(tVal, pE.get(tKey), pPath + '.get(' + _show(tKey) + ')');
+      for (let tKey of pE.keys())
+        if (!pA.has(tKey))
+          tDiffs.push('missing key: ' + pPath + '.get(' + _show(tKey) + ')');
+    } else if (pA instanceof Set) {
+      let tExtra = [...pE].filter(pVal => !pA.has(pVal));
+      for (let tVal of pA) {
+        if (pE.has(tVal))
+          continue;
+        // Look for a deep equal value that has not been matched
+        let i = tExtra.findIndex(pVal => fObjDiff(tVal, pVal, pArg).length == 0);
+        if (i == -1)
+          tDiffs.push('unexpected value: ' + _where(pPath) + ' has ' + _show(tVal));
+        else
+          tExtra.splice(i, 1);
+      }
+      for (let tVal of tExtra)
+        tDiffs.push('missing value: ' + _where(pPath) + ' has ' + _show(tVal));
+    } else {
+      for (let tKey of Object.keys(pA))
+        if (!Object.prototype.hasOwnProperty.call(pE, tKey))
+          tDiffs.push('unexpected key: ' + _key(pPath, tKey));
+        else
+          _diff(pA[tKey], pE[tKey], _key(pPath, tKey));
+      for (let tKey of Object.keys(pE))
+        if (!Object.prototype.hasOwnProperty.call(pA, tKey))
+          tDiffs.push('missing key: ' + _key(pPath, tKey));
+    }
+    tSeen.delete(pA);
+  }
+  // -----
+  function _isLeaf(pVal) {
+    return pVal === null || (typeof pVal !== 'object');
+  }
+  // -----
+  function _leafEqual(pA, pE) {
+    if (pA !== pA && pE !== pE)
+      return true;   // NaN
+    return tStrict ? pA === pE : pA == pE;
+  }
+  // -----
+  function _key(pPath, pKey) {
+    if (/^[A-Za-z_$][\w$]*$/.test(pKey))
+      return pPath == '' ? pKey : pPath + '.' + pKey;
+    return pPath + '[' + JSON.stringify(pKey) + ']';
+  }
+  // -----
+  function _where(pPath) {
+    return pPath == '' ? '(top)' : pPath;
+  }
+  // -----
+  function _show(pVal) {
+    if (typeof pVal === 'string')
+      return JSON.stringify(pVal);
+    if (pVal instanceof Date)
+      return isNaN(pVal.getTime()) ? 'Invalid Date' : pVal.toISOString();
+    if (typeof pVal === 'bigint')
+      return pVal + 'n';
+    if (pVal !== null && typeof pVal === 'object' && !(pVal instanceof RegExp))
+      return _gsunitTypeName(pVal);
+    return String(pVal);
+  }
+} // fObjDiff
+
+/**
+ * @function Compare two numbers, with a tolerance.
+ * @param {obj} pTolerance - a number (the absolute tolerance), or {abs: n, rel: n, ulps: n}.
+ *   The numbers are close if they are within any one of the given tolerances.
+ *   abs  - the difference can be up to abs
+ *   rel  - the difference can be up to rel times the larger of the two numbers (sign ignored)
+ *   ulps - the numbers can be up to ulps floating point steps apart. See fUlpDistance()
+ *   Default: {rel: 1e-9}
+ * @returns {string} '' if the numbers are close. Else why they are not.
+ * @example fNumDiff(0.1 + 0.2, 0.3, {ulps: 4}) returns ''
+ * @example fNumDiff(1.5, 1, 0.1) returns
+ *   'Expected 1, got 1.5. The difference 0.5 is more than the tolerance (abs 0.1).'
+ */
+function fNumDiff(pActual, pExpected, pTolerance = { rel: 1e-9 }) {
+  let tTol = typeof pTolerance === 'number' ? { abs: pTolerance } : pTolerance;
+  let tKeys = tTol != null && typeof tTol === 'object' ? Object.keys(tTol) : [];
+  if (tKeys.length == 0 || tKeys.some(pKey => !['abs', 'rel', 'ulps'].includes(pKey) ||
+    typeof tTol[pKey] !== 'number' || !(tTol[pKey] >= 0)))
+    return 'The tolerance is not valid: ' + _gsunitShowNum(pTolerance);
+  if (typeof pActual !== 'number')
+    return 'Actual is not a number: ' + _gsunitShowNum(pActual);
+  if (typeof pExpected !== 'number')
+    return 'Expected is not a number: ' + _gsunitShowNum(pExpected);
+  if (pActual === pExpected)
+    return '';
+  let tExpect = 'Expected ' + pExpected + ', got ' + pActual + '.';
+  if (Number.isNaN(pActual) || Number.isNaN(pExpected))
+    return tExpect + ' NaN is not close to any number.';
+  if (!Number.isFinite(pActual) || !Number.isFinite(pExpected))
+    return tExpect + ' Infinity is only close to the same Infinity.';
+  let tDiff = Math.abs(pActual - pExpected);
+  let tRel = tTol.rel * Math.max(Math.abs(pActual), Math.abs(pExpected));
+  let tUlps = fUlpDistance(pActual, pExpected);
+  if (tDiff <= tTol.abs || tDiff <= tRel || tUlps <= tTol.ulps)
+    return '';
+  let tLimits = [];
+  if (tTol.abs !== undefined)
+    tLimits.push('abs ' + tTol.abs);
+  if (tTol.rel !== undefined)
+    tLimits.push('rel ' + tTol.rel + ' = ' + tRel);
+  if (tTol.ulps !== undefined)
+    tLimits.push(tTol.ulps + ' ulps');
+  return tExpect + ' The difference ' + tDiff + (tTol.ulps !== undefined ? ' (' + tUlps + ' ulps)' : '') +
+    ' is more than the tolerance (' + tLimits.join(', ') + ').';
+}
+
+/**
+ * @function The number of floating point values from pA to pB. 0 and -0 are 0 apart.
+ * @returns {number} NaN if either arg is NaN.
+ * @example fUlpDistance(0.1 + 0.2, 0.3) returns 1
+ */
+function fUlpDistance(pA, pB) {
+  if (Number.isNaN(pA) || Number.isNaN(pB))
+    return NaN;
+  let tBits = new BigInt64Array(new Float64Array([pA, pB]).buffer);
+  // Map the bits to integers in the same order as the numbers
+  let tOrder = Array.from(tBits, pBits => pBits < 0n ? -0x8000000000000000n - pBits : pBits);
+  let tDist = tOrder[0] - tOrder[1];
+  return Number(tDist < 0n ? -tDist : tDist);
+}
+
+// -----
+function _gsunitShowNum(pVal) {
+  if (typeof pVal === 'number')
+    return String(pVal);
+  return typeof pVal === 'string' ? '"' + pVal + '"' : fShowValue(pVal);
+}
+
 //======================================================================
 /**
  * @class
@@ -76,6 +317,67 @@ class GsUnit {
     this.version = '$Revision: 1.25 $';
     this.showDefault = true;  // Show default messages with user messages.
     this.numAsserts = 0;  // Count the number of assert tests run.
+    this.softFails = [];  // AssertFails saved in soft mode. See soft()
+    this.codeSuffix = ''; // Added to the pCode of a failed assert. RunTests sets this for addTestEach()
+    this._soft = 0;       // > 0 when in soft mode
+    this._depth = 0;      // > 0 when in an assert method
+  }
+
+  /** ---------------------
+   * @method Run pFun in soft mode. In soft mode, an assert that fails saves its AssertFail in
+   * this.softFails, instead of throwing it. So all of the failed asserts can be seen.
+   * RunTests reports the test as one Fail, listing all of the saved AssertFails.
+   * Also see the RunTests addTest() soft arg.
+   * @param {function} pFun - if it returns a Promise, soft mode ends when it is done.
+   * @returns pFun's return value
+   * @example pUnit.soft(() => { for (let i in tRow) pUnit.assertEqual('Col ' + i, tRow[i], tExpect[i], 'row-' + i); });
+   */
+  soft(pFun) {
+    ++this._soft;
+    let tRet;
+    try {
+      tRet = pFun();
+    } finally {
+      if (!fIsThenable(tRet))
+        --this._soft;
+    }
+    if (fIsThenable(tRet))
+      return Promise.resolve(tRet).finally(() => --this._soft);
+    return tRet;
+  }
+
+  /** ---------------------
+   * @method Return this.softFails, and clear it.
+   * @returns {array} list of AssertFail
+   */
+  takeSoftFails() {
+    let tFails = this.softFails;
+    this.softFails = [];
+    return tFails;
+  }
+
+  /** ---------------------
+   * @private
+   * @method Save pE if it is an AssertFail and soft mode is on. Otherwise throw it.
+   */
+  _softCatch(pE) {
+    if (this._soft > 0 && pE != null && pE.name == 'AssertFail') {
+      this.softFails.push(pE);
+      return undefined;
+    }
+    throw pE;
+  }
+
+  /** ---------------------
+   * @method Start a fluent assert. The GsUnitExpect methods call the assert methods,
+   * so they are counted, and fail, the same way.
+   * @param {any} pActual
+   * @returns {GsUnitExpect}
+   * @example pUnit.expect(tRow.length).withMessage('Row size').withCode('rs1').toBe(3);
+   * @example pUnit.expect(tNames).not.toContain('');
+   */
+  expect(pActual) {
+    return new GsUnitExpect(this, pActual);
   }
 
   /** ---------------------
@@ -152,17 +454,30 @@ class GsUnit {
   }
 
   assertNaN(pMsg, pActual, pCode = '') {
-    // Alt: assertTrue('Must be null', (pActual != null), 1)
+    // NaN != NaN, so Number.isNaN is needed
     ++this.numAsserts;
-    if (pActual != NaN)
-      throw new AssertFail(this._default(pMsg, 'Expected actual to not be a number.'), pActual, true, 'NaN', pCode);
+    if (!Number.isNaN(pActual))
+      throw new AssertFail(this._default(pMsg, 'Expected actual to be NaN, got ' + _gsunitShowNum(pActual) + '.'), pActual, true, 'NaN', pCode);
   }
 
   assertNotNaN(pMsg, pActual, pCode = '') {
-    // Alt: assertTrue('Must be null', (pActual != null), 1)
     ++this.numAsserts;
-    if (pActual == NaN)
-      throw new AssertFail(this._default(pMsg, 'Expected actual to be a number.'), pActual, true, 'NotNaN', pCode);
+    if (Number.isNaN(pActual))
+      throw new AssertFail(this._default(pMsg, 'Expected actual to not be NaN.'), pActual, true, 'NotNaN', pCode);
+  }
+
+  assertFinite(pMsg, pActual, pCode = '') {
+    // A number, and not NaN or Infinity. '12' is not a number.
+    ++this.numAsserts;
+    if (!Number.isFinite(pActual))
+      throw new AssertFail(this._default(pMsg, 'Expected a finite number, got ' + _gsunitShowNum(pActual) + '.'), pActual, true, 'Finite', pCode);
+  }
+
+  assertInfinite(pMsg, pActual, pCode = '') {
+    // Infinity or -Infinity
+    ++this.numAsserts;
+    if (pActual !== Infinity && pActual !== -Infinity)
+      throw new AssertFail(this._default(pMsg, 'Expected Infinity or -Infinity, got ' + _gsunitShowNum(pActual) + '.'), pActual, true, 'Infinite', pCode);
   }
 
   assertEqual(pMsg, pActual, pExpected, pCode = '') {
@@ -183,18 +498,98 @@ class GsUnit {
       throw new AssertFail(this._default(pMsg, 'Expected "' + pExpected + '" to exactly equal "' + pActual + '".'), pActual, pExpected, 'TypeEqual', pCode);
   }
 
+  assertNotTypeEqual(pMsg, pActual, pExpected, pCode = '') {
+    ++this.numAsserts;
+    if (pActual === pExpected)
+      throw new AssertFail(this._default(pMsg, 'Expected "' + pActual + '" to not exactly equal expected value.'), pActual, pExpected, 'NotTypeEqual', pCode);
+  }
+
   assertSameType(pMsg, pActual, pExpected, pCode = '') {
     ++this.numAsserts;
     if (typeof (pActual) != typeof (pExpected))
       throw new AssertFail(this._default(pMsg, 'Expected typeof "' + pExpected + '" to match type of "' + pActual + '".'), pActual, pExpected, 'SameType', pCode);
   }
 
+  /**
+   * Compare two numbers, with a tolerance. See fNumDiff()
+   * @param {obj} pTolerance - a number (the absolute tolerance), or {abs: n, rel: n, ulps: n}
+   * @example pUnit.assertRoughlyEqual('Total', tTotal, 10.3, 0.005, 'tot1');
+   * @example pUnit.assertRoughlyEqual('Rate', tRate, 0.07, {rel: 1e-12, ulps: 4}, 'tot2');
+   */
   assertRoughlyEqual(pMsg, pActual, pExpected, pTolerance, pCode = '') {
     ++this.numAsserts;
-    if (pActual.isNaN || pExpected.isNaN || pTolerance.isNaN)
-      throw new AssertFail(this._default(pMsg, 'One of the aguments is NaN.'), pActual, pExpected, 'RoughlyEqual', pCode);
-    if (Math.abs(pActual - pExpected) > pTolerance)
-      throw new AssertFail(this._default(pMsg, 'Out of tolerance.'), pActual, pExpected, 'RoughlyEqual', pCode);
+    let tWhy = fNumDiff(pActual, pExpected, pTolerance);
+    if (tWhy !== '')
+      throw new AssertFail(this._default(pMsg, tWhy), pActual, pExpected, 'RoughlyEqual', pCode);
+  }
+
+  /**
+   * Compare the numbers in pActual with pExpected, one by one, with a tolerance.
+   * Every number that is not close is listed. See fNumDiff()
+   * @param {array} pActual - a list of numbers, a 2-D array (e.g. from getValues()), or a Range.
+   *   For a Range, the cells are listed by their A1 notation.
+   * @param {array} pExpected - the same size as pActual, or a number to compare with every value
+   * @param {obj} pTolerance - a number (the absolute tolerance), or {abs: n, rel: n, ulps: n}
+   * @example pUnit.assertArrayRoughlyEqual('Totals', tSheet.getRange('D2:E3'), [[1.1, 2], [3, 4.25]], 0.005, 'tot3');
+   *   Fail message lines look like: E3: Expected 4.25, got 4.3. The difference 0.05 ...
+   */
+  assertArrayRoughlyEqual(pMsg, pActual, pExpected, pTolerance, pCode = '') {
+    ++this.numAsserts;
+    let tRange = pActual != null && typeof pActual.getValues === 'function' ? pActual : null;
+    let tActual = tRange != null ? tRange.getValues() : pActual;
+    if (!Array.isArray(tActual))
+      throw new AssertFail(this._default(pMsg, 'Actual is not an array or a Range.'), pActual, pExpected, 'ArrayRoughlyEqual', pCode);
+    let tDiffs = [];
+    let tCount = 0;
+    let tNotClose = 0;
+    _compare(tActual, pExpected, []);
+    if (tDiffs.length != 0) {
+      let tWhy = [];
+      if (tDiffs.length > tNotClose)
+        tWhy.push('The sizes do not match.');
+      if (tNotClose > 0)
+        tWhy.push(tNotClose + ' of ' + tCount + (tCount == 1 ? ' value is' : ' values are') + ' not close.');
+      let tE = new AssertFail(this._default(pMsg, tWhy.join(' ')) + '\n' + tDiffs.join('\n'),
+        tActual, pExpected, 'ArrayRoughlyEqual', pCode);
+      tE.diffs = tDiffs;
+      throw tE;
+    }
+
+    // -----
+    function _compare(pA, pE, pPath) {
+      if (Array.isArray(pA) && (Array.isArray(pE) || !_gsunitIsObject(pE))) {
+        if (Array.isArray(pE) && pE.length != pA.length) {
+          tDiffs.push(_where(pPath) + 'Expected ' + _items(pE.length) + ', got ' + pA.length + '.');
+          return;
+        }
+        pA.forEach((pVal, i) => _compare(pVal, Array.isArray(pE) ? pE[i] : pE, pPath.concat(i)));
+        return;
+      }
+      if (Array.isArray(pE)) {
+        tDiffs.push(_where(pPath) + 'Expected ' + _items(pE.length) + ', got ' + _gsunitShowNum(pA) + '.');
+        return;
+      }
+      ++tCount;
+      let tWhy = fNumDiff(pA, pE, pTolerance);
+      if (tWhy !== '') {
+        ++tNotClose;
+        tDiffs.push(_where(pPath) + tWhy);
+      }
+    }
+
+    // -----
+    function _items(pNum) {
+      return pNum + (pNum == 1 ? ' item' : ' items');
+    }
+
+    // -----
+    function _where(pPath) {
+      if (pPath.length == 0)
+        return '';
+      if (tRange != null && pPath.length == 2)
+        return fColumnLetter(tRange.getColumn() + pPath[1]) + (tRange.getRow() + pPath[0]) + ': ';
+      return pPath.map(i => '[' + i + ']').join('') + ': ';
+    }
   }
 
   assertArrayEqual(pMsg, pActual, pExpected, pCode = '') {
@@ -214,20 +609,37 @@ class GsUnit {
     ++this.numAsserts;
     let tKey;
     for (tKey in pActual)
-      if ((pExpected[tKey] == undefined) || (pActual[tKey] != pExpected[tKey]))
+      if (!(tKey in pExpected) || (pActual[tKey] != pExpected[tKey]))
         throw new AssertFail(this._default(pMsg, 'Actual key is not found in expected hash or the values are not equal.'), pActual, pExpected, 'HashEqual', pCode);
     for (tKey in pExpected)
-      if (pActual[tKey] == undefined)
+      if (!(tKey in pActual))
         throw new AssertFail(this._default(pMsg, 'Expected key is not found in actual hash.'), pActual, pExpected, 'HashEqual', pCode);
   }
 
-  /* TBD
-    assertObjEqual(pMsg, pActual, pExpected, pOperator, pCode = '') {
-      ++this.numAsserts;
-      if (pActual !== pExpected)
-        throw new AssertFail(pMsg, pActual, pExpected, 'ObjEqual', pCode);
+  /**
+   * Deep compare of objects, arrays, Dates, Maps, Sets, RegExps, typed arrays and cyclic objects.
+   * Every difference is listed in the message, one path per line.
+   * @param {obj} pArg = {strict: true}
+   *   strict - if true the leaf values are compared with ===, and the object classes must match.
+   *            if false the leaf values are compared with ==.
+   * @example pUnit.assertObjEqual('Check rows', tRows, [{name: 'a'}], 'tr4', {strict: false});
+   *   Fail message lines look like: rows[3].name: expected "a" got "b"
+   */
+  assertObjEqual(pMsg, pActual, pExpected, pCode = '', pArg = {}) {
+    ++this.numAsserts;
+    let tDiffs = fObjDiff(pActual, pExpected, pArg);
+    if (tDiffs.length != 0) {
+      let tE = new AssertFail(this._default(pMsg, 'Objects are not equal.') + '\n' + tDiffs.join('\n'), pActual, pExpected, 'ObjEqual', pCode);
+      tE.diffs = tDiffs;
+      throw tE;
     }
-  */
+  }
+
+  assertNotObjEqual(pMsg, pActual, pExpected, pCode = '', pArg = {}) {
+    ++this.numAsserts;
+    if (fObjDiff(pActual, pExpected, pArg).length == 0)
+      throw new AssertFail(this._default(pMsg, 'Expected the objects to not be equal.'), pActual, pExpected, 'NotObjEqual', pCode);
+  }
 
   assertArrayContains(pMsg, pActual, pValue, pCode = '') {
     ++this.numAsserts;
@@ -240,6 +652,14 @@ class GsUnit {
     throw new AssertFail(this._default(pMsg, 'Array does not contain expected value: ' + pValue), pActual, pValue, 'ArrayContains', pCode);
   }
 
+  assertArrayNotContains(pMsg, pActual, pValue, pCode = '') {
+    ++this.numAsserts;
+    if (!Array.isArray(pActual))
+      throw new AssertFail(this._default(pMsg, 'Actual is not an array.'), pActual, pValue, 'ArrayNotContains', pCode);
+    if (pActual.some(pItem => pItem == pValue))
+      throw new AssertFail(this._default(pMsg, 'Array contains the value: ' + pValue), pActual, pValue, 'ArrayNotContains', pCode);
+  }
+
   assertStrContains(pMsg, pActual, pExpected, pCode = '') {
     // Alt: assertTrue('String includes', (! actual.includes('str')), 1)
     // Alt: assertTrue('String includes', (actual.indexOf('str') != -1), 1)
@@ -258,425 +678,6685 @@ class GsUnit {
       throw new AssertFail(this._default(pMsg, 'Expected string was found: "' + pExpected + '"'), pActual, pExpected, 'StrNotContains', pCode);
   }
 
-  assertThrow(pMsg, pActual, pCode = '') {
-    /**
-     * @example let e = pUnit.assertThrow('Expect a throw.', fUnction.bind(null,[3,4]), 'uu2i-4');
-     * 
-     * @example for passing a class method (with no params):
-     *    In the class constructor() put:
-     *      this.addTestFolder = this.addTestFolder.bind(this);
-     *    In test function:
-     *      let e = pUnit.assertThrow('Expect bad parent error', tTop.addTestFolder, 'cfff-1');
-     * Source for this, see:
-     * https://stackoverflow.com/questions/29822773/passing-class-method-as-parameter-in-typescript/39366724
-     */
+  /**
+   * Call pActual, and pass if it throws. The thrown error can also be checked with pArg.
+   * All of the pArg properties are optional:
+   *   type - an error class, e.g. TypeError. The error must be an instance of it.
+   *   name - the error's name, e.g. 'TypeError'
+   *   message - the exact message, or a RegExp that the message must match
+   *   operator, code - the error must be an AssertFail, with this operator or code
+   * @param {obj} pArg = {type: Error, name: '', message: '' or /re/, operator: '', code: ''}
+   * @returns {Error} the thrown error
+   * @example let e = pUnit.assertThrow('Expect a throw.', fUnction.bind(null,[3,4]), 'uu2i-4');
+   * @example pUnit.assertThrow('Bad id', () => getRow(-1), 'uu2i-5', {type: RangeError, message: /row -1/});
+   * @example pUnit.assertThrow('Inner assert', () => checkRow(tRow), 'uu2i-6', {operator: 'Equal', code: 'cr3'});
+   *
+   * @example for passing a class method (with no params):
+   *    In the class constructor() put:
+   *      this.addTestFolder = this.addTestFolder.bind(this);
+   *    In test function:
+   *      let e = pUnit.assertThrow('Expect bad parent error', tTop.addTestFolder, 'cfff-1');
+   * Source for this, see:
+   * https://stackoverflow.com/questions/29822773/passing-class-method-as-parameter-in-typescript/39366724
+   */
+  assertThrow(pMsg, pActual, pCode = '', pArg = {}) {
     ++this.numAsserts;
+    if (typeof pActual !== 'function')
+      throw new AssertFail(this._default(pMsg, 'Actual is not a function.'), pActual, true, 'Throw', pCode);
+    let tRet;
     try {
-      pActual();
-      throw new AssertFail(this._default(pMsg, 'Expected a throw.'), 'pActual', true, 'Throw', pCode);
-    } catch(e) {
+      tRet = pActual();
+    } catch (e) {
+      this._checkThrown(pMsg, e, pArg, 'Throw', pCode);
       return e;
     }
+    throw new AssertFail(this._default(pMsg, 'Expected a throw.'), tRet, true, 'Throw', pCode);
   }
-} // GsUnit
-
-// ======================================================================
-/**
- * @param {obj} pArg = {name: 'SheetName', debug: true, gsunit: gsunitobj}
- * @example let tRun = new RunTests({gsunit: tUnit, name: 'UnitTests'});
- * @example tRun.createSheet('SmokeTests');
- * @example let tSheetName = tRun.name;
- */
-class RunTests {
-  constructor(pArg = {}) {
-    // Private
-    this._testList = [];
-
-    // Public
-    this.name = fDefaultArg(pArg.name, 'UnitTests');
-    this.debug = fDefaultArg(pArg.debug, false);
-    this.gsunit = fDefaultArg(pArg.gsunit, null);
-    this.version = '$Revision: 1.25 $';
-
-    this.ss = SpreadsheetApp.getActiveSpreadsheet();
-    if (this.ss == null)
-      throw Error('No active ss');
-    this.ui = SpreadsheetApp.getUi();
-    if (this.ui == null)
-      throw new Error('No active ui)');
-    this.st = this.ss.getActiveSheet();
-    this.selectSheet('constructor');
-    if (this.st == null)
-      throw new Error('No active st');
-
-    this.err = 0;
-    this.fail = 0;
-    this.pass = 0;
-    this.email = 'example+support@example.com';
-    this.showInConsole = true; // Show each pass/fail in console. Also summary
-    this.showInSheet = false;  // Show each pass/fail in sheet. Also summary
-    this.showPass = false;     // Show pass results if true
-    this.showToast = true;     // Show summary in toast
-    this.showResults = true;     // Show results at end
-    this.errColor = '#bbbbff';   // light-blue
-    this.failColor = '#ffbbbb';  // light-red
-    this.passColor = '#bbffbb';  // light-green
-    this.titleColor = '#dddddd'; // grey
-    this.markColor = '#ffff00';  // yellow
-    this.resultWidth = 700;      // pixels
-  } // RunTests
 
-  /** ---------------------
-   * @method Output pMsg to console if this.debug is true
-   * @param {string} pMsg
+  /**
+   * Call pActual, and pass if it does not throw.
+   * @returns pActual's return value
+   * @example let tRows = pUnit.assertNotThrow('Read rows', () => readRows(tSheet), 'uu2i-7');
    */
-  debugMsg(pMsg) {
-    if (this.debug)
-      console.info('Debug: ' + pMsg);
+  assertNotThrow(pMsg, pActual, pCode = '') {
+    ++this.numAsserts;
+    if (typeof pActual !== 'function')
+      throw new AssertFail(this._default(pMsg, 'Actual is not a function.'), pActual, false, 'NotThrow', pCode);
+    try {
+      return pActual();
+    } catch (e) {
+      throw new AssertFail(this._default(pMsg, 'Expected no throw, got ' + _gsunitErrorText(e)), e, false, 'NotThrow', pCode);
+    }
   }
 
-  /** ---------------------
-   * @method Create this.name sheet if it is not defined. Otherwise activate the sheet.
-   * @param {string} pCaller - what function call this. Used for debugging.
-   * @example let st = tRun.createSheet();
+  /**
+   * Async version of assertThrow. pActual is a function that returns a Promise (or a Promise).
+   * @param {obj} pArg - optional. Check the error, see assertThrow()
+   * @returns {Promise} resolves to the rejection's error. It is rejected with an
+   *   AssertFail if pActual resolves. A synchronous throw from pActual is also OK.
+   * @example let e = await pUnit.assertThrowAsync('Expect a reject.', () => fetchRetry(tBadUrl), 'uu2i-5');
    */
-  selectSheet(pCaller = 'na') {
+  assertThrowAsync(pMsg, pActual, pCode = '', pArg = {}) {
+    ++this.numAsserts;
+    let tPromise;
     try {
-      //this.debugMsg('In selectSheet: ' + pCaller + ' this.name=' + this.name);
-      this.st = this.ss.getSheetByName(this.name);
-      if (this.st == null || this.st == {}) {
-        this.debugMsg('insertSheet');
-        this.st = this.ss.insertSheet(this.name);
-      }
-      if (this.st == null)
-        throw new Error('Internal st is null');
-      this.st.activate();
-      /*if (this.debug) {
-        let tSheets = this.ss.getSheets();
-        for (let tSheet of tSheets) {
-          console.info('Sheet: ', tSheet.getName());
-        }
-      }*/
+      tPromise = typeof pActual === 'function' ? pActual() : pActual;
     } catch (e) {
-      console.error(e.stack);
-      throw e;
+      return Promise.resolve(e).then(pE => this._thrownAsync(pMsg, pE, pArg, pCode));
     }
-  } // selectSheet
+    return Promise.resolve(tPromise).then(
+      pValue => { throw new AssertFail(this._default(pMsg, 'Expected a rejection.'), pValue, true, 'ThrowAsync', pCode); },
+      pE => this._thrownAsync(pMsg, pE, pArg, pCode));
+  }
 
-  /** ---------------------
-   * @method Output pMsg to the "toast" display. toast is usually called directly.
-   * @param {string} pMsg - limited to 135 characters
-   * @example tRun.toast('Created: ' + tRun.name);
-   */
-  toast(pMsg, pTitle = '', pTime = -1) {
-    this.ss.toast(pMsg, pTitle, pTime);
+  _thrownAsync(pMsg, pE, pArg, pCode) {
+    this._checkThrown(pMsg, pE, pArg, 'ThrowAsync', pCode);
+    return pE;
   }
 
-  /** ---------------------
-   * @method Clear all of the test counts and clear the result sheet.
+  /**
+   * @private
+   * Throw an AssertFail listing every way that the thrown pE does not match pArg. See assertThrow()
    */
-  resetTests() {
-    //this.debugMsg('In resetTests');
-    this.err = 0;
-    this.fail = 0;
-    this.pass = 0;
-    this._testList = [];
-    if (this.showInSheet) {
-      this.st.clear();
+  _checkThrown(pMsg, pE, pArg, pOperator, pCode) {
+    let tName = pE != null && pE.name !== undefined ? pE.name : typeof pE;
+    let tText = pE != null && pE.message !== undefined ? String(pE.message) : String(pE);
+    let tDiffs = [];
+    if (pArg.type !== undefined && !(pE instanceof pArg.type))
+      tDiffs.push('Expected an instance of ' + pArg.type.name + ', got ' + tName);
+    if (pArg.name !== undefined && tName != pArg.name)
+      tDiffs.push('Expected the name ' + pArg.name + ', got ' + tName);
+    if (pArg.message instanceof RegExp) {
+      if (!pArg.message.test(tText))
+        tDiffs.push('Expected the message to match ' + pArg.message + ', got "' + tText + '"');
+    } else if (pArg.message !== undefined && tText != pArg.message)
+      tDiffs.push('Expected the message "' + pArg.message + '", got "' + tText + '"');
+    if ((pArg.operator !== undefined || pArg.code !== undefined) && tName != 'AssertFail')
+      tDiffs.push('Expected an AssertFail, got ' + tName);
+    else
+      for (let tKey of ['operator', 'code'])
+        if (pArg[tKey] !== undefined && pE[tKey] != pArg[tKey])
+          tDiffs.push('Expected the ' + tKey + ' ' + pArg[tKey] + ', got ' + pE[tKey]);
+    if (tDiffs.length != 0) {
+      let tE = new AssertFail(this._default(pMsg, 'The thrown error did not match.') + '\n' + tDiffs.join('\n'),
+        pE, pArg, pOperator, pCode);
+      tE.diffs = tDiffs;
+      throw tE;
     }
   }
 
   /** ---------------------
-   * @method Add a test function to the list of test functions to be run.
+   * Asserts for console output. pFun is called, and what it writes with console.log, info,
+   * warn, error, and Logger.log is saved, not shown. See fCaptureOutput().
+   * pExpected is a string that the output must contain, or a RegExp that it must match.
+   * @param {obj} pArg = {streams: ['log', 'info', 'warn', 'error', 'Logger']}
+   * @returns {obj} the fCaptureOutput() result
+   * @example pUnit.assertOutputContains('Debug', () => tRun.debugMsg('Start'), 'Debug: Start', 'out1');
+   * @example pUnit.assertOutputContains('Errors', () => tRun.runTests(), /Fail +testGet/, 'out2', {streams: ['error']});
    */
-  addTest(pTest) {
-    if (typeof (pTest) != 'function') {
-      ++this.err;
-      throw new Error('addTest argument is not a function.')
-    }
-    this._testList.push(pTest);
+  assertOutputContains(pMsg, pFun, pExpected, pCode = '', pArg = {}) {
+    ++this.numAsserts;
+    let tOut = fCaptureOutput(pFun, pArg.streams);
+    if (!_gsunitFound(tOut.text, pExpected))
+      throw new AssertFail(this._default(pMsg, 'The output ' + (pExpected instanceof RegExp ? 'did not match ' + pExpected :
+        'did not contain "' + pExpected + '"') + '. The output was:') + '\n' + tOut.text, tOut.text, pExpected,
+        'OutputContains', pCode);
+    return tOut;
+  }
+
+  assertOutputNotContains(pMsg, pFun, pExpected, pCode = '', pArg = {}) {
+    ++this.numAsserts;
+    let tOut = fCaptureOutput(pFun, pArg.streams);
+    if (_gsunitFound(tOut.text, pExpected))
+      throw new AssertFail(this._default(pMsg, 'The output ' + (pExpected instanceof RegExp ? 'matched ' + pExpected :
+        'contained "' + pExpected + '"') + '. The output was:') + '\n' + tOut.text, tOut.text, pExpected,
+        'OutputNotContains', pCode);
+    return tOut;
   }
 
   /** ---------------------
-   * @method List the test function names in testList
+   * Asserts for spies. See fSpy(), fStub(), fSpyOn()
+   * @example pUnit.assertCalledWith('Sent to', tSend, ['a@example.com', 'Results'], 'nt2');
    */
-  listTests() {
-    console.info('List ' + this._testList.length + " tests:");
-    for (let fun of this._testList)
-      console.info(fun.toString().match(/.*\(\)/)[0]);
+  assertCalled(pMsg, pSpy, pCode = '') {
+    ++this.numAsserts;
+    this._checkSpy(pMsg, pSpy, 'Called', pCode);
+    if (pSpy.calls.length == 0)
+      throw new AssertFail(this._default(pMsg, 'Expected the spy to be called.'), 0, true, 'Called', pCode);
   }
 
-  /** ---------------------
-   * @method Create the heading for the test result sheet.
+  assertNotCalled(pMsg, pSpy, pCode = '') {
+    ++this.numAsserts;
+    this._checkSpy(pMsg, pSpy, 'NotCalled', pCode);
+    if (pSpy.calls.length != 0)
+      throw new AssertFail(this._default(pMsg, 'Expected the spy to not be called. It was called ' +
+        pSpy.calls.length + ' times.'), pSpy.calls.length, 0, 'NotCalled', pCode);
+  }
+
+  assertCalledTimes(pMsg, pSpy, pTimes, pCode = '') {
+    ++this.numAsserts;
+    this._checkSpy(pMsg, pSpy, 'CalledTimes', pCode);
+    if (pSpy.calls.length != pTimes)
+      throw new AssertFail(this._default(pMsg, 'Expected ' + pTimes + ' calls, got ' + pSpy.calls.length + '.'),
+        pSpy.calls.length, pTimes, 'CalledTimes', pCode);
+  }
+
+  /**
+   * Pass if any of the calls had args that are equal to pArgs. See fObjDiff()
    */
-  _sheetHeading() {
-    this.selectSheet('_sheetHeading');
-    this.st.insertRowBefore(1);
-    this.st.getRange(1, 1, 1, 4).setValues([['Status', 'Count', 'Function', 'Results']]).setBackground(this.titleColor).setFontWeight("bold");
+  assertCalledWith(pMsg, pSpy, pArgs, pCode = '') {
+    ++this.numAsserts;
+    this._checkSpy(pMsg, pSpy, 'CalledWith', pCode);
+    if (pSpy.calls.some(pCall => fObjDiff(pCall.args, pArgs).length == 0))
+      return;
+    let tCalls = pSpy.calls.map((pCall, i) => 'call ' + i + ': ' + fShowValue(pCall.args));
+    throw new AssertFail(this._default(pMsg, 'No call with args ' + fShowValue(pArgs) + '.') +
+      (tCalls.length == 0 ? '\nThe spy was not called.' : '\n' + tCalls.join('\n')),
+      pSpy.calls.map(pCall => pCall.args), pArgs, 'CalledWith', pCode);
+  }
+
+  _checkSpy(pMsg, pSpy, pOperator, pCode) {
+    if (typeof pSpy !== 'function' || pSpy.isSpy !== true)
+      throw new AssertFail(this._default(pMsg, 'Actual is not a spy.'), pSpy, 'spy', pOperator, pCode);
   }
 
   /** ---------------------
-   * @method Format the sheet's column sizes.
+   * Asserts for sheets and ranges. pRange is a Range (or a MemRange).
+   * pExpected is a 2-D array the size of the range, or one value for all of the cells.
+   * Every cell that does not match is listed in the message, by its A1 notation.
+   * Colors are compared without case. Dates are compared by their time.
+   * @example pUnit.assertRangeValues('Totals', tSheet.getRange('A1:B2'), [['Item', 'Total'], ['a', 3]], 'rv1');
+   *   Fail message lines look like: B2: expected 3 got 4
+   * @example pUnit.assertRangeFontWeights('Heading', tSheet.getRange('A1:D1'), 'bold', 'rv2');
    */
-  formatSheet() {
-    this.selectSheet('formatSheet');
-    this.st.autoResizeColumns(1, 3); // Columns: Status, Count, Function
-    this.st.setColumnWidth(4, this.resultWidth);  // Column: Result width
-    let tNumRows = this.pass + this.fail + this.err + 10;
-    this.st.getRange(1, 4, tNumRows).setWrapStrategy(SpreadsheetApp.WrapStrategy.WRAP);
+  assertRangeValues(pMsg, pRange, pExpected, pCode = '') {
+    this._checkRange(pMsg, pRange, 'getValues', pExpected, 'RangeValues', pCode);
   }
 
-  /** ---------------------
-   * @private
-   * @method Append the test result to the sheet.
-   * @param {array} pRow - array of row values to be appended to sheet
-   * @param {string} pColor - pass, fail, or error color
+  assertRangeFormulas(pMsg, pRange, pExpected, pCode = '') {
+    this._checkRange(pMsg, pRange, 'getFormulas', pExpected, 'RangeFormulas', pCode);
+  }
+
+  assertRangeBackgrounds(pMsg, pRange, pExpected, pCode = '') {
+    this._checkRange(pMsg, pRange, 'getBackgrounds', pExpected, 'RangeBackgrounds', pCode);
+  }
+
+  assertRangeFontWeights(pMsg, pRange, pExpected, pCode = '') {
+    this._checkRange(pMsg, pRange, 'getFontWeights', pExpected, 'RangeFontWeights', pCode);
+  }
+
+  assertRangeNumberFormats(pMsg, pRange, pExpected, pCode = '') {
+    this._checkRange(pMsg, pRange, 'getNumberFormats', pExpected, 'RangeNumberFormats', pCode);
+  }
+
+  /**
+   * Pass if the top-left cell's value, as a string, includes pText.
    */
-  _appendResult(pRow, pColor) {
-    this.selectSheet('_appendResult');
-    this.st.appendRow(pRow);
-    let tRow = this.st.getLastRow();
-    this.st.getRange(tRow, 1, 1).setBackground(pColor);
+  assertCellContains(pMsg, pRange, pText, pCode = '') {
+    ++this.numAsserts;
+    this._checkRangeArg(pMsg, pRange, 'getValue', pText, 'CellContains', pCode);
+    let tValue = String(pRange.getValue());
+    if (!tValue.includes(pText))
+      throw new AssertFail(this._default(pMsg, _gsunitRangeName(pRange.getCell(1, 1)) + ' does not contain: "' + pText + '"'),
+        tValue, pText, 'CellContains', pCode);
   }
 
-  /** -------------------------------
-   * @method This is the main function for running all of the test in testList.
+  /**
+   * @param {Spreadsheet} pSs - e.g. SpreadsheetApp.getActiveSpreadsheet()
    */
-  runTests() {
-    //this.debugMsg('In runTests');
-    if (this.showInConsole)
-      console.time('unit-test');
-    if (this.showInSheet)
-      this._sheetHeading();
-    for (let fun of this._testList) {
-      try {
-        fun();
-        _testPass(this, fun);
-      } catch (e) {
-        if (e.name == 'AssertFail')
-          _testFail(this, fun, e);
-        else
-          _testError(this, fun, e);
-      }
+  assertSheetExists(pMsg, pSs, pName, pCode = '') {
+    ++this.numAsserts;
+    if (pSs == null || typeof pSs.getSheetByName !== 'function')
+      throw new AssertFail(this._default(pMsg, 'Actual is not a spreadsheet.'), pSs, pName, 'SheetExists', pCode);
+    if (pSs.getSheetByName(pName) == null)
+      throw new AssertFail(this._default(pMsg, 'There is no sheet named "' + pName + '". The sheets are: ' +
+        pSs.getSheets().map(pSheet => pSheet.getName()).join(', ')), null, pName, 'SheetExists', pCode);
+  }
+
+  /**
+   * Pass if the sheet's last row with data (a value or a formula) is pNumRows.
+   */
+  assertSheetRows(pMsg, pSheet, pNumRows, pCode = '') {
+    ++this.numAsserts;
+    if (pSheet == null || typeof pSheet.getLastRow !== 'function')
+      throw new AssertFail(this._default(pMsg, 'Actual is not a sheet.'), pSheet, pNumRows, 'SheetRows', pCode);
+    let tRows = pSheet.getLastRow();
+    if (tRows != pNumRows)
+      throw new AssertFail(this._default(pMsg, 'Expected ' + pNumRows + ' rows in ' + pSheet.getName() + ', got ' + tRows + '.'),
+        tRows, pNumRows, 'SheetRows', pCode);
+  }
+
+  /**
+   * Check a property with many generated values. See fCheckProperty() and GsUnitGen.
+   * This is counted as one assert. The asserts in pProperty are not counted.
+   * If it fails, the message has the shrunk counterexample, and the seed. Use the seed
+   * in pArg to run the same values again.
+   * @param {array} pGens - a list of GsUnitGenerator, one for each of pProperty's args
+   * @param {obj} pArg = {runs: 100, seed: 0, maxShrinks: 1000}
+   * @returns {obj} the fCheckProperty() result
+   * @example pUnit.assertProperty('Split/join', [GsUnitGen.string({chars: 'unicode'})],
+   *   pS => pUnit.assertEqual('', pS.split(',').join(','), pS), 'sj1');
+   * @example The fail message looks like:
+   *   for Property. Failed on run 12 of 100, seed 1827264. Split/join
+   *   Counterexample: "é"
+   *   Shrunk in 4 steps, from: "xé,3"
+   *   AssertFail: for Equal. Expected ...
+   */
+  assertProperty(pMsg, pGens, pProperty, pCode = '', pArg = {}) {
+    let tAsserts = this.numAsserts + 1;
+    let tResult;
+    try {
+      tResult = fCheckProperty(pGens, pProperty, pArg);
+    } finally {
+      this.numAsserts = tAsserts;
+    }
+    if (!tResult.ok) {
+      let tE = new AssertFail(this._default(pMsg, 'Failed on run ' + tResult.runs + ' of ' + fDefaultArg(pArg.runs, 100) +
+        ', seed ' + tResult.seed + '.') + '\nCounterexample: ' + _gsunitShowArgs(tResult.args) +
+        (tResult.shrinks > 0 ? '\nShrunk in ' + tResult.shrinks + ' steps, from: ' + _gsunitShowArgs(tResult.original) : '') +
+        '\n' + _gsunitErrorText(tResult.error), tResult.args, true, 'Property', pCode);
+      Object.assign(tE, { seed: tResult.seed, original: tResult.original, error: tResult.error });
+      throw tE;
+    }
+    return tResult;
+  }
+
+  /**
+   * @private
+   * Compare the 2-D array from the pGetter method of pRange with pExpected.
+   */
+  _checkRange(pMsg, pRange, pGetter, pExpected, pOperator, pCode) {
+    ++this.numAsserts;
+    this._checkRangeArg(pMsg, pRange, pGetter, pExpected, pOperator, pCode);
+    let tActual = pRange[pGetter]();
+    let tRows = pRange.getNumRows();
+    let tCols = pRange.getNumColumns();
+    let tExpected = pExpected;
+    if (!Array.isArray(pExpected))
+      tExpected = tActual.map(pRow => pRow.map(() => pExpected));
+    else if (pExpected.length != tRows || pExpected.some(pRow => !Array.isArray(pRow) || pRow.length != tCols))
+      throw new AssertFail(this._default(pMsg, 'Expected is not a ' + tRows + ' x ' + tCols + ' array, the size of ' +
+        _gsunitRangeName(pRange) + '.'), tActual, pExpected, pOperator, pCode);
+    let tDiffs = [];
+    for (let r = 0; r < tRows; ++r)
+      for (let c = 0; c < tCols; ++c)
+        if (!_sameCell(tActual[r][c], tExpected[r][c]))
+          tDiffs.push(fColumnLetter(pRange.getColumn() + c) + (pRange.getRow() + r) + ': expected ' +
+            _show(tExpected[r][c]) + ' got ' + _show(tActual[r][c]));
+    if (tDiffs.length != 0) {
+      let tE = new AssertFail(this._default(pMsg, tDiffs.length + (tDiffs.length == 1 ? ' cell' : ' cells') + ' in ' +
+        _gsunitRangeName(pRange) + ' did not match.') + '\n' + tDiffs.join('\n'), tActual, tExpected, pOperator, pCode);
+      tE.diffs = tDiffs;
+      throw tE;
     }
-    if (this.showInConsole)
-      console.timeEnd('unit-test');
-    if (this.showInSheet)
-      this.formatSheet();
-    if (this.showResults)
-      this.testResults();
 
-    //END
     // -----
-    function _testPass(pThis, pFun) {
-      ++pThis.pass;
-      let tMsg = ['Pass', '', pFun.toString().match(/.*\(\)/)[0]];
-      if (pThis.showInConsole && pThis.showPass)
-        console.info(tMsg.join(' '));
-      if (pThis.showInSheet && pThis.showPass)
-        pThis._appendResult(tMsg, pThis.passColor);
+    function _show(pVal) {
+      // Quote strings, so '3' and 3 can be told apart
+      return typeof pVal === 'string' ? JSON.stringify(pVal) : fShowValue(pVal);
     }
     // -----
-    function _testFail(pThis, pFun, pE) {
-      ++pThis.fail;
-      let tMsg = ['Fail', '', pFun.toString().match(/.*\(\)/)[0], pE.toString()];
-      if (pThis.showInConsole)
-        console.error(tMsg.join(' '));
-      if (pThis.showInSheet)
-        pThis._appendResult(tMsg, pThis.failColor);
+    function _sameCell(pA, pE) {
+      if (pA instanceof Date && pE instanceof Date)
+        return pA.getTime() == pE.getTime();
+      if (typeof pA === 'string' && typeof pE === 'string' && /^#[0-9a-f]+$/i.test(pE))
+        return pA.toLowerCase() == pE.toLowerCase();
+      return pA === pE;
     }
+  }
+
+  _checkRangeArg(pMsg, pRange, pGetter, pExpected, pOperator, pCode) {
+    if (pRange == null || typeof pRange.getA1Notation !== 'function' || typeof pRange[pGetter] !== 'function')
+      throw new AssertFail(this._default(pMsg, 'Actual is not a range.'), pRange, pExpected, pOperator, pCode);
+  }
+
+  /** ---------------------
+   * @method Add an assert method to GsUnit, named 'assert' + pName, and its negated
+   * variant, 'assertNot' + pName. They are called like the other asserts:
+   *   assertX(pMsg, pActual, ...pArgs, pCode = '')
+   * They count in numAsserts, use showDefault, add pCode, and work in soft mode.
+   * The AssertFail operator is pName (or the not name).
+   * @param {string} pName - e.g. 'IsoDate'
+   * @param {function} pCheck - pCheck(pActual, ...pArgs) returns true if the assert passes,
+   *   false if it fails, or a string if the args are not valid (e.g. 'Actual is not a string.').
+   *   A string fails both the assert and its negated variant, with that default message.
+   * @param {obj} pArg = {message: '', not: 'Not' + pName, notMessage: '', args: pCheck.length - 1}
+   *   message, notMessage - the default message, or a function(pActual, ...pArgs) that returns it
+   *   not - name of the negated assert. '' for none.
+   *   args - the number of pArgs, between pActual and pCode
+   * @example
+   *   GsUnit.addAssert('IsoDate', pActual => /^\d{4}-\d{2}-\d{2}$/.test(pActual),
+   *     { message: pActual => 'Expected an ISO date, got "' + pActual + '".' });
+   *   pUnit.assertIsoDate('Created', tRow.created, 'rc4');
+   *   pUnit.assertNotIsoDate('Raw', tRow.raw, 'rc5');
+   */
+  static addAssert(pName, pCheck, pArg = {}) {
+    let tNumArgs = pArg.args !== undefined ? pArg.args : Math.max(pCheck.length - 1, 0);
+    let tNot = pArg.not !== undefined ? pArg.not : 'Not' + pName;
+    let tMessage = fDefaultArg(pArg.message, pActual => pName + ' failed for ' + fShowValue(pActual) + '.');
+    let tNotMessage = fDefaultArg(pArg.notMessage, pActual => tNot + ' failed for ' + fShowValue(pActual) + '.');
+    _add(pName, false, tMessage);
+    if (tNot !== '')
+      _add(tNot, true, tNotMessage);
+
     // -----
-    function _testError(pThis, pFun, pE) {
-      ++pThis.err;
-      let tMsg = ['Error', '', pFun.toString().match(/.*\(\)/)[0], pE.toString()];
-      if (pThis.showInConsole) {
-        console.error(tMsg.join(' '));
-        console.error(pE.stack);
+    function _add(pOperator, pNegate, pMessage) {
+      let tMethod = 'assert' + pOperator;
+      if (tMethod in GsUnit.prototype) {
+        if (GsUnit._added[tMethod] === pCheck)
+          return;  // The same assert was added again
+        throw new Error('GsUnit.' + tMethod + ' is already defined.');
       }
-      if (pThis.showInSheet)
-        pThis._appendResult(tMsg, pThis.errColor);
+      let tAssert = function (pMsg, pActual, ...pRest) {
+        ++this.numAsserts;
+        let tArgs = pRest.slice(0, tNumArgs);
+        let tCode = pRest.length > tNumArgs ? pRest[tNumArgs] : '';
+        let tExpected = tArgs.length == 1 ? tArgs[0] : tArgs;
+        let tResult = pCheck(pActual, ...tArgs);
+        if (typeof tResult === 'string')
+          throw new AssertFail(this._default(pMsg, tResult), pActual, tExpected, pOperator, tCode);
+        if (Boolean(tResult) == pNegate)
+          throw new AssertFail(this._default(pMsg, typeof pMessage === 'function' ? pMessage(pActual, ...tArgs) : pMessage),
+            pActual, tExpected, pOperator, tCode);
+      };
+      Object.defineProperty(tAssert, 'name', { value: tMethod });
+      GsUnit.prototype[tMethod] = _gsunitWrapAssert(tAssert);
+      GsUnit._added[tMethod] = pCheck;
     }
   }
 
   /** ---------------------
-   * @method Output a summary of the test results, if showResults
+   * @method Add all of the asserts in pAsserts. See addAssert()
+   * @param {obj} pAsserts - {Name: {check: function, message: '', not: '', notMessage: '', args: n}}
+   * @example GsUnit.addAsserts(GsUnitNumberAsserts);
    */
-  testResults() {
-    try {
-      //this.debugMsg('In testResults');
-      let tRowPass = ['Pass', this.pass]
-      let tRowFail = ['Fail', this.fail];
-      let tRowErr = ['Error', this.err];
-      let tRowTotal = ['Total', this.pass + this.fail + this.err];
-      let tRowAsserts = ['Asserts', this.gsunit.numAsserts];
-      let tRow = [
-        tRowPass.join(' '), 
-        tRowFail.join(' '), 
-        tRowErr.join(' '), 
-        tRowTotal.join(' '), 
-        tRowAsserts.join(' '),
-      ];
-      let tMsg = tRow.join(';\n');
-      if (this.showInSheet) {
-        this.selectSheet('testResults');
-        this._appendResult(['Summary'], this.titleColor);
-        this._appendResult(tRowPass, this.passColor);
-        this._appendResult(tRowFail, this.failColor);
-        this._appendResult(tRowErr, this.errColor);
-        this._appendResult(tRowTotal, this.titleColor);
-        this._appendResult(tRowAsserts, this.titleColor);
-        this.formatSheet();
+  static addAsserts(pAsserts) {
+    for (let tName in pAsserts)
+      GsUnit.addAssert(tName, pAsserts[tName].check, pAsserts[tName]);
+  }
+
+  /** ---------------------
+   * @method Remove an assert, and its negated variant, that was added with addAssert().
+   */
+  static removeAssert(pName) {
+    let tCheck = GsUnit._added['assert' + pName];
+    for (let tMethod of Object.keys(GsUnit._added))
+      if (GsUnit._added[tMethod] === tCheck) {
+        delete GsUnit.prototype[tMethod];
+        delete GsUnit._added[tMethod];
       }
-      if (this.showInConsole)
-        console.error(tMsg);
-      if (this.showToast)
-        this.toast(tMsg, 'Summary');
+  }
+} // GsUnit
+GsUnit._added = {};  // {methodName: check function}, see addAssert()
+
+// Wrap the assert methods for soft mode and codeSuffix. See GsUnit.soft()
+for (let tName of Object.getOwnPropertyNames(GsUnit.prototype))
+  if (/^assert/.test(tName) || tName == 'fail')
+    GsUnit.prototype[tName] = _gsunitWrapAssert(GsUnit.prototype[tName]);
+
+// -----
+function _gsunitWrapAssert(pFun) {
+  let tWrap = function (...pArgs) {
+    // Only the outer assert is caught, if an assert calls other asserts
+    if ((this._soft == 0 && this.codeSuffix === '') || this._depth > 0)
+      return pFun.apply(this, pArgs);
+    let tSuffix = this.codeSuffix;
+    let tCatch = pE => this._softCatch(_gsunitSuffixCode(pE, tSuffix));
+    ++this._depth;
+    try {
+      let tRet = pFun.apply(this, pArgs);
+      if (fIsThenable(tRet))
+        return Promise.resolve(tRet).catch(tCatch);
+      return tRet;
     } catch (e) {
-      console.error(e.stack);
-      throw e;
+      return tCatch(e);
+    } finally {
+      --this._depth;
     }
-  } // testResults
-} // RunTests
+  };
+  Object.defineProperty(tWrap, 'name', { value: pFun.name });
+  return tWrap;
+}
 
-// ======================================================================
-/* Run Unit Tests to validate GsUnit.
- */
+// -----
+function _gsunitErrorText(pE) {
+  return pE != null && pE.name !== undefined ? pE.name + ': ' + pE.message : String(pE);
+}
 
-// ==============================================
-// Define menus
+// -----
+function _gsunitFound(pText, pExpected) {
+  return pExpected instanceof RegExp ? pExpected.test(pText) : pText.includes(pExpected);
+}
+
+// -----
+function _gsunitRangeName(pRange) {
+  return pRange.getSheet().getName() + '!' + pRange.getA1Notation();
+}
+
+// -----
+function _gsunitSuffixCode(pE, pSuffix) {
+  if (pSuffix === '' || pE == null || pE.name != 'AssertFail' || pE.code === '')
+    return pE;
+  let tOld = ' [' + pE.code + ']';
+  pE.code += pSuffix;
+  if (pE.message.endsWith(tOld))
+    pE.message = pE.message.slice(0, -tOld.length) + ' [' + pE.code + ']';
+  return pE;
+}
 
 /** ----------------------
- * @function This is usually called by the test script menu function.
- * @param {obj} pUi - the ui handle for the SS
- * @param {obj} pMenu - the handle for the menu object
+ * @function Combine the AssertFails saved in soft mode into one AssertFail.
+ * @param {array} pFails - list of AssertFail
+ * @returns {AssertFail} operator is 'Soft'. code is a comma separated list of the codes.
+ *   actual and expected are lists. fails is pFails.
  */
-function menuGsUnitTest(pUi, pMenu) {
-  pMenu = pMenu.addSeparator()
-    .addSubMenu(pUi.createMenu('Test GSUnit')
-      .addItem('Verify Sheet', 'runGsUnitTestSheet')
-      .addItem('Smoke Test', 'runGsUnitSmokeTest')
-      .addItem('Test All', 'runGsUnitTestAll')
-    );
-  return pMenu;
-} // menuGsUnitTest
+function fSoftFail(pFails) {
+  let tLines = pFails.map((pE, i) => (i + 1) + ') ' + pE.message);
+  let tE = new AssertFail(pFails.length + (pFails.length == 1 ? ' assert' : ' asserts') + ' failed:\n' + tLines.join('\n'),
+    pFails.map(pE => pE.actual), pFails.map(pE => pE.expected), 'Soft');
+  tE.code = pFails.map(pE => pE.code).filter(pCode => pCode !== '').join(',');
+  tE.fails = pFails;
+  return tE;
+}
 
-/* Example for menuGsUnitTest menus
+// ======================================================================
+/** ----------------------
+ * @class Fluent asserts. Made with GsUnit expect(). Each "to" method calls a GsUnit assert,
+ * with the withMessage() pMsg and the withCode() pCode.
+ *   toBe        - assertTypeEqual, not: assertNotTypeEqual
+ *   toEqual     - assertEqual, or assertObjEqual if either value is an object.
+ *                 not: assertNotEqual, assertNotObjEqual
+ *   toContain   - assertStrContains for a string, else assertArrayContains.
+ *                 not: assertStrNotContains, assertArrayNotContains
+ *   toBeCloseTo - assertRoughlyEqual, or assertArrayRoughlyEqual for an array or Range
+ *   toThrow     - assertThrow, not: assertNotThrow
+ * @example pUnit.expect(() => getRow(-1)).withCode('gr2').toThrow(RangeError);
+ */
+class GsUnitExpect {
+  constructor(pUnit, pActual) {
+    this.unit = pUnit;
+    this.actual = pActual;
+    this.negate = false;
+    this.msg = '';
+    this.code = '';
+  }
 
-  // Put this in the "top" script file
-  function onOpen(e) {
-    try {
-      let ui = SpreadsheetApp.getUi();
-      let menu = ui.createMenu('Rename-Files')
-        .addItem('Get List', 'menuGetList')
-        .addItem('Rename List', 'menuRenameList')
-        .addItem('Undo List', 'menuUndoList')
-      if (typeof menuTestRename === 'function')
-        menu = menuTestRename(ui, menu);
-      menu.addToUi();
-    } catch (e) {
-      console.error('InternalError');
-      console.error(e.stack);
-      throw e;
+  /** ---------------------
+   * @method The next "to" method uses the negated assert.
+   * @returns {GsUnitExpect} a copy, so this expect is not changed.
+   */
+  get not() {
+    let tExpect = Object.assign(new GsUnitExpect(this.unit, this.actual), this);
+    tExpect.negate = !this.negate;
+    return tExpect;
+  }
+
+  withMessage(pMsg) {
+    this.msg = pMsg;
+    return this;
+  }
+
+  withCode(pCode) {
+    this.code = pCode;
+    return this;
+  }
+
+  toBe(pExpected) {
+    return this._assert(this.negate ? 'assertNotTypeEqual' : 'assertTypeEqual', pExpected);
+  }
+
+  toEqual(pExpected) {
+    if (_gsunitIsObject(this.actual) || _gsunitIsObject(pExpected))
+      return this._assert(this.negate ? 'assertNotObjEqual' : 'assertObjEqual', pExpected);
+    return this._assert(this.negate ? 'assertNotEqual' : 'assertEqual', pExpected);
+  }
+
+  toContain(pValue) {
+    if (typeof this.actual === 'string')
+      return this._assert(this.negate ? 'assertStrNotContains' : 'assertStrContains', pValue);
+    return this._assert(this.negate ? 'assertArrayNotContains' : 'assertArrayContains', pValue);
+  }
+
+  toBeCloseTo(pExpected, pTolerance) {
+    if (this.negate)
+      throw new Error('expect().not.toBeCloseTo() is not supported.');
+    if (_gsunitIsObject(this.actual))
+      return this.unit.assertArrayRoughlyEqual(this.msg, this.actual, pExpected, pTolerance, this.code);
+    return this.unit.assertRoughlyEqual(this.msg, this.actual, pExpected, pTolerance, this.code);
+  }
+
+  /** ---------------------
+   * @method Call the actual function, and check that it throws.
+   * @param {any} pExpected - optional. An error class, the message (string or RegExp),
+   *   or the assertThrow() pArg object. Not allowed with not.
+   * @returns {Error} the thrown error, or with not, the function's return value.
+   */
+  toThrow(pExpected) {
+    if (this.negate) {
+      if (pExpected !== undefined)
+        throw new Error('expect().not.toThrow() does not take an arg.');
+      return this.unit.assertNotThrow(this.msg, this.actual, this.code);
     }
+    let tArg = {};
+    if (typeof pExpected === 'function')
+      tArg = { type: pExpected };
+    else if (typeof pExpected === 'string' || pExpected instanceof RegExp)
+      tArg = { message: pExpected };
+    else if (pExpected != null)
+      tArg = pExpected;
+    return this.unit.assertThrow(this.msg, this.actual, this.code, tArg);
   }
 
-  // Put this in the test script file for the "top" script
-  function menuTestRename(pUi, pMenu) {
-    pMenu = pMenu.addSeparator()
-      .addSubMenu(pUi.createMenu('Test Replace')
-        .addItem('Make Class', 'runMakeClass')
-        .addItem('Check Config', 'runCheckConfig')
-        .addItem('Get Files Test', 'runGetFilesTest')
-        .addItem('Rename Files Test', 'runRenameFiles')
-        .addItem('RunAll Test', 'runAllTests')
-        .addItem('Clean Up', 'runCleanup')
-      );
-    if (typeof menuGsUnitTest === 'function')
-      pMenu = menuGsUnitTest(pUi, pMenu);
-    return pMenu;
+  _assert(pMethod, pExpected) {
+    return this.unit[pMethod](this.msg, this.actual, pExpected, this.code);
   }
-*/
+} // GsUnitExpect
 
-// -------------------------------------------------
-/* Select the tests to be run.
- * There are no args so they can be called by the UI menu.
+// -----
+function _gsunitIsObject(pValue) {
+  return pValue !== null && typeof pValue === 'object';
+}
+
+// ======================================================================
+/* Assert packs. Add them with GsUnit.addAsserts(), for example:
+ *   GsUnit.addAsserts(GsUnitNumberAsserts);
+ *   pUnit.assertBetween('Percent', tPct, 0, 100, 'pc1');
  */
-// ---------------------
-function runGsUnitTestSheet() {
-  gsunitRunTest([gsunitTestSheetUnit]);
+
+/**
+ * assertGreater, assertGreaterOrEqual, assertLess, assertLessOrEqual (pMsg, pActual, pLimit, pCode),
+ * assertBetween, assertNotBetween (pMsg, pActual, pLow, pHigh, pCode). Between includes pLow and pHigh.
+ */
+var GsUnitNumberAsserts = {
+  Greater: { check: (pA, pB) => _gsunitNumbers(pA, pB) || pA > pB, message: (pA, pB) => 'Expected ' + pA + ' > ' + pB + '.', not: '' },
+  GreaterOrEqual: { check: (pA, pB) => _gsunitNumbers(pA, pB) || pA >= pB, message: (pA, pB) => 'Expected ' + pA + ' >= ' + pB + '.', not: '' },
+  Less: { check: (pA, pB) => _gsunitNumbers(pA, pB) || pA < pB, message: (pA, pB) => 'Expected ' + pA + ' < ' + pB + '.', not: '' },
+  LessOrEqual: { check: (pA, pB) => _gsunitNumbers(pA, pB) || pA <= pB, message: (pA, pB) => 'Expected ' + pA + ' <= ' + pB + '.', not: '' },
+  Between: {
+    check: (pA, pLow, pHigh) => _gsunitNumbers(pA, pLow, pHigh) || (pA >= pLow && pA <= pHigh),
+    message: (pA, pLow, pHigh) => 'Expected ' + pA + ' to be between ' + pLow + ' and ' + pHigh + '.',
+    notMessage: (pA, pLow, pHigh) => 'Expected ' + pA + ' to not be between ' + pLow + ' and ' + pHigh + '.',
+  },
+};
+
+/**
+ * assertMatch, assertNotMatch (pMsg, pActual, pRegExp, pCode)
+ */
+var GsUnitMatchAsserts = {
+  Match: {
+    check: (pA, pRe) => typeof pA !== 'string' ? 'Actual is not a string.' : pRe.test(pA),
+    message: (pA, pRe) => 'Expected "' + pA + '" to match ' + pRe + '.',
+    notMessage: (pA, pRe) => 'Expected "' + pA + '" to not match ' + pRe + '.',
+  },
+};
+
+/**
+ * assertInstanceOf, assertNotInstanceOf (pMsg, pActual, pClass, pCode)
+ */
+var GsUnitTypeAsserts = {
+  InstanceOf: {
+    check: (pA, pClass) => pA instanceof pClass,
+    message: (pA, pClass) => 'Expected an instance of ' + pClass.name + ', got ' + _gsunitTypeName(pA) + '.',
+    notMessage: (pA, pClass) => 'Expected not an instance of ' + pClass.name + '.',
+  },
+};
+
+/**
+ * assertLength (pMsg, pActual, pLength, pCode),
+ * assertSubset, assertNotSubset (pMsg, pActual, pAll, pCode) - every item of pActual is in pAll,
+ * assertUnorderedEqual (pMsg, pActual, pExpected, pCode) - the same items, in any order.
+ * The items are compared with fObjDiff().
+ */
+var GsUnitArrayAsserts = {
+  Length: {
+    check: (pA, pLength) => !Array.isArray(pA) ? 'Actual is not an array.' : pA.length == pLength,
+    message: (pA, pLength) => 'Expected length ' + pLength + ', got ' + pA.length + '.',
+    not: '',
+  },
+  Subset: {
+    check: (pA, pAll) => _gsunitArrays(pA, pAll) || _gsunitMissing(pA, pAll).length == 0,
+    message: (pA, pAll) => 'These items are not in the expected list: ' + fShowValue(_gsunitMissing(pA, pAll)),
+    notMessage: () => 'Expected some items that are not in the expected list.',
+  },
+  UnorderedEqual: {
+    check: (pA, pE) => _gsunitArrays(pA, pE) || (_gsunitMissing(pA, pE).length == 0 && _gsunitMissing(pE, pA).length == 0),
+    message: (pA, pE) => 'The arrays do not have the same items.\nmissing: ' + fShowValue(_gsunitMissing(pE, pA)) +
+      '\nextra: ' + fShowValue(_gsunitMissing(pA, pE)),
+    not: '',
+  },
+};
+
+// -----
+function _gsunitNumbers(...pList) {
+  // Return a message if any of pList is not a number, or false (so the check is done)
+  let i = pList.findIndex(pN => typeof pN !== 'number' || isNaN(pN));
+  return i < 0 ? false : (i == 0 ? 'Actual' : 'Arg ' + i) + ' is not a number: ' + fShowValue(pList[i]);
 }
 
-// ---------------------
-function runGsUnitSmokeTest() {
-  gsunitRunTest([gsunitSmokeTests]);
+// -----
+function _gsunitArrays(pA, pB) {
+  return !Array.isArray(pA) ? 'Actual is not an array.' : (!Array.isArray(pB) ? 'Expected is not an array.' : false);
 }
 
-// ---------------------
-function runGsUnitTestAll() {
-  gsunitRunTest([gsunitTestSheetUnit, gsunitSmokeTests]);
+// -----
+function _gsunitMissing(pList, pFrom) {
+  // The items of pList that are not in pFrom. Each item of pFrom is only matched once.
+  let tLeft = pFrom.slice();
+  return pList.filter(pItem => {
+    let i = tLeft.findIndex(pOther => fObjDiff(pItem, pOther).length == 0);
+    if (i < 0)
+      return true;
+    tLeft.splice(i, 1);
+    return false;
+  });
 }
 
-/** -------------------------------------------------------
- * @function Run the tests specified with the above functions.
- * @param {array} pTestFun - this will be one or more function names.
+// -----
+function _gsunitTypeName(pVal) {
+  if (pVal != null && pVal.constructor && pVal.constructor.name)
+    return pVal.constructor.name;
+  return Object.prototype.toString.call(pVal).slice(8, -1);
+}
+
+// ======================================================================
+/* Property tests. A property is a function that is called with many generated
+ * values. If it fails (an assert fails, it throws, or it returns false), the values
+ * are shrunk to a small counterexample. See fCheckProperty() and GsUnit.assertProperty()
+ *   pUnit.assertProperty('Trim is idempotent', [GsUnitGen.string({chars: 'unicode'})],
+ *     pS => pUnit.assertEqual('', pS.trim().trim(), pS.trim()), 'trim1');
  */
-function gsunitRunTest(pTestFun = []) {
-  console.time('runTests');
-  var tUnit = new GsUnit({ name: 'base' });
 
-  let tRun = new RunTests({ name: 'GSUnitValidate', debug: false, gsunit: tUnit });
-  tRun.debug = false;
-  tRun.showPass = true;
-  tRun.showInConsole = true;
-  tRun.showToast = true;
-  tRun.showInSheet = true;
-  tRun.showResults = true;
+/** ----------------------
+ * @class A value generator, for property tests. Use the GsUnitGen functions to make them.
+ * @param {function} pGenerate - (pRandom) returns a value. pRandom returns a number in [0, 1)
+ * @param {function} pShrink - optional. (pValue) returns a list, or an iterator, of simpler
+ *   values. The simplest ones should be first.
+ */
+class GsUnitGenerator {
+  constructor(pGenerate, pShrink = () => []) {
+    this._generate = pGenerate;
+    this._shrink = pShrink;
+  }
 
-  tRun.resetTests();
-  for (let tTest of pTestFun)
-    tTest(tRun, tUnit);
-  tRun.runTests();
+  generate(pRandom) {
+    return this._generate(pRandom);
+  }
 
-//  tRun.testResults();
-  console.timeEnd('runTests');
-}
+  shrink(pValue) {
+    return this._shrink(pValue);
+  }
 
-// ==============================================
-/* Define the Unit Tests
- * There can be multiple assertion tests in a unit test.
- * The primary criteria is that the top unit test functions can be run in any order.
+  /** ---------------------
+   * @method A generator of only the values that pKeep returns true for.
+   * @example GsUnitGen.string().filter(pS => pS.trim() != '')
+   */
+  filter(pKeep) {
+    return new GsUnitGenerator(pRandom => {
+      for (let i = 0; i < 100; ++i) {
+        let tValue = this.generate(pRandom);
+        if (pKeep(tValue))
+          return tValue;
+      }
+      throw new Error('GsUnitGenerator filter: no value was kept in 100 tries.');
+    }, function* (pValue) {
+      for (let tValue of this.shrink(pValue))
+        if (pKeep(tValue))
+          yield tValue;
+    }.bind(this));
+  }
+} // GsUnitGenerator
+
+// Code point ranges for GsUnitGen.string({chars: 'unicode'}): Latin, combining marks, Greek,
+// Cyrillic, Hebrew, Arabic, CJK, emoji (two UTF-16 units), and zero-width and BOM characters.
+const _gsunitUnicodeRanges = [[0x20, 0x7e], [0xa0, 0x24f], [0x300, 0x36f], [0x370, 0x3ff], [0x400, 0x4ff],
+  [0x590, 0x6ff], [0x4e00, 0x9fff], [0x1f300, 0x1faff], [0x200b, 0x200f], [0xfeff, 0xfeff]];
+
+/** ----------------------
+ * Generator functions, for property tests. Each returns a GsUnitGenerator.
+ * The values shrink toward 0, '', [], false, and the first item or character.
+ * @example GsUnitGen.array(GsUnitGen.int(1, 9), {min: 1, max: 5})
+ * @example GsUnitGen.object({name: GsUnitGen.string({max: 8}), size: GsUnitGen.int(0, 100)})
  */
+var GsUnitGen = {
+  /**
+   * An integer from pMin to pMax. pMin, pMax, and 0 are generated more often.
+   */
+  int(pMin = -1000, pMax = 1000) {
+    let tTarget = Math.min(Math.max(0, pMin), pMax);
+    return new GsUnitGenerator(pRandom => {
+      if (pRandom() < 0.1)
+        return [pMin, pMax, tTarget][Math.floor(pRandom() * 3)];
+      return pMin + Math.floor(pRandom() * (pMax - pMin + 1));
+    }, pValue => _shrinkNum(pValue, tTarget, true));
+  },
 
-// ---------------------
-function gsunitTestSheetUnit(pTest, pUnit) {
-  pTest.addTest(testCreateSheet);
-  function testCreateSheet() {
-    let tRun = new RunTests({ name: 'GSUnitValidateSheet', debug: true });
-    pUnit.assertTrue('Check debug', tRun.debug, 'gsts1');
-    pUnit.assertEqual('Sheet exists', tRun.st.getName(), 'GSUnitValidateSheet', 'gsts2');
+  /**
+   * A number from pMin to pMax (not NaN or Infinity).
+   */
+  float(pMin = -1000, pMax = 1000) {
+    let tTarget = Math.min(Math.max(0, pMin), pMax);
+    return new GsUnitGenerator(pRandom => {
+      if (pRandom() < 0.1)
+        return [pMin, pMax, tTarget][Math.floor(pRandom() * 3)];
+      return Math.min(pMin + pRandom() * (pMax - pMin), pMax);
+    }, function* (pValue) {
+      for (let tValue of _shrinkNum(pValue, tTarget, false))
+        if (tValue >= pMin && tValue <= pMax)
+          yield tValue;
+    });
+  },
+
+  bool() {
+    return new GsUnitGenerator(pRandom => pRandom() < 0.5, pValue => pValue ? [false] : []);
+  },
+
+  /**
+   * One of pValues. It shrinks to the values before it.
+   */
+  oneOf(...pValues) {
+    return new GsUnitGenerator(pRandom => pValues[Math.floor(pRandom() * pValues.length)],
+      pValue => pValues.slice(0, Math.max(pValues.indexOf(pValue), 0)));
+  },
+
+  constant(pValue) {
+    return new GsUnitGenerator(() => pValue);
+  },
+
+  /**
+   * A string, pArg = {min: 0, max: 20, chars: 'ascii'}
+   *   chars - 'ascii' (the printable characters), 'unicode' (see _gsunitUnicodeRanges),
+   *     or a string with the characters to use, e.g. 'ab /.-'
+   *   min, max - the number of characters. An emoji is one character.
+   */
+  string(pArg = {}) {
+    let tChars = fDefaultArg(pArg.chars, 'ascii');
+    let tCodes = tChars == 'ascii' ? [[0x20, 0x7e]] : (tChars == 'unicode' ? _gsunitUnicodeRanges : null);
+    let tList = tCodes == null ? Array.from(tChars) : null;
+    let tSimplest = tList != null ? tList[0] : 'a';
+    let tChar = new GsUnitGenerator(pRandom => {
+      if (tList != null)
+        return tList[Math.floor(pRandom() * tList.length)];
+      let tRange = tCodes[Math.floor(pRandom() * tCodes.length)];
+      return String.fromCodePoint(tRange[0] + Math.floor(pRandom() * (tRange[1] - tRange[0] + 1)));
+    }, pValue => pValue == tSimplest ? [] : [tSimplest]);
+    let tArray = GsUnitGen.array(tChar, { min: fDefaultArg(pArg.min, 0), max: fDefaultArg(pArg.max, 20) });
+    return new GsUnitGenerator(pRandom => tArray.generate(pRandom).join(''),
+      function* (pValue) {
+        for (let tShorter of tArray.shrink(Array.from(pValue)))
+          yield tShorter.join('');
+      });
+  },
+
+  /**
+   * A list of pGen values, pArg = {min: 0, max: 10}
+   */
+  array(pGen, pArg = {}) {
+    let tMin = pArg.min !== undefined ? pArg.min : 0;
+    let tMax = pArg.max !== undefined ? pArg.max : 10;
+    return new GsUnitGenerator(pRandom => {
+      let tLength = tMin + Math.floor(pRandom() * (tMax - tMin + 1));
+      return Array.from({ length: tLength }, () => pGen.generate(pRandom));
+    }, pValue => _shrinkList(pValue, tMin, pItem => pGen.shrink(pItem)));
+  },
+
+  /**
+   * An object with a value for each key of pShape.
+   * @param {obj} pShape - {key: generator, ...}
+   */
+  object(pShape) {
+    let tKeys = Object.keys(pShape);
+    return new GsUnitGenerator(pRandom => {
+      let tObj = {};
+      for (let tKey of tKeys)
+        tObj[tKey] = pShape[tKey].generate(pRandom);
+      return tObj;
+    }, function* (pValue) {
+      for (let tKey of tKeys)
+        for (let tValue of pShape[tKey].shrink(pValue[tKey]))
+          yield Object.assign({}, pValue, { [tKey]: tValue });
+    });
+  },
+
+  /**
+   * A Date from pMin to pMax, to the millisecond. It shrinks toward pMin.
+   */
+  date(pMin = new Date(Date.UTC(2000, 0, 1)), pMax = new Date(Date.UTC(2100, 0, 1))) {
+    let tMs = GsUnitGen.int(pMin.getTime(), pMax.getTime());
+    return new GsUnitGenerator(pRandom => new Date(tMs.generate(pRandom)),
+      function* (pValue) {
+        for (let tValue of _shrinkNum(pValue.getTime(), pMin.getTime(), true))
+          yield new Date(tValue);
+      });
+  },
+
+  /**
+   * A value like the ones from Range getValues(): '', a number, a string, true or false, or a Date.
+   */
+  cell() {
+    let tGens = {
+      int: GsUnitGen.int(),
+      float: GsUnitGen.float(),
+      string: GsUnitGen.string({ min: 1, max: 12 }),
+      boolean: GsUnitGen.bool(),
+      date: GsUnitGen.date(),
+    };
+    let tTypes = ['', 'int', 'float', 'string', 'string', 'boolean', 'date'];
+    return new GsUnitGenerator(pRandom => {
+      let tType = tTypes[Math.floor(pRandom() * tTypes.length)];
+      return tType == '' ? '' : tGens[tType].generate(pRandom);
+    }, function* (pValue) {
+      if (pValue === '')
+        return;
+      yield '';
+      if (typeof pValue === 'number')
+        yield* tGens[Number.isInteger(pValue) ? 'int' : 'float'].shrink(pValue);
+      else
+        yield* tGens[pValue instanceof Date ? 'date' : typeof pValue].shrink(pValue);
+    });
+  },
+
+  /**
+   * A 2-D array, like the values of a Range. Every row has the same number of columns.
+   * @param {GsUnitGenerator} pGen - the cell values. Default: GsUnitGen.cell()
+   * @param {obj} pArg = {minRows: 1, maxRows: 5, minCols: 1, maxCols: 5}
+   */
+  grid(pGen = GsUnitGen.cell(), pArg = {}) {
+    let tMinRows = pArg.minRows !== undefined ? pArg.minRows : 1;
+    let tMinCols = pArg.minCols !== undefined ? pArg.minCols : 1;
+    let tRows = GsUnitGen.int(tMinRows, fDefaultArg(pArg.maxRows, 5));
+    let tCols = GsUnitGen.int(tMinCols, fDefaultArg(pArg.maxCols, 5));
+    return new GsUnitGenerator(pRandom => {
+      let tNumRows = tRows.generate(pRandom);
+      let tNumCols = tCols.generate(pRandom);
+      return Array.from({ length: tNumRows }, () => Array.from({ length: tNumCols }, () => pGen.generate(pRandom)));
+    }, function* (pValue) {
+      let tNumCols = pValue.length > 0 ? pValue[0].length : 0;
+      for (let r = pValue.length - 1; r >= 0 && pValue.length > tMinRows; --r)
+        yield pValue.filter((pRow, i) => i != r);
+      for (let c = tNumCols - 1; c >= 0 && tNumCols > tMinCols; --c)
+        yield pValue.map(pRow => pRow.filter((pCell, i) => i != c));
+      for (let r = 0; r < pValue.length; ++r)
+        for (let c = 0; c < tNumCols; ++c)
+          for (let tCell of pGen.shrink(pValue[r][c]))
+            yield pValue.map((pRow, i) => i != r ? pRow : pRow.map((pOld, j) => j != c ? pOld : tCell));
+    });
+  },
+};
+
+// -----
+function* _shrinkNum(pValue, pTarget, pInt) {
+  // pTarget, then (for a float) fewer digits, then halfway, then closer and closer to pValue
+  if (pValue === pTarget)
+    return;
+  yield pTarget;
+  if (!pInt) {
+    let tSimpler = new Set([Math.trunc(pValue), ...[1, 2, 3].map(pDigits => Number(pValue.toPrecision(pDigits)))]);
+    for (let tValue of tSimpler)
+      if (tValue != pValue && tValue != pTarget)
+        yield tValue;
   }
+  // A float is not moved by less than 1, so it does not shrink to tiny numbers
+  for (let tDiff = (pValue - pTarget) / 2; pInt ? Math.trunc(tDiff) != 0 : Math.abs(tDiff) >= 1; tDiff /= 2)
+    yield pValue - (pInt ? Math.trunc(tDiff) : tDiff);
 }
 
-function gsunitSmokeTests(pTest, pUnit) {
-  pTest.addTest(testAssertsPass);
-  function testAssertsPass() {
-    pUnit.assertEqual('These should be equal', 5, 5, 'gsst1');
-    pUnit.assertNotEqual('These should not be equal', 5, 1, 'gsst2');
+// -----
+function* _shrinkList(pList, pMin, pShrinkItem) {
+  // Shorter lists first, then lists with a simpler item
+  if (pList.length > pMin)
+    yield pList.slice(0, pMin);
+  let tHalf = Math.floor(pList.length / 2);
+  if (tHalf > 0 && pList.length - tHalf >= pMin && tHalf > pMin) {
+    yield pList.slice(tHalf);
+    yield pList.slice(0, pList.length - tHalf);
   }
+  for (let i = 0; i < pList.length && pList.length > pMin; ++i)
+    yield pList.slice(0, i).concat(pList.slice(i + 1));
+  for (let i = 0; i < pList.length; ++i)
+    for (let tItem of pShrinkItem(pList[i]))
+      yield pList.slice(0, i).concat([tItem], pList.slice(i + 1));
+}
 
-  pTest.addTest(testAssertsFail_1);
-  function testAssertsFail_1() {
-    // An error is expected here. Don't fix this.
-    pUnit.assertEquals('An Error is expected here.', 5, 1, 'gsst3');
+/** ----------------------
+ * @function Run a property with generated values, and shrink the values if it fails.
+ * @param {array} pGens - a list of GsUnitGenerator, one for each of pProperty's args (or one generator)
+ * @param {function} pProperty - it fails if it throws (e.g. an AssertFail), or returns false.
+ *   It must not return a Promise.
+ * @param {obj} pArg = {runs: 100, seed: 0, maxShrinks: 1000}
+ *   seed - the values are the same for the same seed. 0 for a new random seed.
+ *   maxShrinks - the most shrunk values tried, so the most times pProperty is called while shrinking
+ * @returns {obj} {ok: true, runs, seed} or, if the property failed,
+ *   {ok: false, runs, seed, args, original, error, shrinks}
+ *   runs - the number of runs done. args - the shrunk counterexample. original - the first
+ *   failing args. error - the error (or AssertFail) for args. shrinks - the number of shrink steps.
+ * @example fCheckProperty([GsUnitGen.int(), GsUnitGen.int()], (a, b) => a + b == b + a, {seed: 42})
+ */
+function fCheckProperty(pGens, pProperty, pArg = {}) {
+  let tGens = Array.isArray(pGens) ? pGens : [pGens];
+  let tRuns = fDefaultArg(pArg.runs, 100);
+  let tSeed = fDefaultArg(pArg.seed, 0);
+  if (tSeed == 0)
+    tSeed = Math.floor(Math.random() * 0x7fffffff) + 1;
+  let tRandom = fSeededRandom(tSeed);
+  for (let tRun = 1; tRun <= tRuns; ++tRun) {
+    let tArgs = tGens.map(pGen => pGen.generate(tRandom));
+    let tError = _gsunitPropertyFails(pProperty, tArgs);
+    if (tError !== null)
+      return Object.assign({ ok: false, runs: tRun, seed: tSeed, original: tArgs },
+        _gsunitShrinkArgs(tGens, pProperty, tArgs, tError, fDefaultArg(pArg.maxShrinks, 1000)));
   }
+  return { ok: true, runs: tRuns, seed: tSeed };
+}
 
-  pTest.addTest(testAssertsFail_2);
-  function testAssertsFail_2() {
-    pUnit.assertNotEqual('A Fail is expected here.', 5, 5, 'gsst4');
+// -----
+function _gsunitPropertyFails(pProperty, pArgs) {
+  // Return the error, or null if the property holds for pArgs
+  let tRet;
+  try {
+    tRet = pProperty(...pArgs);
+  } catch (e) {
+    return e;
   }
+  if (fIsThenable(tRet))
+    throw new Error('The property returned a Promise. Async properties are not supported.');
+  return tRet === false ? new Error('The property returned false.') : null;
+}
 
-  pTest.addTest(testAssertsFail_3);
-  function testAssertsFail_3() {
-    pUnit.assertEqual('A Fail is expeced here.', 5, 1, 'gsst5');
+// -----
+function _gsunitShrinkArgs(pGens, pProperty, pArgs, pError, pMax) {
+  let tResult = { args: pArgs, error: pError, shrinks: 0 };
+  let tTries = 0;
+  let tShrunk = true;
+  while (tShrunk && tTries < pMax) {
+    tShrunk = false;
+    for (let i = 0; i < tResult.args.length && !tShrunk && tTries < pMax; ++i)
+      for (let tValue of pGens[i].shrink(tResult.args[i])) {
+        // A value that is the same is not simpler. It is counted, so an endless shrink list stops.
+        if (++tTries > pMax)
+          break;
+        if (fObjDiff(tValue, tResult.args[i]).length == 0)
+          continue;
+        let tArgs = tResult.args.slice();
+        tArgs[i] = tValue;
+        let tError = _gsunitPropertyFails(pProperty, tArgs);
+        if (tError !== null) {
+          Object.assign(tResult, { args: tArgs, error: tError, shrinks: tResult.shrinks + 1 });
+          tShrunk = true;
+        }
+        if (tShrunk || tTries >= pMax)
+          break;
+      }
   }
-} // gsunitSmokeTests
+  return tResult;
+}
+
+// -----
+function _gsunitShowArgs(pArgs) {
+  return pArgs.map(pVal => {
+    if (typeof pVal === 'string')   // Show the invisible characters
+      return JSON.stringify(pVal).replace(/[\u00ad\u200b-\u200f\u2028\u2029\ufeff]/g,
+        pC => '\\u' + pC.charCodeAt(0).toString(16).padStart(4, '0'));
+    if (typeof pVal === 'number')
+      return Object.is(pVal, -0) ? '-0' : String(pVal);
+    return pVal instanceof Date ? 'Date(' + pVal.toISOString() + ')' : fShowValue(pVal);
+  }).join(', ');
+}
+
+// ======================================================================
+/**
+ * @param {obj} pArg = {name: 'SheetName', debug: true, gsunit: gsunitobj, host: hostobj, filter: filterobj, store: storeobj}
+ *   host is optional. See fGsUnitHost() for its properties.
+ *   filter is optional. See runTests() for its properties.
+ *   store is optional. See the checkpoint properties below, and PropertiesStore.
+ * @example let tRun = new RunTests({gsunit: tUnit, name: 'UnitTests'});
+ * @example tRun.createSheet('SmokeTests');
+ * @example let tSheetName = tRun.name;
+ * @example let tRun = new RunTests({name: 'UnitTests', host: {spreadsheet: tSs, ui: null}});
+ */
+class RunTests {
+  constructor(pArg = {}) {
+    // Private
+    this._testList = [];   // [{fun: pTest, suite: tSuite, tags: []}, ...]
+    this._suiteList = [];  // [{name: 'defName', beforeAll: [], ..., pass: 0, fail: 0, err: 0, hook: 0, skip: 0, ...}, ...]
+
+    // Public
+    this.name = fDefaultArg(pArg.name, 'UnitTests');
+    this.debug = fDefaultArg(pArg.debug, false);
+    this.gsunit = fDefaultArg(pArg.gsunit, null);
+    this.filter = fDefaultArg(pArg.filter, {});  // Select the tests to run. See runTests()
+    this.version = '$Revision: 1.25 $';
+
+    this.host = fGsUnitHost(pArg.host);
+    this.ss = this.host.spreadsheet;
+    if (this.ss == null)
+      throw Error('No active ss');
+    this.ui = this.host.ui;
+    if (this.ui == null && !this.host.noUi)
+      throw new Error('No active ui)');
+    this.st = this.ss.getActiveSheet();
+    this.selectSheet('constructor');
+    if (this.st == null)
+      throw new Error('No active st');
+
+    this.err = 0;
+    this.fail = 0;
+    this.pass = 0;
+    this.timeout = 0;
+    this.hook = 0;   // Fail or Error in a beforeAll, afterAll, beforeEach, or afterEach function
+    this.skip = 0;   // Tests not run, see the addTest skip arg
+    this.todo = 0;   // See addTodo()
+    this.xfail = 0;  // Expected Fail or Error, see the addTest expect arg
+    this.xpass = 0;  // Expected Fail or Error, but the test passed
+    this.testTimeout = 0;  // Default time limit for each test, in milliseconds. 0 for no limit.
+    this.runTimeout = 0;   // Time limit for runTests(), in milliseconds. 0 for no limit.
+
+    // Checkpoints. If runTests() takes longer than timeBudget, it stops before the next
+    // test and saves the counts in store. The next runTests() call continues from there.
+    // Apps Script stops a script after 6 minutes, so 5 * 60 * 1000 is a good timeBudget.
+    this.timeBudget = 0;   // milliseconds. 0 for no limit. A store is needed if it is set.
+    this.store = fDefaultArg(pArg.store, null);  // null, PropertiesStore, or MemStore
+    this.resumeTrigger = '';  // Name of a runName function to call with a time-driven trigger
+    this.resumeDelay = 60 * 1000;  // milliseconds
+    this.resumeTriggerId = '';  // The id of the trigger added by the last checkpoint, or ''
+    this.checkpointId = '';   // The checkpoint is saved by this id. Default: name
+    this.resumedAt = 0;       // Number of tests done by the earlier runTests() calls
+    this.checkpointed = false;  // true if the last runTests() stopped at a checkpoint
+
+    // History. If historySheet is set, each run is appended to that sheet, and
+    // compared with the last run that had the same filter. See fCompareRuns()
+    // The test statuses are in the sheet historySheet + ' Tests', one row per test.
+    this.historySheet = '';  // e.g. 'UnitTests History'. '' for no history.
+    this.regression = null;  // {failing: [], fixed: [], added: [], removed: [], previous: date}
+    this._statuses = {};     // {'suite/testName': status}
+
+    // Random order. If shuffle is true, the suites, and the tests in each suite, are run
+    // in an order given by seed. Use the usedSeed of a run, to run that order again.
+    this.shuffle = false;
+    this.seed = 0;       // 0 for a new random seed each run
+    this.usedSeed = 0;   // The seed used by the last runTests(). See the summary.
+    // If orderCheck is true, the tests are run twice: first quietly, then in the reverse
+    // order. The tests with a different status in each run are listed in orderDependent.
+    this.orderCheck = false;
+    this.orderDependent = [];  // [{key: 'suite/testName', first: status, second: status}]
+    this._quiet = false;       // true for the first orderCheck run. Nothing is reported.
+    this._reverse = false;
+    this._firstStatuses = null;
+    this.email = '';  // See notifyWhen
+    // Send the summary to this.email (with host.mailApp), and to webhookUrl (with host.urlFetchApp).
+    // never, always, failure (only if hasFailures()), or changed (only if the failures changed
+    // since the last run; see historySheet. Without a historySheet, the pass/fail is saved in store.)
+    this.notifyWhen = 'never';
+    this.webhookUrl = '';  // e.g. a Google Chat or Slack incoming webhook
+    this.showInConsole = true; // Show each pass/fail in console. Also summary
+    this.showInSheet = false;  // Show each pass/fail in sheet. Also summary
+    this.showPass = false;     // Show pass results if true
+    this.showToast = true;     // Show summary in toast
+    this.showResults = true;     // Show results at end
+    this.errColor = '#bbbbff';   // light-blue
+    this.hookColor = '#ffdd99';  // light-orange
+    this.timeoutColor = '#ddbbff'; // light-purple
+    this.skipColor = '#eeeeee';  // light-grey
+    this.todoColor = '#ffffcc';  // light-yellow
+    this.xfailColor = '#bbeeee'; // light-cyan
+    this.xpassColor = '#ff9966'; // orange
+    this.failColor = '#ffbbbb';  // light-red
+    this.passColor = '#bbffbb';  // light-green
+    this.titleColor = '#dddddd'; // grey
+    this.markColor = '#ffff00';  // yellow
+    this.resultWidth = 700;      // pixels
+    this.sheetBatchSize = 50;    // Result rows are written to the sheet in batches of this size
+    this._rowBuffer = [];        // [{row, color}], see _appendResult()
+    this.reporters = [];         // See addReporter()
+    this._restoreList = [];      // [{scope: 'run'|'suite'|'test', restore: fun, fixture: name}], see useFake()
+    this.fixturePrefix = 'gsunit-tmp-';  // See fixtureSheet()
+    this.keepFixtures = false;  // true: the fixtures of a failed test (or suite) are not removed
+    this._scope = 'run';
+
+    this._consoleReporter = new ConsoleReporter();
+    this._sheetReporter = new SheetReporter();
+    this._toastReporter = new ToastReporter();
+    this._notifyReporter = new NotifyReporter();
+  } // RunTests
+
+  /** ---------------------
+   * @method Output pMsg to console if this.debug is true
+   * @param {string} pMsg
+   */
+  debugMsg(pMsg) {
+    if (this.debug)
+      console.info('Debug: ' + pMsg);
+  }
+
+  /** ---------------------
+   * @method Create this.name sheet if it is not defined. Otherwise activate the sheet.
+   * @param {string} pCaller - what function call this. Used for debugging.
+   * @example let st = tRun.createSheet();
+   */
+  selectSheet(pCaller = 'na') {
+    try {
+      //this.debugMsg('In selectSheet: ' + pCaller + ' this.name=' + this.name);
+      this.st = this.ss.getSheetByName(this.name);
+      if (this.st == null || this.st == {}) {
+        this.debugMsg('insertSheet');
+        this.st = this.ss.insertSheet(this.name);
+      }
+      if (this.st == null)
+        throw new Error('Internal st is null');
+      this.st.activate();
+      /*if (this.debug) {
+        let tSheets = this.ss.getSheets();
+        for (let tSheet of tSheets) {
+          console.info('Sheet: ', tSheet.getName());
+        }
+      }*/
+    } catch (e) {
+      console.error(e.stack);
+      throw e;
+    }
+  } // selectSheet
+
+  /** ---------------------
+   * @method Output pMsg to the "toast" display. toast is usually called directly.
+   * @param {string} pMsg - limited to 135 characters
+   * @example tRun.toast('Created: ' + tRun.name);
+   */
+  toast(pMsg, pTitle = '', pTime = -1) {
+    this.host.toast(pMsg, pTitle, pTime);
+  }
+
+  /** ---------------------
+   * @method Clear all of the test counts and clear the result sheet.
+   * The result sheet is not cleared if there is a checkpoint to continue from.
+   */
+  resetTests() {
+    //this.debugMsg('In resetTests');
+    this.err = 0;
+    this.fail = 0;
+    this.pass = 0;
+    this.timeout = 0;
+    this.hook = 0;
+    this.skip = 0;
+    this.todo = 0;
+    this.xfail = 0;
+    this.xpass = 0;
+    this._testList = [];
+    this._suiteList = [];
+    if (this.showInSheet && !this.hasCheckpoint()) {
+      this.st.clear();
+    }
+  }
+
+  /** ---------------------
+   * @method Start a new suite of tests. This is usually called with the defName function's
+   * name, before the defName function is called. The following addTest, beforeAll, afterAll,
+   * beforeEach, and afterEach calls are added to this suite.
+   * @param {string} pName
+   * @example tRun.addSuite(gsunitSmokeTests.name); gsunitSmokeTests(tRun, tUnit);
+   */
+  addSuite(pName) {
+    let tSuite = {
+      name: pName, beforeAll: [], afterAll: [], beforeEach: [], afterEach: [],
+      pass: 0, fail: 0, err: 0, timeout: 0, hook: 0, skip: 0, todo: 0, xfail: 0, xpass: 0,
+    };
+    this._suiteList.push(tSuite);
+    return tSuite;
+  }
+
+  /** ---------------------
+   * @private
+   * @method Get the current suite. A 'default' suite is added if addSuite was not called.
+   */
+  _curSuite() {
+    if (this._suiteList.length == 0)
+      return this.addSuite('default');
+    return this._suiteList[this._suiteList.length - 1];
+  }
+
+  /** ---------------------
+   * @method Add a test function to the list of test functions to be run.
+   * @param {function} pTest
+   * @param {obj} pArg = {id: '', description: '', tags: [], timeout: 0, soft: false, skip: false, only: false, expect: ''}
+   *   id - the test's id, unique in the suite. Default: the function's name. For an
+   *     anonymous function: 'test' and its number in the suite. 'suite/id' is the test's
+   *     key, used by the history, checkpoints, and the filter.
+   *   description - optional. Shown after the id in the results.
+   *   tags - list of tag names, used for selecting tests. See runTests()
+   *   timeout - time limit in milliseconds. Default: this.testTimeout
+   *   soft - if true, run the test in soft mode. See GsUnit.soft()
+   *   skip - true, or a reason string. The test is not run, and it has a Skip status.
+   *   only - if any test has only set, only those tests are run.
+   *   expect - 'Fail', 'Error', or a list of them. If the test has one of these statuses,
+   *     it is counted as an XFail. If the test passes, it has an XPass status, which is
+   *     counted as a failure.
+   * @example pTest.addTest(testGetFiles, {tags: ['smoke', 'drive'], timeout: 20000});
+   * @example pTest.addTest(() => pUnit.assertTrue('Empty', tList.length == 0), {id: 'testEmpty', description: 'No files'});
+   * @example pTest.addTest(testOldApi, {skip: 'Waiting for the API fix'});
+   * @example pTest.addTest(testKnownBug, {expect: 'Fail'});
+   */
+  addTest(pTest, pArg = {}) {
+    if (typeof (pTest) != 'function') {
+      ++this.err;
+      throw new Error('addTest argument is not a function.')
+    }
+    let tTags = fDefaultArg(pArg.tags, []);
+    if (typeof tTags == 'string')
+      tTags = [tTags];
+    let tExpect = fDefaultArg(pArg.expect, []);
+    if (typeof tExpect == 'string')
+      tExpect = tExpect == '' ? [] : [tExpect];
+    if (tExpect.some(pStatus => !['Fail', 'Error'].includes(pStatus))) {
+      ++this.err;
+      throw new Error('addTest expect must be Fail or Error.');
+    }
+    let tSkip = fDefaultArg(pArg.skip, false);
+    let tSuite = this._curSuite();
+    let tId = fDefaultArg(pArg.id, '');
+    if (tId === '')
+      tId = this._deriveId(pTest, tSuite);
+    else if (this._testList.some(pT => pT.suite === tSuite && pT.id == tId)) {
+      ++this.err;
+      throw new Error('addTest: the id "' + tId + '" is already in suite ' + tSuite.name);
+    }
+    this._testList.push({
+      fun: pTest, suite: tSuite, tags: tTags, timeout: fDefaultArg(pArg.timeout, 0),
+      id: tId,
+      description: fDefaultArg(pArg.description, ''),
+      soft: fDefaultArg(pArg.soft, false),
+      skip: tSkip !== false,
+      todo: false,
+      reason: typeof tSkip == 'string' ? tSkip : '',
+      only: fDefaultArg(pArg.only, false),
+      expect: tExpect,
+      each: null,        // See addTestEach()
+      params: undefined,
+      codeSuffix: '',
+    });
+  }
+
+  /** ---------------------
+   * @private
+   * @method Make a test id from the function's name. "bound " is removed, and an anonymous
+   * function is named 'test' and its number in the suite. A number is added if the id is used.
+   */
+  _deriveId(pFun, pSuite, pSuffix = '') {
+    let tInSuite = this._testList.filter(pTest => pTest.suite === pSuite);
+    let tBase = pFun.name.replace(/^(bound )+/, '');
+    if (tBase == '')
+      tBase = 'test' + (tInSuite.length + 1);
+    let tId = tBase;
+    for (let i = 2; tInSuite.some(pTest => pTest.id == tId + pSuffix); ++i)
+      tId = tBase + '-' + i;
+    return tId;
+  }
+
+  /** ---------------------
+   * @method Add a data-driven test. pTest is run once for each case, and each case is
+   * reported as a separate test, with the case's values in the Function column.
+   * The failed asserts' pCodes have '-' and the case number added, e.g. 'gsdd1-3'
+   * @param {function} pTest - called with (pCase, pNum). pNum starts at 1.
+   * @param {array|string} pCases - one of:
+   *   a list of cases, e.g. [{a: 1, b: 2, sum: 3}, ...]
+   *   a 2-D array. The first row has the parameter names, e.g. [['a', 'b', 'sum'], [1, 2, 3], ...]
+   *   the name of a named range, or a sheet, in the spreadsheet. The first row has the parameter names.
+   * @param {obj} pArg - the addTest() args, used for each case
+   * @example pTest.addTestEach(testSum, [['a', 'b', 'sum'], [1, 2, 3], [2, 2, 4]]);
+   * @example pTest.addTestEach(testSum, 'SumCases');
+   */
+  addTestEach(pTest, pCases, pArg = {}) {
+    if (typeof (pTest) != 'function') {
+      ++this.err;
+      throw new Error('addTestEach argument is not a function.')
+    }
+    let tCases = typeof pCases == 'string' ? this._tableCases(pCases) : pCases;
+    if (tCases.length > 0 && tCases.every(pRow => Array.isArray(pRow)))
+      tCases = _gsunitTableRows(tCases);
+    let tBase = fDefaultArg(pArg.id, '') !== '' ? pArg.id : this._deriveId(pTest, this._curSuite(), '[1]');
+    tCases.forEach((pCase, i) => {
+      let tFun = () => pTest(pCase, i + 1);
+      Object.defineProperty(tFun, 'name', { value: tBase + '[' + (i + 1) + ']' });
+      this.addTest(tFun, Object.assign({}, pArg, { id: tFun.name }));
+      Object.assign(this._testList[this._testList.length - 1], { each: pTest, params: pCase, codeSuffix: '-' + (i + 1) });
+    });
+  }
+
+  /** ---------------------
+   * @method Add a property test. It calls gsunit.assertProperty() with pProperty.
+   * @param {function} pProperty - called with one value from each of pGens. The test's id is its name.
+   * @param {array} pGens - a list of GsUnitGenerator. See GsUnitGen
+   * @param {obj} pArg - the addTest() args, and {runs: 100, seed: 0, maxShrinks: 1000, message: '', code: ''}
+   *   seed - default: this.seed, so a run with a seed (e.g. node: --seed n) uses the same values.
+   *   Use the seed in the fail message to run the same values again.
+   * @example pTest.addProperty(function propFileName(pName) { pUnit.assertEqual('', fCleanName(fCleanName(pName)), fCleanName(pName)); },
+   *   [GsUnitGen.string({chars: 'unicode'})], {runs: 200, code: 'fn1'});
+   */
+  addProperty(pProperty, pGens, pArg = {}) {
+    if (typeof (pProperty) != 'function') {
+      ++this.err;
+      throw new Error('addProperty argument is not a function.')
+    }
+    let tFun = () => {
+      let tUnit = this.gsunit != null ? this.gsunit : new GsUnit({ name: this.name });
+      tUnit.assertProperty(fDefaultArg(pArg.message, ''), pGens, pProperty, fDefaultArg(pArg.code, ''),
+        { runs: pArg.runs, seed: fDefaultArg(pArg.seed, this.seed), maxShrinks: pArg.maxShrinks });
+    };
+    Object.defineProperty(tFun, 'name', { value: pProperty.name });
+    this.addTest(tFun, pArg);
+  }
+
+  /** ---------------------
+   * @private
+   * @method Get the values of a named range, or a sheet, for addTestEach().
+   */
+  _tableCases(pName) {
+    let tRange = typeof this.ss.getRangeByName === 'function' ? this.ss.getRangeByName(pName) : null;
+    if (tRange == null) {
+      let tSheet = this.ss.getSheetByName(pName);
+      if (tSheet == null) {
+        ++this.err;
+        throw new Error('addTestEach: there is no named range or sheet: ' + pName);
+      }
+      tRange = tSheet.getDataRange();
+    }
+    return tRange.getValues();
+  }
+
+  /** ---------------------
+   * @method Add a placeholder for a test that has not been written yet.
+   * It is not run, and it has a Todo status.
+   * @param {string} pName - the test's name
+   * @param {obj} pArg = {tags: [], reason: '', description: ''}
+   * @example pTest.addTodo('testSheetProtection', {reason: 'Needs a shared drive'});
+   */
+  addTodo(pName, pArg = {}) {
+    let tFun = function () { };
+    Object.defineProperty(tFun, 'name', { value: pName });
+    this.addTest(tFun, { tags: pArg.tags, id: pName, description: pArg.description });
+    let tTest = this._testList[this._testList.length - 1];
+    tTest.todo = true;
+    tTest.reason = fDefaultArg(pArg.reason, '');
+  }
+
+  /** ---------------------
+   * @method Add setup and cleanup functions to the current suite.
+   *   beforeAll - called once, before the first test in the suite
+   *   afterAll - called once, after the last test in the suite
+   *   beforeEach - called before each test in the suite
+   *   afterEach - called after each test in the suite
+   * The afterEach and afterAll functions are always called, even if a test or
+   * hook had a Fail or Error. If a beforeAll function fails, the suite's tests are
+   * not run. If a beforeEach function fails, that test is not run.
+   * A Fail or Error in a hook is counted in this.hook, not in the test's counts.
+   * @param {function} pFun
+   * @example
+   *   let tFolder;
+   *   pTest.beforeEach(function makeFolder() { tFolder = DriveApp.createFolder('test-tmp'); });
+   *   pTest.afterEach(function rmFolder() { tFolder.setTrashed(true); });
+   */
+  beforeAll(pFun) { this._addHook('beforeAll', pFun); }
+  afterAll(pFun) { this._addHook('afterAll', pFun); }
+  beforeEach(pFun) { this._addHook('beforeEach', pFun); }
+  afterEach(pFun) { this._addHook('afterEach', pFun); }
+
+  _addHook(pKind, pFun) {
+    if (typeof (pFun) != 'function') {
+      ++this.err;
+      throw new Error(pKind + ' argument is not a function.');
+    }
+    this._curSuite()[pKind].push(pFun);
+  }
+
+  /** ---------------------
+   * @method Replace a global (e.g. an Apps Script service) with pFake. The global is
+   * restored after the test. If called in a beforeAll function, it is restored after
+   * the suite. If called outside of runTests(), it is restored at the end of the run.
+   * @param {string} pName - name of the global, e.g. 'DriveApp'
+   * @param {obj} pFake - e.g. new MemDriveApp()
+   * @returns {obj} pFake
+   * @example let tDrive = pTest.useFake('DriveApp', new MemDriveApp());
+   */
+  useFake(pName, pFake) {
+    let tGlobal = _gsunitGlobal();
+    let tOwn = Object.prototype.hasOwnProperty.call(tGlobal, pName);
+    let tOrig = tGlobal[pName];
+    tGlobal[pName] = pFake;
+    this._restoreList.push({
+      scope: this._scope,
+      restore: () => {
+        if (tOwn)
+          tGlobal[pName] = tOrig;
+        else
+          delete tGlobal[pName];
+      },
+    });
+    return pFake;
+  }
+
+  /** ---------------------
+   * @method Same as fStub() and fSpyOn(), but the method is restored like useFake().
+   * @example let tSend = pTest.stub(MailApp, 'sendEmail');
+   */
+  stub(pObj, pName, pImpl) {
+    let tSpy = fStub(pObj, pName, pImpl);
+    this._restoreList.push({ scope: this._scope, restore: tSpy.restore });
+    return tSpy;
+  }
+
+  spyOn(pObj, pName) {
+    let tSpy = fSpyOn(pObj, pName);
+    this._restoreList.push({ scope: this._scope, restore: tSpy.restore });
+    return tSpy;
+  }
+
+  /** ---------------------
+   * @method Call pFun when the test is done, even if it failed. Like useFake(), if called
+   * in a beforeAll function, pFun is called after the suite.
+   * @example let tId = makeReport(); pTest.addCleanup(() => DriveApp.getFileById(tId).setTrashed(true));
+   */
+  addCleanup(pFun) {
+    this._restoreList.push({ scope: this._scope, restore: pFun });
+  }
+
+  /** ---------------------
+   * @method Return a unique name for a fixture: fixturePrefix + pName + '-' + time + '-' + n
+   * The time is used by fSweepFixtures().
+   */
+  fixtureName(pName = 'tmp') {
+    return this.fixturePrefix + pName + '-' + Date.now().toString(36) + '-' + (++RunTests._fixtureCount);
+  }
+
+  /** ---------------------
+   * @method Temporary test data, with unique names. Each fixture is removed after the test
+   * (or suite, or run), like useFake(). If this.keepFixtures is true, and the test (or suite)
+   * failed, the fixture is kept, and its name is shown in the console.
+   *   fixtureSheet - a sheet in this.ss. It is deleted.
+   *   fixtureSpreadsheet - a new spreadsheet. It is trashed, with host.driveApp.
+   *   fixtureFolder - a Drive folder in host.driveApp. It is trashed.
+   *   fixtureFile - a Drive file in host.driveApp. It is trashed.
+   * Use fSweepFixtures() to remove the fixtures left by a run that did not finish.
+   * @param {string} pName - part of the name, see fixtureName()
+   * @example let tSheet = pTest.fixtureSheet('input'); tSheet.getRange('A1').setValue(3);
+   */
+  fixtureSheet(pName = 'sheet') {
+    let tActive = this.ss.getActiveSheet();
+    let tSheet = this.ss.insertSheet(this.fixtureName(pName));
+    if (tActive != null)
+      tActive.activate();
+    this._addFixture(tSheet.getName(), () => this.ss.deleteSheet(tSheet));
+    return tSheet;
+  }
+
+  fixtureSpreadsheet(pName = 'spreadsheet') {
+    let tDrive = this._driveApp('fixtureSpreadsheet');
+    let tSs = this.host.app.create(this.fixtureName(pName));
+    this._addFixture(tSs.getName(), () => tDrive.getFileById(tSs.getId()).setTrashed(true));
+    return tSs;
+  }
+
+  fixtureFolder(pName = 'folder') {
+    let tFolder = this._driveApp('fixtureFolder').createFolder(this.fixtureName(pName));
+    this._addFixture(tFolder.getName(), () => tFolder.setTrashed(true));
+    return tFolder;
+  }
+
+  /**
+   * @param {string} pContent - optional
+   * @param {string} pMimeType - optional, default: 'text/plain'
+   */
+  fixtureFile(pName = 'file', pContent = '', pMimeType = 'text/plain') {
+    let tFile = this._driveApp('fixtureFile').createFile(this.fixtureName(pName), pContent, pMimeType);
+    this._addFixture(tFile.getName(), () => tFile.setTrashed(true));
+    return tFile;
+  }
+
+  _addFixture(pName, pRemove) {
+    this._restoreList.push({ scope: this._scope, restore: pRemove, fixture: pName });
+  }
+
+  _driveApp(pCaller) {
+    if (this.host.driveApp == null)
+      throw new Error(pCaller + ': there is no host driveApp');
+    return this.host.driveApp;
+  }
+
+  /** ---------------------
+   * @private
+   * @method Restore the fakes and stubs, and remove the fixtures, for pScope, in reverse order.
+   * @param {boolean} pFailed - true if the test, suite, or run failed. See keepFixtures.
+   */
+  _restore(pScope, pFailed = false) {
+    for (let i = this._restoreList.length - 1; i >= 0; --i) {
+      let tItem = this._restoreList[i];
+      if (tItem.scope != pScope)
+        continue;
+      this._restoreList.splice(i, 1);
+      if (tItem.fixture !== undefined && pFailed && this.keepFixtures) {
+        console.warn('Kept the fixture: ' + tItem.fixture);
+        continue;
+      }
+      try {
+        tItem.restore();
+      } catch (e) {
+        console.warn('Cleanup failed' + (tItem.fixture !== undefined ? ' for ' + tItem.fixture : '') + ': ' + e.message);
+      }
+    }
+  }
+
+  /** ---------------------
+   * @method List the suites, and their test function names and tags.
+   * Only the tests selected by this.filter are listed.
+   */
+  listTests() {
+    let tTests = this._runList();
+    let tSuites = this._suiteList.filter(pSuite => tTests.some(pTest => pTest.suite === pSuite));
+    console.info('List ' + tTests.length + ' tests in ' + tSuites.length + ' suites:');
+    for (let tSuite of tSuites) {
+      console.info(tSuite.name);
+      for (let tTest of tTests.filter(pTest => pTest.suite === tSuite))
+        console.info('  ' + _gsunitTestName(tTest) +
+          (tTest.tags.length > 0 ? ' [' + tTest.tags.join(', ') + ']' : '') +
+          (tTest.skip ? ' (skip)' : '') + (tTest.todo ? ' (todo)' : ''));
+    }
+  }
+
+  /** ---------------------
+   * @private
+   * @method Return the tests that will be run, in suite order. Only the tests selected
+   * by this.filter are returned, and if any of them have the addTest only arg, only those.
+   */
+  _runList() {
+    let tTests = [].concat(...this._suiteList.map(pSuite =>
+      this._testList.filter(pTest => pTest.suite === pSuite && this._selected(pTest))));
+    if (tTests.some(pTest => pTest.only))
+      tTests = tTests.filter(pTest => pTest.only);
+    return tTests;
+  }
+
+  /** ---------------------
+   * @private
+   * @method Return true if pTest is selected by this.filter. See runTests()
+   */
+  _selected(pTest) {
+    let tFilter = this.filter;
+    if (tFilter == null)
+      return true;
+    if (tFilter.suite !== undefined && !_any(tFilter.suite, pPat => _match(pPat, pTest.suite.name)))
+      return false;
+    if (tFilter.tag !== undefined && !_any(tFilter.tag, pTag => pTest.tags.includes(pTag)))
+      return false;
+    if (tFilter.test !== undefined && !_any(tFilter.test, pPat => _match(pPat, pTest.id, true)))
+      return false;
+    if (tFilter.code !== undefined && !_any(tFilter.code, pCode => _hasCode(pTest.each != null ? pTest.each : pTest.fun, pCode)))
+      return false;
+    if (tFilter.key !== undefined && !_any(tFilter.key, pKey => pKey == _gsunitTestKey(pTest)))
+      return false;
+    return true;
+
+    // -----
+    function _any(pList, pFun) {
+      return (Array.isArray(pList) ? pList : [pList]).some(pFun);
+    }
+    // -----
+    function _match(pPat, pName, pPart = false) {
+      if (pPat instanceof RegExp)
+        return pPat.test(pName);
+      return pPart ? pName.includes(pPat) : pName == pPat;
+    }
+    // -----
+    function _hasCode(pFun, pPrefix) {
+      // Look for a quoted string, starting with pPrefix, in the test's source
+      let tPrefix = pPrefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      return new RegExp('([\'"`])' + tPrefix + '[^\'"`]*\\1').test(pFun.toString());
+    }
+  }
+
+  /** ---------------------
+   * @method Create the heading for the test result sheet.
+   */
+  _sheetHeading() {
+    this.selectSheet('_sheetHeading');
+    this.st.insertRowBefore(1);
+    this.st.getRange(1, 1, 1, 5).setValues([['Status', 'Count', 'Function', 'Results', 'Location']]).setBackground(this.titleColor).setFontWeight("bold");
+  }
+
+  /** ---------------------
+   * @method Format the sheet's column sizes.
+   */
+  formatSheet() {
+    this.flushResults();
+    this.selectSheet('formatSheet');
+    this.st.autoResizeColumns(1, 3); // Columns: Status, Count, Function
+    this.st.autoResizeColumns(5, 1); // Column: Location
+    this.st.setColumnWidth(4, this.resultWidth);  // Column: Result width
+    let tNumRows = this.pass + this.fail + this.err + this.timeout + this.hook +
+      this.skip + this.todo + this.xfail + this.xpass + 2 * this._suiteList.length + 14;
+    this.st.getRange(1, 4, tNumRows).setWrapStrategy(this.host.app.WrapStrategy.WRAP);
+  }
+
+  /** ---------------------
+   * @private
+   * @method Append the test result to the sheet. The rows are saved, and written
+   * together by flushResults(), after this.sheetBatchSize rows.
+   * @param {array} pRow - array of row values to be appended to sheet
+   * @param {string} pColor - pass, fail, or error color
+   */
+  _appendResult(pRow, pColor) {
+    this._rowBuffer.push({ row: pRow, color: pColor });
+    if (this._rowBuffer.length >= this.sheetBatchSize)
+      this.flushResults();
+  }
+
+  /** ---------------------
+   * @method Write the saved result rows after the last row of the sheet, with one
+   * setValues() and one setBackgrounds() call. Only the first column is colored.
+   */
+  flushResults() {
+    if (this._rowBuffer.length == 0)
+      return;
+    let tRows = this._rowBuffer;
+    this._rowBuffer = [];
+    this.selectSheet('flushResults');
+    let tWidth = Math.max(...tRows.map(pItem => pItem.row.length));
+    let tStart = this.st.getLastRow() + 1;
+    this.st.getRange(tStart, 1, tRows.length, tWidth)
+      .setValues(tRows.map(pItem => pItem.row.concat(new Array(tWidth - pItem.row.length).fill(''))));
+    this.st.getRange(tStart, 1, tRows.length, 1).setBackgrounds(tRows.map(pItem => [pItem.color]));
+  }
+
+  /** -------------------------------
+   * @method This is the main function for running all of the test in testList.
+   * Only the tests selected by this.filter are run. All of the filter properties are
+   * optional, and they can be a single value or a list. A test must match all of the
+   * given properties, and any value in a list.
+   *   this.filter = {suite: 'defName', tag: 'smoke', test: 'testGet', code: 'gsst'}
+   *   suite - suite name (or a RegExp)
+   *   tag - a tag given to addTest
+   *   test - part of the test's id (or a RegExp). See addTest()
+   *   code - pCode prefix. The test's source must have a string starting with the prefix.
+   *   key - 'suite/testName', to select one test exactly
+   * The results are sent to the reporters. See GsUnitReporter.
+   *
+   * A test function can return a Promise. It is awaited, and a rejection with an
+   * AssertFail is a Fail, any other rejection is an Error. The first time a Promise
+   * is returned, runTests() also returns a Promise, which resolves when all of the
+   * tests are done. If all of the tests are synchronous, nothing is returned.
+   *
+   * A test that runs longer than its timeout (see addTest) or this.testTimeout has a
+   * Timeout status. When the run has taken longer than this.runTimeout, the rest of the
+   * tests are not run, and they have a Timeout status. A Promise is stopped waiting for
+   * when its time is up, if setTimeout is defined (node). Otherwise (Apps Script) the
+   * time is only checked after the test is done.
+   *
+   * If this.timeBudget is used up, the run stops at a checkpoint. See the constructor.
+   *
+   * If this.shuffle is true, the tests are run in a random order, given by this.seed.
+   * If this.orderCheck is true, the tests are run twice, and this.orderDependent lists
+   * the tests with a different status in the second run. See the constructor.
+   * @example tRun.filter = {tag: ['smoke', 'drive'], test: /^testGet/}; tRun.runTests();
+   * @example await tRun.runTests();
+   * @example tRun.shuffle = true; tRun.seed = 12345; tRun.orderCheck = true; tRun.runTests();
+   */
+  runTests() {
+    //this.debugMsg('In runTests');
+    if (this.timeBudget > 0 && this.store == null) {
+      ++this.err;
+      throw new Error('runTests: a timeBudget needs a store, to save the checkpoint. E.g. new PropertiesStore()');
+    }
+    this._runStart = Date.now();
+    this.orderDependent = [];
+    return this._drive(this._flushGen(this.orderCheck ? this._orderCheckGen() : this._runGen()));
+  }
+
+  /** ---------------------
+   * @private
+   * @method Run the pGen generator, then write the buffered result rows, even if pGen throws.
+   * See _appendResult()
+   */
+  *_flushGen(pGen) {
+    try {
+      return yield* pGen;
+    } finally {
+      this.flushResults();
+    }
+  }
+
+  /** ---------------------
+   * @private
+   * @method Generator for runTests(), if this.orderCheck. The tests are run quietly,
+   * then the counts are reset, and they are run again in the reverse order.
+   * There are no checkpoints, because this.timeBudget is not used.
+   */
+  *_orderCheckGen() {
+    let tAsserts = this.gsunit != null ? this.gsunit.numAsserts : 0;
+    let tBudget = this.timeBudget;
+    this.timeBudget = 0;
+    this._quiet = true;
+    try {
+      yield* this._runGen();
+    } finally {
+      this._quiet = false;
+      this.timeBudget = tBudget;
+    }
+    this._firstStatuses = this._statuses;
+    for (let tObj of [this].concat(this._suiteList))
+      for (let tKey of _gsunitCountKeys)
+        tObj[tKey] = 0;
+    if (this.gsunit != null)
+      this.gsunit.numAsserts = tAsserts;
+    let tSeed = this.seed;
+    this.seed = this.usedSeed;  // The same shuffle, then reversed
+    this._reverse = true;
+    try {
+      yield* this._runGen();
+    } finally {
+      this.seed = tSeed;
+      this._reverse = false;
+      this._firstStatuses = null;
+    }
+  }
+
+  /** ---------------------
+   * @private
+   * @method Step through the pGen generator. Whenever a Promise is yielded, wait for it, then
+   * continue with its value (or throw its rejection) in the generator.
+   * @returns the generator's return value, or a Promise for it, if anything was awaited
+   */
+  _drive(pGen, pNext = pG => pG.next()) {
+    let tStep = pNext(pGen);
+    if (tStep.done)
+      return tStep.value;
+    return Promise.resolve(tStep.value).then(
+      pValue => this._drive(pGen, pG => pG.next(pValue)),
+      pE => this._drive(pGen, pG => pG.throw(pE)));
+  }
+
+  /** ---------------------
+   * @private
+   * @method Generator for runTests(). Only Promises returned by tests or hooks are yielded.
+   */
+  *_runGen() {
+    let tRunList = this._runList();
+    let tPlan = this._suiteList.map(pSuite => ({
+      suite: pSuite,
+      tests: tRunList.filter(pTest => pTest.suite === pSuite),
+    })).filter(pItem => pItem.tests.length > 0);
+    let tSkip = this._loadCheckpoint([].concat(...tPlan.map(pItem => pItem.tests)));
+    if (this.shuffle) {
+      // A resumed run keeps the seed saved in the checkpoint
+      if (this.resumedAt == 0)
+        this.usedSeed = this.seed != 0 ? this.seed : Math.floor(Math.random() * 0x7fffffff) + 1;
+      let tRandom = fSeededRandom(this.usedSeed);
+      tPlan = fShuffle(tPlan, tRandom).map(pItem => ({ suite: pItem.suite, tests: fShuffle(pItem.tests, tRandom) }));
+    }
+    if (this._reverse)
+      tPlan = tPlan.slice().reverse().map(pItem => ({ suite: pItem.suite, tests: pItem.tests.slice().reverse() }));
+    let tRan = 0;   // Number of tests done by this call
+    let tStop = false;
+    this._report('runStart');
+    for (let tItem of tPlan) {
+      let tSuite = tItem.suite;
+      let tTests = tItem.tests.slice(Math.min(tSkip, tItem.tests.length));
+      tSkip = Math.max(tSkip - tItem.tests.length, 0);
+      if (tTests.length == 0)
+        continue;
+      if (tRan > 0 && this._overBudget()) {
+        tStop = true;
+        break;
+      }
+      this._report('suiteStart', tSuite);
+      this._scope = 'suite';
+      let tSuiteFails = _gsunitFailCount(tSuite);
+      // The suite's hooks are not run, if all of its tests are skipped
+      let tHooks = tTests.some(pTest => !pTest.skip && !pTest.todo);
+      if (tHooks && !(yield* this._runHooks(tSuite, tSuite.beforeAll, 'beforeAll', tSuite.name)))
+        tRan += tTests.length;
+      else
+        for (let tTest of tTests) {
+          if (tRan > 0 && this._overBudget()) {
+            tStop = true;
+            break;
+          }
+          ++tRan;
+          let fun = tTest.fun;
+          let tName = _gsunitTestName(tTest);
+          if (tTest.skip || tTest.todo) {
+            this._testEnd(tTest.todo ? 'Todo' : 'Skip', tSuite, tTest, tName, null, Date.now());
+            continue;
+          }
+          this._scope = 'test';
+          let tFails = _gsunitFailCount(this);
+          if (this._runTimeLeft() <= 0) {
+            this._testEnd('Timeout', tSuite, tTest, tName, new TestTimeout(this.runTimeout, 'run'), Date.now());
+            this._scope = 'suite';
+            continue;
+          }
+          if (yield* this._runHooks(tSuite, tSuite.beforeEach, 'beforeEach', tTest.id)) {
+            this._report('testStart', tTest);
+            let tStart = Date.now();
+            let tUnit = this.gsunit;
+            if (tUnit != null)
+              tUnit.takeSoftFails();
+            let tFun = tTest.soft && tUnit != null ? () => tUnit.soft(fun) : fun;
+            if (tUnit != null)
+              tUnit.codeSuffix = tTest.codeSuffix;
+            let tE = yield* this._call(tFun, tTest.timeout > 0 ? tTest.timeout : this.testTimeout);
+            if (tUnit != null)
+              tUnit.codeSuffix = '';
+            let tSoft = tUnit != null ? tUnit.takeSoftFails() : [];
+            if (tSoft.length > 0 && (tE == null || tE.name == 'AssertFail'))
+              tE = fSoftFail(tE == null ? tSoft : tSoft.concat(tE));
+            let tStatus = 'Pass';
+            if (tE != null)
+              tStatus = tE.name == 'AssertFail' ? 'Fail' : (tE instanceof TestTimeout ? 'Timeout' : 'Error');
+            if (tTest.expect.includes(tStatus))
+              tStatus = 'XFail';
+            else if (tTest.expect.length > 0 && tStatus == 'Pass') {
+              tStatus = 'XPass';
+              tE = new AssertFail('Expected ' + tTest.expect.join(' or ') + ', but the test passed.',
+                'Pass', tTest.expect.join(' or '), 'XPass');
+            }
+            this._testEnd(tStatus, tSuite, tTest, tName, tE, tStart);
+          }
+          yield* this._runHooks(tSuite, tSuite.afterEach, 'afterEach', tTest.id);
+          this._restore('test', _gsunitFailCount(this) > tFails);
+          this._scope = 'suite';
+        }
+      if (tHooks)
+        yield* this._runHooks(tSuite, tSuite.afterAll, 'afterAll', tSuite.name);
+      this._restore('suite', _gsunitFailCount(tSuite) > tSuiteFails);
+      this._scope = 'run';
+      this._report('suiteEnd', tSuite);
+      if (tStop)
+        break;
+    }
+    this._restore('run', _gsunitFailCount(this) > 0);
+    if (tStop) {
+      this._saveCheckpoint(this.resumedAt + tRan);
+      return;
+    }
+    this.clearCheckpoint();
+    if (this._quiet)
+      return;
+    if (this._firstStatuses != null)
+      this.orderDependent = Object.keys(this._statuses)
+        .filter(pKey => pKey in this._firstStatuses && this._firstStatuses[pKey] != this._statuses[pKey])
+        .map(pKey => ({ key: pKey, first: this._firstStatuses[pKey], second: this._statuses[pKey] }));
+    this._report('runEnd');
+    this.regression = this.historySheet != '' ? this._saveHistory() : null;
+    if (this.showResults)
+      this.testResults();
+  }
+
+  /** ---------------------
+   * @private
+   * @method Append this run to the historySheet, and compare it with the last run.
+   * Columns: Time, Version, the counts, Asserts, Duration (ms), Filter
+   * The test statuses are appended to the historySheet + ' Tests' sheet.
+   * Columns: Run (the run's row in historySheet), Test ('suite/testName'), Status
+   * A filtered run only has some of the tests, so it is not compared with a run that had another filter.
+   * @returns {obj} see fCompareRuns(), or null if there was no earlier run.
+   */
+  _saveHistory() {
+    let tHeading = ['Time', 'Version'].concat(_gsunitStatusList, ['Asserts', 'Duration', 'Filter']);
+    let tSheet = this._getHistorySheet(this.historySheet, tHeading);
+    let tTestSheet = this._getHistorySheet(this.historySheet + ' Tests', ['Run', 'Test', 'Status']);
+    let tFilter = this._filterText();
+    let tLast = tSheet.getLastRow();
+    let tRegression = null;
+    try {
+      let tRuns = tSheet.getRange(1, 1, tLast, tHeading.length).getValues();
+      let tPrev = 0;
+      for (let i = 1; i < tRuns.length; ++i)
+        if (tRuns[i][tHeading.length - 1] == tFilter)
+          tPrev = i;
+      if (tPrev > 0) {
+        let tStatuses = {};
+        for (let tRow of tTestSheet.getDataRange().getValues())
+          if (tRow[0] == tPrev + 1)
+            tStatuses[tRow[1]] = tRow[2];
+        tRegression = fCompareRuns(tStatuses, this._statuses);
+        tRegression.previous = tRuns[tPrev][0];
+      }
+    } catch (e) {
+      console.warn('Could not read the last run in ' + this.historySheet + ': ' + e.message);
+    }
+    tSheet.appendRow([new Date(), this.version].concat(
+      _gsunitCountKeys.map(pKey => this[pKey]),
+      [this.gsunit != null ? this.gsunit.numAsserts : 0, this._elapsed + Date.now() - this._runStart, tFilter]));
+    let tRows = Object.keys(this._statuses).map(pKey => [tLast + 1, pKey, this._statuses[pKey]]);
+    if (tRows.length > 0)
+      tTestSheet.getRange(tTestSheet.getLastRow() + 1, 1, tRows.length, 3).setValues(tRows);
+    return tRegression;
+  }
+
+  /** ---------------------
+   * @private
+   * @method Get the history sheet pName. It is added, with the pHeading row, if it is not found.
+   */
+  _getHistorySheet(pName, pHeading) {
+    let tSheet = this.ss.getSheetByName(pName);
+    if (tSheet == null) {
+      tSheet = this.ss.insertSheet(pName);
+      this.selectSheet('_saveHistory');
+    }
+    if (tSheet.getLastRow() == 0)
+      tSheet.appendRow(pHeading);
+    return tSheet;
+  }
+
+  /** ---------------------
+   * @private
+   * @method this.filter as text, for the historySheet. '' if all of the tests are selected.
+   */
+  _filterText() {
+    if (this.filter == null || Object.keys(this.filter).length == 0)
+      return '';
+    return JSON.stringify(this.filter, (pKey, pVal) => pVal instanceof RegExp ? String(pVal) : pVal);
+  }
+
+  /** ---------------------
+   * @private
+   * @method Run the hook functions. Generator, see _runGen().
+   * @returns {boolean} false if a hook failed
+   */
+  *_runHooks(pSuite, pHooks, pKind, pFor) {
+    for (let tHook of pHooks) {
+      let tStart = Date.now();
+      let tE = yield* this._call(tHook, this.testTimeout);
+      if (tE != null) {
+        this._testEnd('Hook', pSuite, null, pKind + ' ' + _gsunitFunName(tHook) + ' for ' + pFor, tE, tStart);
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /** ---------------------
+   * @private
+   * @method Call pFun, and wait for it if it returns a Promise. Generator, see _runGen().
+   * @param {number} pTimeout - milliseconds. 0 for no limit. The run's time left is also checked.
+   * @returns {Error} the thrown error (or a TestTimeout), or null if OK
+   */
+  *_call(pFun, pTimeout) {
+    let tLimit = Math.min(pTimeout > 0 ? pTimeout : Infinity, this._runTimeLeft());
+    let tStart = Date.now();
+    try {
+      let tRet = pFun();
+      if (fIsThenable(tRet))
+        yield _timeLimit(tRet, tLimit, tLimit == pTimeout ? 'test' : 'run');
+    } catch (e) {
+      return e;
+    }
+    if (Date.now() - tStart > tLimit)
+      return new TestTimeout(tLimit == pTimeout ? pTimeout : this.runTimeout, tLimit == pTimeout ? 'test' : 'run');
+    return null;
+
+    // -----
+    function _timeLimit(pPromise, pLimit, pKind) {
+      if (pLimit == Infinity || typeof setTimeout !== 'function')
+        return pPromise;
+      let tTimer;
+      let tTimeout = new Promise((pResolve, pReject) => {
+        tTimer = setTimeout(() => pReject(new TestTimeout(pLimit, pKind)), Math.max(pLimit, 0));
+      });
+      return Promise.race([pPromise, tTimeout]).finally(() => clearTimeout(tTimer));
+    }
+  }
+
+  /** ---------------------
+   * @private
+   * @method Return true if this call of runTests() has used up this.timeBudget.
+   */
+  _overBudget() {
+    return this.timeBudget > 0 && Date.now() - this._runStart > this.timeBudget;
+  }
+
+  /** ---------------------
+   * @method Return true if there is a saved checkpoint for this.name in this.store.
+   */
+  hasCheckpoint() {
+    return this.store != null && this.store.get(this._checkpointKey()) != null;
+  }
+
+  /** ---------------------
+   * @method Remove the saved checkpoint, so the next runTests() starts at the beginning.
+   */
+  clearCheckpoint() {
+    if (this.store != null)
+      this.store.remove(this._checkpointKey());
+  }
+
+  _checkpointKey() {
+    return 'gsunit-checkpoint-' + (this.checkpointId != '' ? this.checkpointId : this.name);
+  }
+
+  /** ---------------------
+   * @private
+   * @method Restore the counts from a saved checkpoint.
+   * If the list of tests has changed, the checkpoint is not used.
+   * @param {array} pTests - the tests that will be run, in order
+   * @returns {number} the number of tests done by the earlier calls
+   */
+  _loadCheckpoint(pTests) {
+    this.resumedAt = 0;
+    this.checkpointed = false;
+    this._elapsed = 0;
+    this._statuses = {};
+    if (this.store == null)
+      return 0;
+    let tSaved = this.store.get(this._checkpointKey());
+    if (tSaved == null)
+      return 0;
+    let tData = JSON.parse(tSaved);
+    this._deleteResumeTrigger(tData.triggerId);
+    if (tData.tests != _gsunitTestsHash(pTests)) {
+      console.warn('The tests have changed since the checkpoint. Starting over.');
+      this.clearCheckpoint();
+      return 0;
+    }
+    for (let tKey of _gsunitCountKeys)
+      this[tKey] = tData.counts[tKey];
+    for (let tSuite of this._suiteList)
+      if (tData.suites[tSuite.name] !== undefined)
+        Object.assign(tSuite, tData.suites[tSuite.name]);
+    if (this.gsunit != null)
+      this.gsunit.numAsserts = tData.asserts;
+    this._statuses = tData.statuses;
+    this.usedSeed = tData.seed;
+    this._elapsed = tData.elapsed;
+    this.resumedAt = tData.done;
+    let tStates = tData.reporters !== undefined ? tData.reporters : [];
+    this._reporterList().forEach((pReporter, i) => {
+      if (tStates[i] != null)
+        pReporter.loadState(this, tStates[i]);
+    });
+    return tData.done;
+  }
+
+  /** ---------------------
+   * @private
+   * @method Save the counts, so that the next runTests() can continue after pDone tests.
+   */
+  _saveCheckpoint(pDone) {
+    let tSelected = this._runList();
+    let tData = {
+      tests: _gsunitTestsHash(tSelected),
+      done: pDone,
+      total: tSelected.length,
+      counts: _gsunitCounts(this),
+      suites: {},
+      asserts: this.gsunit != null ? this.gsunit.numAsserts : 0,
+      statuses: this._statuses,
+      seed: this.usedSeed,
+      elapsed: this._elapsed + Date.now() - this._runStart,
+      triggerId: this._createResumeTrigger(),
+      reporters: this._reporterList().map(pReporter => pReporter.saveState(this)),
+    };
+    for (let tSuite of this._suiteList)
+      tData.suites[tSuite.name] = _gsunitCounts(tSuite);
+    this.store.set(this._checkpointKey(), JSON.stringify(tData));
+    this.resumeTriggerId = tData.triggerId;
+    this.checkpointed = true;
+    this._report('checkpoint', { done: pDone, total: tData.total });
+  }
+
+  /** ---------------------
+   * @private
+   * @method If this.resumeTrigger is set, add a time-driven trigger to call that
+   * function after this.resumeDelay.
+   * @returns {string} the trigger's id, or ''
+   */
+  _createResumeTrigger() {
+    let tScriptApp = this.host.scriptApp;
+    if (this.resumeTrigger == '' || tScriptApp == null)
+      return '';
+    return tScriptApp.newTrigger(this.resumeTrigger).timeBased().after(this.resumeDelay).create().getUniqueId();
+  }
+
+  _deleteResumeTrigger(pId) {
+    let tScriptApp = this.host.scriptApp;
+    if (pId == '' || pId == undefined || tScriptApp == null)
+      return;
+    for (let tTrigger of tScriptApp.getProjectTriggers())
+      if (tTrigger.getUniqueId() == pId)
+        tScriptApp.deleteTrigger(tTrigger);
+  }
+
+  /** ---------------------
+   * @private
+   * @method Milliseconds left for this run. Infinity if there is no runTimeout.
+   */
+  _runTimeLeft() {
+    if (!(this.runTimeout > 0))
+      return Infinity;
+    return this.runTimeout - (Date.now() - this._runStart);
+  }
+
+  /** ---------------------
+   * @private
+   * @method Count a test (or hook) result, and send it to the reporters.
+   * @param {string} pStatus - Pass, Fail, Error, Timeout, Hook, Skip, Todo, XFail, or XPass
+   */
+  _testEnd(pStatus, pSuite, pTest, pName, pE, pStart) {
+    let tCount = _gsunitCountKeys[_gsunitStatusList.indexOf(pStatus)];
+    ++this[tCount];
+    ++pSuite[tCount];
+    if (pTest != null)
+      this._statuses[_gsunitTestKey(pTest)] = pStatus;
+    this._report('testEnd', {
+      status: pStatus,
+      suite: pSuite,
+      test: pTest,
+      name: pName,
+      error: pE,
+      reason: pTest != null ? pTest.reason : '',
+      location: pE != null ? fErrorLocation(pE) : '',
+      time: Date.now() - pStart,
+    });
+  }
+
+  /** ---------------------
+   * @method Add a reporter. The reporter's methods are called as the tests are run.
+   * The console, sheet, and toast reporters are always used, if their show flag is set.
+   * @param {GsUnitReporter} pReporter
+   * @example tRun.addReporter(new JUnitReporter({write: pXml => DriveApp.createFile('test.xml', pXml)}));
+   */
+  addReporter(pReporter) {
+    this.reporters.push(pReporter);
+    return pReporter;
+  }
+
+  /** ---------------------
+   * @private
+   * @method Call the pEvent method on all of the active reporters.
+   */
+  _report(pEvent, pData) {
+    for (let tReporter of this._reporterList())
+      tReporter[pEvent](this, pData);
+  }
+
+  _reporterList() {
+    if (this._quiet)
+      return [];
+    let tList = [];
+    if (this.showInConsole)
+      tList.push(this._consoleReporter);
+    if (this.showInSheet)
+      tList.push(this._sheetReporter);
+    if (this.showToast)
+      tList.push(this._toastReporter);
+    if (this.notifyWhen != 'never')
+      tList.push(this._notifyReporter);
+    return tList.concat(this.reporters);
+  }
+
+  /** ---------------------
+   * @method Return true if there was any Fail, Error, Timeout, or XPass, in the tests or their hooks.
+   * With orderCheck, a test with a different status in the two runs is also a failure.
+   */
+  hasFailures() {
+    return _gsunitFailCount(this) + this.orderDependent.length > 0;
+  }
+
+  /** ---------------------
+   * @method Return the color for a test status.
+   * @param {string} pStatus - Pass, Fail, Error, Timeout, Hook, Skip, Todo, XFail, or XPass
+   */
+  statusColor(pStatus) {
+    return {
+      Pass: this.passColor,
+      Fail: this.failColor,
+      Error: this.errColor,
+      Timeout: this.timeoutColor,
+      Hook: this.hookColor,
+      Skip: this.skipColor,
+      Todo: this.todoColor,
+      XFail: this.xfailColor,
+      XPass: this.xpassColor,
+    }[pStatus];
+  }
+
+  /** ---------------------
+   * @method Output a summary of the test results, if showResults.
+   * The summary is sent to the reporters' summary() method.
+   */
+  testResults() {
+    try {
+      //this.debugMsg('In testResults');
+      let tRows = [
+        { row: ['Pass', this.pass], color: this.passColor },
+        { row: ['Fail', this.fail], color: this.failColor },
+        { row: ['Error', this.err], color: this.errColor },
+        { row: ['Timeout', this.timeout], color: this.timeoutColor },
+        { row: ['Hook', this.hook], color: this.hookColor },
+        { row: ['Skip', this.skip], color: this.skipColor },
+        { row: ['Todo', this.todo], color: this.todoColor },
+        { row: ['XFail', this.xfail], color: this.xfailColor },
+        { row: ['XPass', this.xpass], color: this.xpassColor },
+        { row: ['Total', this.pass + this.fail + this.err + this.timeout + this.xfail + this.xpass], color: this.titleColor },
+        { row: ['Asserts', this.gsunit != null ? this.gsunit.numAsserts : 0], color: this.titleColor },
+      ];
+      if (this.regression != null)
+        for (let [tTitle, tKey, tColor] of [['Newly failing', 'failing', this.failColor],
+          ['Fixed', 'fixed', this.passColor], ['Added', 'added', this.titleColor], ['Removed', 'removed', this.titleColor]])
+          if (this.regression[tKey].length > 0)
+            tRows.push({ row: [tTitle, this.regression[tKey].length, this.regression[tKey].join(', ')], color: tColor });
+      if (this.shuffle)
+        tRows.push({ row: ['Seed', this.usedSeed], color: this.titleColor });
+      if (this.orderCheck)
+        tRows.push({
+          row: ['Order dependent', this.orderDependent.length].concat(this.orderDependent.length == 0 ? [] :
+            this.orderDependent.map(pItem => pItem.key + ' (' + pItem.first + ', then ' + pItem.second + ')').join(', ')),
+          color: this.orderDependent.length > 0 ? this.failColor : this.passColor,
+        });
+      let tSuites = this._suiteList.filter(pSuite => _gsunitCountKeys.some(pKey => pSuite[pKey] > 0));
+      let tSuiteRows = tSuites.map(pSuite => ({
+        // Only the non-zero Skip, Todo, XFail, and XPass counts are listed
+        row: ['Suite', '', pSuite.name,
+          _gsunitStatusList.map((pStatus, i) => pStatus + ' ' + pSuite[_gsunitCountKeys[i]])
+            .filter((pStr, i) => i < 5 || pSuite[_gsunitCountKeys[i]] > 0).join('; ')],
+        color: _gsunitFailCount(pSuite) > 0 ? this.failColor : this.passColor,
+      }));
+      this._report('summary', {
+        rows: tRows,
+        suiteRows: tSuiteRows,
+        msg: tRows.map(pRow => pRow.row.join(' ')).join(';\n'),
+      });
+    } catch (e) {
+      console.error(e.stack);
+      throw e;
+    }
+  } // testResults
+} // RunTests
+RunTests._fixtureCount = 0;
+
+// ======================================================================
+/* Reporters for RunTests.
+ * RunTests calls these methods on each of its reporters:
+ *   runStart(pRun) - before the first suite
+ *   suiteStart(pRun, pSuite) - pSuite = {name, pass, fail, err, timeout, hook, ...}
+ *   testStart(pRun, pTest) - pTest = {fun, suite, id, description, tags, timeout, soft, skip, todo, reason, only, expect, each, params}
+ *   testEnd(pRun, pResult) - after each test, and after a hook with a Fail or Error
+ *     pResult = {status, suite, test, name, error, reason, location, time}
+ *     status - Pass, Fail, Error, Timeout, Hook, Skip, Todo, XFail, or XPass
+ *     test - null for a Hook
+ *     error - the thrown exception, or null. See AssertFail for its fields.
+ *       For an XFail, it is the expected exception. For an XPass, it is an AssertFail.
+ *     name - the test's id and description, or the hook's name
+ *     reason - for a Skip or Todo, see addTest() and addTodo()
+ *     location - 'file:line' where the error was thrown, or ''. See fErrorLocation()
+ *     time - milliseconds
+ *   suiteEnd(pRun, pSuite)
+ *   runEnd(pRun) - after the last suite
+ *   checkpoint(pRun, pInfo) - the run stopped at a checkpoint, instead of runEnd. pInfo = {done, total}
+ *   saveState(pRun) - returns the reporter's results so far, as a JSON value, or null.
+ *     It is saved in the checkpoint.
+ *   loadState(pRun, pState) - called before runStart, when a run continues after a checkpoint.
+ *     Then runStart sees pRun.resumedAt > 0, and should keep the loaded results.
+ *   summary(pRun, pSummary) - called by testResults()
+ *     pSummary = {rows: [{row, color}], suiteRows: [{row, color}], msg}
+ */
+
+/**
+ * @class
+ * @classdesc Reporter base class. All of the methods do nothing, so only the
+ * needed methods have to be defined in a subclass.
+ */
+class GsUnitReporter {
+  runStart(pRun) { }
+  suiteStart(pRun, pSuite) { }
+  testStart(pRun, pTest) { }
+  testEnd(pRun, pResult) { }
+  suiteEnd(pRun, pSuite) { }
+  runEnd(pRun) { }
+  checkpoint(pRun, pInfo) { }
+  summary(pRun, pSummary) { }
+  saveState(pRun) { return null; }
+  loadState(pRun, pState) { }
+} // GsUnitReporter
+
+/**
+ * @class
+ * @classdesc Output the results to the console. Used if RunTests showInConsole.
+ */
+class ConsoleReporter extends GsUnitReporter {
+  runStart(pRun) {
+    console.time('unit-test');
+    if (pRun.resumedAt > 0)
+      console.info('Continue ' + pRun.name + ' after ' + pRun.resumedAt + ' tests');
+    if (pRun.shuffle)
+      console.info('Shuffle seed: ' + pRun.usedSeed);
+    if (pRun._reverse)
+      console.info('Order check: run again in the reverse order');
+  }
+
+  suiteStart(pRun, pSuite) {
+    console.info('Suite ' + pSuite.name);
+  }
+
+  testEnd(pRun, pResult) {
+    let tMsg = _gsunitResultRow(pResult);
+    if (pResult.status == 'Pass') {
+      if (pRun.showPass)
+        console.info(tMsg.join(' '));
+      return;
+    }
+    if (['Skip', 'Todo', 'XFail'].includes(pResult.status)) {
+      console.info(tMsg.join(' '));
+      return;
+    }
+    console.error(tMsg.join(' '));
+    if (!['AssertFail', 'TestTimeout'].includes(pResult.error.name))
+      console.error(pResult.error.stack);
+  }
+
+  runEnd(pRun) {
+    console.timeEnd('unit-test');
+  }
+
+  checkpoint(pRun, pInfo) {
+    console.timeEnd('unit-test');
+    console.info('Checkpoint: ' + pInfo.done + ' of ' + pInfo.total + ' tests done. Run again to continue.');
+  }
+
+  summary(pRun, pSummary) {
+    for (let tSuiteRow of pSummary.suiteRows)
+      console.info(tSuiteRow.row.slice(2).join(': '));
+    console.error(pSummary.msg);
+  }
+} // ConsoleReporter
+
+/**
+ * @class
+ * @classdesc Output the results to the RunTests result sheet. Used if RunTests showInSheet.
+ */
+class SheetReporter extends GsUnitReporter {
+  runStart(pRun) {
+    if (pRun.resumedAt == 0)
+      pRun._sheetHeading();
+  }
+
+  suiteStart(pRun, pSuite) {
+    pRun._appendResult(['Suite', '', pSuite.name], pRun.titleColor);
+  }
+
+  testEnd(pRun, pResult) {
+    if (pResult.status == 'Pass' && !pRun.showPass)
+      return;
+    pRun._appendResult(_gsunitResultRow(pResult), pRun.statusColor(pResult.status));
+  }
+
+  checkpoint(pRun) {
+    pRun.flushResults();
+  }
+
+  runEnd(pRun) {
+    pRun.formatSheet();
+  }
+
+  summary(pRun, pSummary) {
+    pRun._appendResult(['Summary'], pRun.titleColor);
+    for (let tRow of pSummary.suiteRows.concat(pSummary.rows))
+      pRun._appendResult(tRow.row, tRow.color);
+    pRun.formatSheet();
+  }
+} // SheetReporter
+
+/**
+ * @class
+ * @classdesc Output the summary to a toast. Used if RunTests showToast.
+ */
+class ToastReporter extends GsUnitReporter {
+  checkpoint(pRun, pInfo) {
+    pRun.toast(pInfo.done + ' of ' + pInfo.total + ' tests done.', 'Checkpoint');
+  }
+
+  summary(pRun, pSummary) {
+    pRun.toast(pSummary.msg, 'Summary');
+  }
+} // ToastReporter
+
+/**
+ * @class
+ * @classdesc Send the summary by email, and/or post it to a chat webhook.
+ * Used if RunTests notifyWhen is not 'never'. See the RunTests email, notifyWhen, and webhookUrl.
+ * The email has an HTML table of the failed tests, and a link to the results sheet.
+ */
+class NotifyReporter extends GsUnitReporter {
+  runStart(pRun) {
+    // A resumed run keeps the failures of the earlier checkpoint slices
+    if (pRun.resumedAt == 0)
+      this._failed = [];
+  }
+
+  testEnd(pRun, pResult) {
+    if (['Fail', 'Error', 'Timeout', 'Hook', 'XPass'].includes(pResult.status))
+      this._failed.push({
+        status: pResult.status,
+        suite: pResult.suite.name,
+        name: pResult.name,
+        code: pResult.error.code !== undefined ? pResult.error.code : '',
+        message: pResult.error.message,
+      });
+  }
+
+  saveState(pRun) {
+    return this._failed;
+  }
+
+  loadState(pRun, pState) {
+    this._failed = pState;
+  }
+
+  summary(pRun, pSummary) {
+    let tFailed = pRun.hasFailures();
+    let tChanged = this._changed(pRun, tFailed);
+    if ((pRun.notifyWhen == 'failure' && !tFailed) || (pRun.notifyWhen == 'changed' && !tChanged))
+      return;
+    let tTitle = 'GsUnit ' + pRun.name + ': ' + (tFailed ? 'FAILED' : 'passed');
+    let tCounts = pSummary.rows.slice(0, 3).map(pRow => pRow.row.join(' ')).join(', ');
+    let tUrl = pRun.ss.getUrl() + '#gid=' + pRun.st.getSheetId();
+    let tHost = pRun.host;
+    try {
+      if (pRun.email != '' && tHost.mailApp != null)
+        tHost.mailApp.sendEmail(pRun.email, tTitle + ' (' + tCounts + ')', this._text(pSummary, tTitle, tUrl),
+          { htmlBody: this._html(pSummary, tTitle, tUrl) });
+      if (pRun.webhookUrl != '' && tHost.urlFetchApp != null) {
+        let tResponse = tHost.urlFetchApp.fetch(pRun.webhookUrl, {
+          method: 'post',
+          contentType: 'application/json',
+          payload: JSON.stringify({ text: this._text(pSummary, tTitle, tUrl) }),
+          muteHttpExceptions: true,
+        });
+        let tCode = tResponse.getResponseCode();
+        if (tCode >= 300)
+          console.error('Could not post the test results to the webhook. HTTP ' + tCode + ' ' + tResponse.getContentText());
+      }
+    } catch (e) {
+      // Do not lose the test results because the notice could not be sent
+      console.error('Could not send the test results: ' + e.message);
+    }
+  }
+
+  /** ---------------------
+   * @private
+   * @method Return true if the failures changed since the last run.
+   */
+  _changed(pRun, pFailed) {
+    if (pRun.regression != null)
+      return pRun.regression.failing.length + pRun.regression.fixed.length > 0;
+    if (pRun.store == null)
+      return true;
+    let tKey = 'gsunit-status-' + pRun.name;
+    let tLast = pRun.store.get(tKey);
+    pRun.store.set(tKey, pFailed ? 'fail' : 'pass');
+    return tLast != (pFailed ? 'fail' : 'pass');
+  }
+
+  _text(pSummary, pTitle, pUrl) {
+    let tOut = [pTitle, pSummary.msg.replace(/;\n/g, '; ')];
+    for (let tResult of this._failed)
+      tOut.push(tResult.status + ' ' + tResult.suite + ': ' + tResult.name + ' ' + tResult.message);
+    tOut.push(pUrl);
+    return tOut.join('\n');
+  }
+
+  _html(pSummary, pTitle, pUrl) {
+    let tOut = ['<h3>' + _html(pTitle) + '</h3>', '<p>' + _html(pSummary.msg).replace(/\n/g, '<br>') + '</p>'];
+    if (this._failed.length > 0) {
+      tOut.push('<table border="1" cellpadding="4"><tr><th>Status</th><th>Suite</th><th>Test</th><th>Code</th><th>Message</th></tr>');
+      for (let tResult of this._failed)
+        tOut.push('<tr><td>' + [tResult.status, tResult.suite, tResult.name, tResult.code, tResult.message]
+          .map(pVal => _html(pVal).replace(/\n/g, '<br>')).join('</td><td>') + '</td></tr>');
+      tOut.push('</table>');
+    }
+    tOut.push('<p><a href="' + _html(pUrl) + '">Test results sheet</a></p>');
+    return tOut.join('\n');
+
+    // -----
+    function _html(pStr) {
+      return String(pStr).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+  }
+} // NotifyReporter
+
+/**
+ * @class
+ * @classdesc Save the results as JUnit XML.
+ * The AssertFail fields are saved as properties of the testcase.
+ * @param {obj} pArg = {write: function(pXml)}
+ *   write - optional. Called with the XML at the end of the run. The XML is also in this.output.
+ * After a checkpoint (see RunTests timeBudget), the XML has the tests of all of the runTests() calls.
+ * @example tRun.addReporter(new JUnitReporter({write: pXml => DriveApp.createFile('test.xml', pXml)}));
+ */
+class JUnitReporter extends GsUnitReporter {
+  constructor(pArg = {}) {
+    super();
+    this.write = fDefaultArg(pArg.write, null);
+    this.output = '';
+    this._suites = [];
+  }
+
+  runStart(pRun) {
+    // A resumed run keeps the results of the earlier checkpoint slices
+    if (pRun.resumedAt == 0)
+      this._suites = [];
+  }
+
+  suiteStart(pRun, pSuite) {
+    // A suite that was split by a checkpoint continues in the same testsuite
+    let tLast = this._suites[this._suites.length - 1];
+    if (pRun.resumedAt == 0 || tLast == null || tLast.name != pSuite.name)
+      this._suites.push({ name: pSuite.name, time: 0, statuses: [], cases: [] });
+    this._suiteStart = Date.now();
+  }
+
+  testEnd(pRun, pResult) {
+    let tSuite = this._suites[this._suites.length - 1];
+    tSuite.statuses.push(pResult.status);
+    tSuite.cases.push(...this._testCase(tSuite.name, pResult));
+  }
+
+  suiteEnd(pRun, pSuite) {
+    this._suites[this._suites.length - 1].time += Date.now() - this._suiteStart;
+  }
+
+  saveState(pRun) {
+    return this._suites;
+  }
+
+  loadState(pRun, pState) {
+    this._suites = pState;
+  }
+
+  runEnd(pRun) {
+    let tAll = [].concat(...this._suites.map(pSuite => pSuite.statuses));
+    let tOut = ['<?xml version="1.0" encoding="UTF-8"?>'];
+    tOut.push('<testsuites' + this._attrs(pRun.name, tAll, pRun._elapsed + Date.now() - pRun._runStart) + '>');
+    for (let tSuite of this._suites) {
+      tOut.push('  <testsuite' + this._attrs(tSuite.name, tSuite.statuses, tSuite.time) + '>');
+      tOut.push(...tSuite.cases);
+      tOut.push('  </testsuite>');
+    }
+    tOut.push('</testsuites>');
+    this.output = tOut.join('\n') + '\n';
+    if (this.write != null)
+      this.write(this.output);
+  }
+
+  _attrs(pName, pStatuses, pTime) {
+    return ' name="' + this._xml(pName) + '"' +
+      ' tests="' + pStatuses.length + '"' +
+      ' failures="' + pStatuses.filter(pStatus => ['Fail', 'XPass'].includes(pStatus)).length + '"' +
+      ' errors="' + pStatuses.filter(pStatus => ['Error', 'Timeout', 'Hook'].includes(pStatus)).length + '"' +
+      ' skipped="' + pStatuses.filter(pStatus => ['Skip', 'Todo', 'XFail'].includes(pStatus)).length + '"' +
+      ' time="' + (pTime / 1000).toFixed(3) + '"';
+  }
+
+  /** ---------------------
+   * @private
+   * @method The XML lines of one testcase. They are made at testEnd, so that they can be
+   * saved in a checkpoint.
+   * @returns {array} of strings
+   */
+  _testCase(pSuiteName, pCase) {
+    let tName = pCase.test != null ? pCase.test.id : pCase.name;
+    let tHead = '    <testcase classname="' + this._xml(pSuiteName) + '" name="' + this._xml(tName) +
+      '" time="' + (pCase.time / 1000).toFixed(3) + '"';
+    let tAt = pCase.location.match(/^(.*):(\d+)$/);
+    if (tAt != null)
+      tHead += ' file="' + this._xml(tAt[1]) + '" line="' + tAt[2] + '"';
+    if (pCase.status == 'Pass')
+      return [tHead + '/>'];
+    if (['Skip', 'Todo', 'XFail'].includes(pCase.status))
+      return [tHead + '>', '      <skipped message="' +
+        this._xml((pCase.status + (pCase.status == 'XFail' ? ': ' + pCase.error.message : ' ' + pCase.reason)).trim()) +
+        '"/>', '    </testcase>'];
+    let tE = pCase.error;
+    let tTag = ['Fail', 'XPass'].includes(pCase.status) ? 'failure' : 'error';
+    let tOut = [tHead + '>'];
+    if (tE.name == 'AssertFail') {
+      tOut.push('      <properties>');
+      for (let tKey of ['operator', 'code', 'actual', 'expected'])
+        tOut.push('        <property name="' + tKey + '" value="' + this._xml(fShowValue(tE[tKey])) + '"/>');
+      tOut.push('      </properties>');
+    }
+    tOut.push('      <' + tTag + ' message="' + this._xml(tE.message) + '" type="' + this._xml(tE.name) + '">' +
+      this._xml(tE.name == 'AssertFail' ? tE.toString() : tE.stack) + '</' + tTag + '>');
+    tOut.push('    </testcase>');
+    return tOut;
+  }
+
+  _xml(pStr) {
+    return String(pStr)
+      .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+      .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;').replace(/\n/g, '&#10;');
+  }
+} // JUnitReporter
+
+/**
+ * @class
+ * @classdesc Save the results in TAP (Test Anything Protocol) version 13 format.
+ * The AssertFail fields are in the YAML block after a "not ok" line.
+ * @param {obj} pArg = {write: function(pTap)}
+ *   write - optional. Called with the TAP text at the end of the run. The text is also in this.output.
+ * After a checkpoint (see RunTests timeBudget), the text has the tests of all of the runTests() calls.
+ */
+class TapReporter extends GsUnitReporter {
+  constructor(pArg = {}) {
+    super();
+    this.write = fDefaultArg(pArg.write, null);
+    this.output = '';
+    this._lines = [];
+  }
+
+  runStart(pRun) {
+    // A resumed run keeps the results of the earlier checkpoint slices, so the numbers go on
+    if (pRun.resumedAt > 0)
+      return;
+    this._lines = ['TAP version 13'];
+    this._num = 0;
+  }
+
+  saveState(pRun) {
+    return { lines: this._lines, num: this._num };
+  }
+
+  loadState(pRun, pState) {
+    this._lines = pState.lines;
+    this._num = pState.num;
+  }
+
+  suiteStart(pRun, pSuite) {
+    this._lines.push('# Suite ' + pSuite.name);
+  }
+
+  testEnd(pRun, pResult) {
+    let tName = pResult.suite.name + ': ' + (pResult.test != null ? pResult.test.id : pResult.name);
+    ++this._num;
+    if (pResult.status == 'Pass') {
+      this._lines.push('ok ' + this._num + ' - ' + tName);
+      return;
+    }
+    if (pResult.status == 'Skip') {
+      this._lines.push('ok ' + this._num + ' - ' + tName + ' # SKIP ' + pResult.reason);
+      return;
+    }
+    if (pResult.status == 'Todo' || pResult.status == 'XFail') {
+      // A TAP TODO is a test that is expected to fail
+      this._lines.push('not ok ' + this._num + ' - ' + tName + ' # TODO ' +
+        (pResult.status == 'XFail' ? 'expected ' + pResult.test.expect.join(' or ') : pResult.reason));
+      return;
+    }
+    let tE = pResult.error;
+    this._lines.push('not ok ' + this._num + ' - ' + tName);
+    this._lines.push('  ---');
+    this._lines.push('  status: ' + pResult.status);
+    this._lines.push('  message: ' + JSON.stringify(tE.message));
+    if (pResult.location != '')
+      this._lines.push('  at: ' + JSON.stringify(pResult.location));
+    if (tE.name == 'AssertFail')
+      for (let tKey of ['operator', 'code', 'actual', 'expected'])
+        this._lines.push('  ' + tKey + ': ' + (typeof tE[tKey] === 'string' ? JSON.stringify(tE[tKey]) : fShowValue(tE[tKey])));
+    else
+      this._lines.push('  stack: ' + JSON.stringify(String(tE.stack)));
+    this._lines.push('  ...');
+  }
+
+  runEnd(pRun) {
+    this._lines.push('1..' + this._num);
+    this.output = this._lines.join('\n') + '\n';
+    if (this.write != null)
+      this.write(this.output);
+  }
+} // TapReporter
+
+/** ----------------------
+ * @function Convert a value to a short string, for the reporters.
+ * @param pVal
+ * @returns {string}
+ */
+function fShowValue(pVal) {
+  if (typeof pVal === 'string')
+    return pVal;
+  if (pVal === undefined || typeof pVal === 'function' || typeof pVal === 'symbol')
+    return String(pVal);
+  try {
+    let tStr = JSON.stringify(pVal);
+    return tStr === undefined ? String(pVal) : tStr;
+  } catch (e) {
+    return String(pVal);   // e.g. cyclic
+  }
+}
+
+// -----
+function _gsunitResultRow(pResult) {
+  if (pResult.status == 'Pass')
+    return ['Pass', '', pResult.name];
+  if (pResult.status == 'Skip' || pResult.status == 'Todo')
+    return [pResult.status, '', pResult.name, pResult.reason];
+  return [pResult.status, '', pResult.name, pResult.error.toString(), pResult.location];
+}
+
+/** ----------------------
+ * @function Get the source location of an error, from its stack. For an AssertFail, the
+ * location of the assert call is returned, not the location in GsUnit.
+ * @param {Error} pE
+ * @returns {string} 'file:line', or '' if it is not known
+ * @example fErrorLocation(e) returns 'Tests.gs:42' (Apps Script) or 'my-tests.js:42' (node)
+ */
+function fErrorLocation(pE) {
+  if (pE == null)
+    return '';
+  if (Array.isArray(pE.fails) && pE.fails.length > 0)
+    return fErrorLocation(pE.fails[0]);   // See fSoftFail()
+  if (typeof pE.stack !== 'string')
+    return '';
+  for (let tLine of pE.stack.split('\n')) {
+    // e.g. "    at testX (/home/me/my-tests.js:12:7)" or "    at /home/me/my-tests.js:12:7"
+    let tFrame = tLine.match(/^\s*at (?:(.*?) \()?(.*?):(\d+):\d+\)?$/);
+    if (tFrame == null)
+      continue;
+    let tFun = tFrame[1] !== undefined ? tFrame[1] : '';
+    if (/^(GsUnit(Expect)?\.|new AssertFail)/.test(tFun) || tFrame[2].startsWith('node:'))
+      continue;
+    return tFrame[2].replace(/^.*[\/\\]/, '') + ':' + tFrame[3];
+  }
+  return '';
+}
+
+// The test statuses, and their RunTests (and suite) count properties
+const _gsunitStatusList = ['Pass', 'Fail', 'Error', 'Timeout', 'Hook', 'Skip', 'Todo', 'XFail', 'XPass'];
+const _gsunitCountKeys = ['pass', 'fail', 'err', 'timeout', 'hook', 'skip', 'todo', 'xfail', 'xpass'];
+
+// -----
+function _gsunitCounts(pObj) {
+  let tCounts = {};
+  for (let tKey of _gsunitCountKeys)
+    tCounts[tKey] = pObj[tKey];
+  return tCounts;
+}
+
+// -----
+function _gsunitTableRows(pValues) {
+  // The first row has the names. Empty rows are skipped.
+  let tNames = pValues[0].map(pName => String(pName).trim());
+  return pValues.slice(1).filter(pRow => pRow.some(pVal => pVal !== '' && pVal != null)).map(pRow => {
+    let tCase = {};
+    tNames.forEach((pName, i) => {
+      if (pName != '')
+        tCase[pName] = pRow[i];
+    });
+    return tCase;
+  });
+}
+
+// -----
+function _gsunitTestName(pTest) {
+  return pTest.id + (pTest.params !== undefined ? ' ' + fShowValue(pTest.params) : '') +
+    (pTest.description != '' ? ' - ' + pTest.description : '');
+}
+
+/** ----------------------
+ * @function Compare the test statuses of two runs. See the RunTests historySheet.
+ * @param {obj} pPrev - {'suite/testName': status}, from the earlier run
+ * @param {obj} pCur - {'suite/testName': status}
+ * @returns {obj} {failing: [], fixed: [], added: [], removed: []} lists of test names.
+ *   failing - a Fail, Error, Timeout, or XPass now, but not in pPrev
+ *   fixed - not a failure now, but it was in pPrev
+ */
+function fCompareRuns(pPrev, pCur) {
+  let tFailed = ['Fail', 'Error', 'Timeout', 'XPass'];
+  let tCompare = { failing: [], fixed: [], added: [], removed: [] };
+  for (let tName of Object.keys(pCur)) {
+    if (!(tName in pPrev))
+      tCompare.added.push(tName);
+    if (tFailed.includes(pCur[tName]) && (!(tName in pPrev) || !tFailed.includes(pPrev[tName])))
+      tCompare.failing.push(tName);
+    else if (tName in pPrev && tFailed.includes(pPrev[tName]) && !tFailed.includes(pCur[tName]))
+      tCompare.fixed.push(tName);
+  }
+  tCompare.removed = Object.keys(pPrev).filter(pName => !(pName in pCur));
+  return tCompare;
+}
+
+// -----
+function _gsunitFailCount(pObj) {
+  // Fail, Error, Timeout, Hook, and XPass count, of a RunTests or a suite
+  return pObj.fail + pObj.err + pObj.timeout + pObj.hook + pObj.xpass;
+}
+
+// -----
+function _gsunitTestKey(pTest) {
+  return pTest.suite.name + '/' + pTest.id;
+}
+
+// -----
+function _gsunitTestsHash(pTests) {
+  // djb2 hash of the suite and test names, to check that a checkpoint is for the same tests
+  let tHash = 5381;
+  let tStr = pTests.map(_gsunitTestKey).join('\n');
+  for (let i = 0; i < tStr.length; ++i)
+    tHash = ((tHash << 5) + tHash + tStr.charCodeAt(i)) | 0;
+  return pTests.length + '-' + (tHash >>> 0).toString(16);
+}
+
+// -----
+function _gsunitGlobal() {
+  return typeof globalThis !== 'undefined' ? globalThis : this;
+}
+
+// -----
+function _gsunitFunName(pFun) {
+  return pFun.name != '' ? pFun.name + '()' : 'anonymous()';
+}
+
+// ======================================================================
+/* Stores for RunTests checkpoints.
+ * A store has these methods: get(pKey) returns a string or null, set(pKey, pValue), remove(pKey)
+ */
+
+/**
+ * @class
+ * @classdesc Store values in Apps Script properties.
+ * @param {Properties} pProps - default: PropertiesService.getScriptProperties()
+ * @example tRun.store = new PropertiesStore(PropertiesService.getUserProperties());
+ */
+class PropertiesStore {
+  constructor(pProps) {
+    this._props = pProps !== undefined ? pProps : PropertiesService.getScriptProperties();
+  }
+
+  get(pKey) { return this._props.getProperty(pKey); }
+  set(pKey, pValue) { this._props.setProperty(pKey, pValue); }
+  remove(pKey) { this._props.deleteProperty(pKey); }
+} // PropertiesStore
+
+/**
+ * @class
+ * @classdesc Store values in memory. Use this for local runs.
+ */
+class MemStore {
+  constructor() {
+    this._data = {};
+  }
+
+  get(pKey) { return pKey in this._data ? this._data[pKey] : null; }
+  set(pKey, pValue) { this._data[pKey] = String(pValue); }
+  remove(pKey) { delete this._data[pKey]; }
+} // MemStore
+
+// ======================================================================
+/* Scheduled test runs.
+ * GsUnitScheduler adds time-driven triggers that call gsunitScheduledRun(), which runs
+ * a list of defName functions with no UI, and writes the results by spreadsheet id.
+ * The triggers are made with a trigger service, which has these methods:
+ *   create(pHandler, pSchedule) returns the trigger id. pSchedule = {everyDays, atHour, everyHours}
+ *   list() returns [{id, handler}, ...]
+ *   remove(pId)
+ * ScriptAppTriggers uses ScriptApp. MemTriggers can be used for local tests.
+ */
+
+/**
+ * @class
+ * @classdesc Install, list, and remove scheduled test runs. Each trigger's run settings
+ * are saved in store, with the trigger's id.
+ * @param {obj} pArg = {triggers: ScriptAppTriggers, store: PropertiesStore, host: {}, defs: {}}
+ *   triggers - the trigger service. Default: new ScriptAppTriggers()
+ *   store - default: new PropertiesStore()
+ *   host - optional. Used for the RunTests host. spreadsheetId and noUi are set by run().
+ *   defs - optional. {name: defName function}. Default: the global functions.
+ * @example new GsUnitScheduler().install({defs: ['defMyTests'], atHour: 2});
+ */
+class GsUnitScheduler {
+  constructor(pArg = {}) {
+    this.triggers = pArg.triggers !== undefined ? pArg.triggers : new ScriptAppTriggers();
+    this.store = pArg.store !== undefined ? pArg.store : new PropertiesStore();
+    this.host = fDefaultArg(pArg.host, {});
+    this.defs = fDefaultArg(pArg.defs, null);
+    this.handler = 'gsunitScheduledRun';
+  }
+
+  /** ---------------------
+   * @method Add a time-driven trigger that runs the defName functions.
+   * @param {obj} pArg = {defs: [], spreadsheetId: '', name: 'ScheduledTests', filter: {},
+   *   everyDays: 1, atHour: 2, everyHours: 0, ...RunTests properties}
+   *   defs - list of defName function names
+   *   spreadsheetId - for the results. Default: the active spreadsheet
+   *   name - the results sheet name
+   *   filter - see RunTests.runTests()
+   *   everyDays, atHour - run every N days at about that hour. Or everyHours - run every N hours.
+   *   These RunTests properties can also be given: showPass, showInConsole, historySheet, notifyWhen, email,
+   *     webhookUrl, testTimeout, runTimeout, timeBudget
+   *   With timeBudget, the checkpoint is saved in this.store by the trigger id, and a stopped run
+   *   continues with a resume trigger (see RunTests resumeTrigger), which also calls this.handler.
+   * @returns {string} the trigger id
+   */
+  install(pArg = {}) {
+    let tDefs = fDefaultArg(pArg.defs, []);
+    if (tDefs.length == 0)
+      throw new Error('install: no defs were given.');
+    let tConfig = Object.assign({}, pArg, {
+      defs: tDefs.map(pDef => typeof pDef == 'function' ? pDef.name : pDef),
+      spreadsheetId: pArg.spreadsheetId !== undefined ? pArg.spreadsheetId : fGsUnitHost(Object.assign({}, this.host, { noUi: true })).spreadsheet.getId(),
+      name: fDefaultArg(pArg.name, 'ScheduledTests'),
+      filter: fDefaultArg(pArg.filter, {}),
+    });
+    let tSchedule = pArg.everyHours > 0 ? { everyHours: pArg.everyHours } :
+      { everyDays: fDefaultArg(pArg.everyDays, 1), atHour: fDefaultArg(pArg.atHour, 2) };
+    let tId = this.triggers.create(this.handler, tSchedule);
+    this.store.set(this._key(tId), JSON.stringify(tConfig));
+    return tId;
+  }
+
+  /** ---------------------
+   * @method List the scheduled runs.
+   * @returns {array} [{id, defs, spreadsheetId, name, ...}, ...]
+   */
+  list() {
+    return this.triggers.list().filter(pTrigger => pTrigger.handler == this.handler &&
+      this.store.get(this._resumeKey(pTrigger.id)) == null).map(pTrigger => {
+      let tConfig = this.store.get(this._key(pTrigger.id));
+      return Object.assign({ id: pTrigger.id }, tConfig != null ? JSON.parse(tConfig) : {});
+    });
+  }
+
+  /** ---------------------
+   * @method Remove a scheduled run, and its settings.
+   * @param {string} pId - the trigger id, or 'all'
+   */
+  remove(pId) {
+    for (let tSched of this.list())
+      if (pId == 'all' || tSched.id == pId) {
+        this.triggers.remove(tSched.id);
+        this.store.remove(this._key(tSched.id));
+      }
+  }
+
+  /** ---------------------
+   * @method Run the tests for a trigger. This is called by gsunitScheduledRun().
+   * @param {obj} pEvent - the trigger's event. pEvent.triggerUid is the trigger id, or the id of
+   *   the resume trigger that was added for it at a checkpoint.
+   * @returns {RunTests} or a Promise for it, if a test was async
+   */
+  run(pEvent = {}) {
+    let tId = pEvent.triggerUid;
+    let tScheduleId = this.store.get(this._resumeKey(tId));
+    if (tScheduleId != null) {
+      this.store.remove(this._resumeKey(tId));
+      tId = tScheduleId;
+    }
+    let tConfig = this.store.get(this._key(tId));
+    if (tConfig == null)
+      throw new Error('There is no scheduled run for trigger: ' + pEvent.triggerUid);
+    tConfig = JSON.parse(tConfig);
+    let tUnit = new GsUnit({ name: 'scheduled' });
+    let tRun = new RunTests({
+      name: tConfig.name, gsunit: tUnit, filter: tConfig.filter, store: this.store,
+      host: Object.assign({}, this.host, { spreadsheetId: tConfig.spreadsheetId, noUi: true }),
+    });
+    tRun.showInSheet = true;
+    tRun.showToast = false;
+    for (let tKey of ['showPass', 'showInConsole', 'historySheet', 'notifyWhen', 'email', 'webhookUrl',
+      'testTimeout', 'runTimeout', 'timeBudget'])
+      if (tConfig[tKey] !== undefined)
+        tRun[tKey] = tConfig[tKey];
+    // Schedules can have the same sheet name, so the checkpoint is saved by the trigger id
+    tRun.checkpointId = 'schedule-' + tId;
+    tRun.resumeTrigger = this.handler;
+    tRun.resetTests();
+    for (let tName of tConfig.defs) {
+      let tDef = this.defs != null ? this.defs[tName] : _gsunitGlobal()[tName];
+      if (typeof tDef !== 'function')
+        throw new Error('Scheduled run: ' + tName + ' is not a function.');
+      tRun.addSuite(tName);
+      tDef(tRun, tUnit);
+    }
+    let tDone = tRun.runTests();
+    let tSave = () => {
+      if (tRun.checkpointed && tRun.resumeTriggerId != '')
+        this.store.set(this._resumeKey(tRun.resumeTriggerId), tId);
+      return tRun;
+    };
+    return fIsThenable(tDone) ? tDone.then(tSave) : tSave();
+  }
+
+  _key(pId) {
+    return 'gsunit-schedule-' + pId;
+  }
+
+  _resumeKey(pId) {
+    return 'gsunit-schedule-resume-' + pId;
+  }
+} // GsUnitScheduler
+
+/** ----------------------
+ * @function The trigger function for GsUnitScheduler. It runs the trigger's tests.
+ * @param {obj} pEvent - the trigger's event
+ */
+function gsunitScheduledRun(pEvent) {
+  return new GsUnitScheduler().run(pEvent);
+}
+
+/**
+ * @class
+ * @classdesc Trigger service that uses Apps Script ScriptApp time-driven triggers.
+ * @param {ScriptApp} pScriptApp - default: ScriptApp
+ */
+class ScriptAppTriggers {
+  constructor(pScriptApp) {
+    this._app = pScriptApp !== undefined ? pScriptApp : ScriptApp;
+  }
+
+  create(pHandler, pSchedule) {
+    let tBuilder = this._app.newTrigger(pHandler).timeBased();
+    if (pSchedule.everyHours > 0)
+      tBuilder = tBuilder.everyHours(pSchedule.everyHours);
+    else
+      tBuilder = tBuilder.everyDays(pSchedule.everyDays).atHour(pSchedule.atHour);
+    return tBuilder.create().getUniqueId();
+  }
+
+  list() {
+    return this._app.getProjectTriggers().map(pTrigger => ({
+      id: pTrigger.getUniqueId(), handler: pTrigger.getHandlerFunction(),
+    }));
+  }
+
+  remove(pId) {
+    for (let tTrigger of this._app.getProjectTriggers())
+      if (tTrigger.getUniqueId() == pId)
+        this._app.deleteTrigger(tTrigger);
+  }
+} // ScriptAppTriggers
+
+/**
+ * @class
+ * @classdesc In-memory trigger service. The triggers are in this.triggers: [{id, handler, schedule}]
+ */
+class MemTriggers {
+  constructor() {
+    this.triggers = [];
+    this._count = 0;
+  }
+
+  create(pHandler, pSchedule) {
+    let tId = 'mem-trigger-' + (++this._count);
+    this.triggers.push({ id: tId, handler: pHandler, schedule: pSchedule });
+    return tId;
+  }
+
+  list() {
+    return this.triggers.map(pTrigger => ({ id: pTrigger.id, handler: pTrigger.handler }));
+  }
+
+  remove(pId) {
+    this.triggers = this.triggers.filter(pTrigger => pTrigger.id != pId);
+  }
+} // MemTriggers
+
+// ======================================================================
+/* Test Explorer sidebar.
+ * showGsUnitExplorer() opens the sidebar. The sidebar calls gsunitExplorerList() and
+ * gsunitExplorerRun() with google.script.run. These use GsUnitExplorer, so they can
+ * be tested without the sidebar.
+ */
+
+/**
+ * @class
+ * @classdesc List and run the tests for the Test Explorer. The last result of each test
+ * is saved in store, one value per test. A run also writes its results to the name sheet.
+ * @param {obj} pArg = {defs: [], store: PropertiesStore, host: {}, name: 'TestExplorer'}
+ *   defs - list of defName functions. Default: the global functions named with setDefs(),
+ *     or gsunitTestAllDefs()
+ *   name - the results sheet name
+ * @example new GsUnitExplorer().setDefs(['defMyTests', 'defMoreTests']);
+ */
+class GsUnitExplorer {
+  constructor(pArg = {}) {
+    this.defs = fDefaultArg(pArg.defs, null);
+    this.store = pArg.store !== undefined ? pArg.store : new PropertiesStore();
+    this.host = fDefaultArg(pArg.host, {});
+    this.name = fDefaultArg(pArg.name, 'TestExplorer');
+  }
+
+  /** ---------------------
+   * @method Save the names of the defName functions to list.
+   * @param {array} pNames
+   */
+  setDefs(pNames) {
+    this.store.set('gsunit-explorer-defs', JSON.stringify(pNames));
+  }
+
+  /** ---------------------
+   * @method List the suites and tests, with their last results.
+   * @returns {array} [{suite, tests: [{name, description, key, tags, last}]}, ...]
+   *   last - null, or {status, color, message, operator, code, actual, expected, location, time}
+   */
+  list() {
+    // Named for the active sheet, so that listing does not add or activate the results sheet
+    let tHost = fGsUnitHost(Object.assign({ noUi: true }, this.host));
+    return this._list(this._newRun({}, tHost.spreadsheet.getActiveSheet().getName()));
+  }
+
+  /** ---------------------
+   * @private
+   * @method List the suites and tests of pRun, with their last results. See list()
+   */
+  _list(pRun) {
+    let tList = [];
+    for (let tSuite of pRun._suiteList) {
+      let tTests = pRun._testList.filter(pTest => pTest.suite === tSuite).map(pTest => ({
+        name: pTest.id,
+        description: pTest.description,
+        key: _gsunitTestKey(pTest),
+        tags: pTest.tags,
+        last: this._loadResult(_gsunitTestKey(pTest)),
+      }));
+      if (tTests.length > 0)
+        tList.push({ suite: tSuite.name, tests: tTests });
+    }
+    return tList;
+  }
+
+  /** ---------------------
+   * @method Run tests, save their results, and return the new list().
+   * @param {obj} pSelect = {suite: '', test: '', failed: false}
+   *   {} - run all of the tests
+   *   {suite} - run the suite's tests
+   *   {suite, test} - run one test
+   *   {failed: true} - run the tests that had a Fail, Error, Timeout, Hook, or XPass the last time
+   * A test that was not run, because its beforeAll or beforeEach hook failed, gets the Hook result.
+   * @returns {array} see list(). If a test was async, a Promise for it.
+   */
+  run(pSelect = {}) {
+    let tFilter = {};
+    if (pSelect.failed) {
+      tFilter.key = [];
+      for (let tSuite of this.list())
+        for (let tTest of tSuite.tests)
+          if (tTest.last != null && ['Fail', 'Error', 'Timeout', 'Hook', 'XPass'].includes(tTest.last.status))
+            tFilter.key.push(tTest.key);
+      if (tFilter.key.length == 0)
+        return this.list();
+    } else if (pSelect.test !== undefined)
+      tFilter.key = pSelect.suite + '/' + pSelect.test;
+    else if (pSelect.suite !== undefined)
+      tFilter.suite = pSelect.suite;
+
+    let tRun = this._newRun(tFilter, this.name);
+    let tResults = {};
+    let tHookFail = null;
+    let tReporter = new GsUnitReporter();
+    tReporter.suiteStart = () => tHookFail = null;
+    tReporter.testEnd = (pRun, pResult) => {
+      if (pResult.test == null)
+        tHookFail = pResult;
+      else
+        tResults[_gsunitTestKey(pResult.test)] = _result(pRun, pResult);
+    };
+    tReporter.suiteEnd = (pRun, pSuite) => {
+      if (tHookFail == null)
+        return;
+      // The selected tests with no result were not run, because of the hook
+      for (let tTest of pRun._runList().filter(pTest => pTest.suite === pSuite))
+        if (!(_gsunitTestKey(tTest) in tResults))
+          tResults[_gsunitTestKey(tTest)] = _result(pRun, tHookFail);
+    };
+    tRun.addReporter(tReporter);
+    let tSave = () => {
+      // One value for each test, because property values are limited to 9KB
+      for (let tKey in tResults)
+        try {
+          this.store.set(this._key(tKey), JSON.stringify(tResults[tKey]));
+        } catch (e) {
+          console.error('Test Explorer: the result of ' + tKey + ' was not saved. ' + e.message);
+        }
+      return this._list(tRun);
+    };
+    // Only a run writes the results sheet
+    tRun.showInSheet = true;
+    tRun.st.clear();
+    let tDone = tRun.runTests();
+    return fIsThenable(tDone) ? tDone.then(tSave) : tSave();
+
+    // -----
+    function _result(pRun, pResult) {
+      let tE = pResult.error;
+      let tIsFail = tE != null && tE.name == 'AssertFail';
+      return {
+        status: pResult.status,
+        color: pRun.statusColor(pResult.status),
+        message: tE != null ? _short(tE.message) : pResult.reason,
+        operator: tIsFail ? tE.operator : '',
+        code: tIsFail ? tE.code : '',
+        actual: tIsFail ? _short(fShowValue(tE.actual)) : '',
+        expected: tIsFail ? _short(fShowValue(tE.expected)) : '',
+        location: pResult.location,
+        time: pResult.time,
+      };
+    }
+    // -----
+    function _short(pStr) {
+      // Property values are limited to 9KB, so one result is kept under about 3KB
+      pStr = String(pStr);
+      return pStr.length > 1000 ? pStr.substring(0, 1000) + '...' : pStr;
+    }
+  }
+
+  /** ---------------------
+   * @method Open the Test Explorer sidebar.
+   * @param {HtmlService} pHtmlService - default: HtmlService
+   */
+  show(pHtmlService) {
+    let tHtmlService = pHtmlService !== undefined ? pHtmlService : HtmlService;
+    let tHtml = tHtmlService.createHtmlOutput(_gsunitExplorerHtml()).setTitle('Test Explorer');
+    fGsUnitHost(this.host).ui.showSidebar(tHtml);
+  }
+
+  /** ---------------------
+   * @private
+   * @method Make a RunTests, with the tests of all of the defs added. It does not write
+   * to the sheet, until showInSheet is set.
+   * @param {string} pName - the RunTests sheet name
+   */
+  _newRun(pFilter, pName) {
+    let tUnit = new GsUnit({ name: 'explorer' });
+    let tRun = new RunTests({
+      name: pName, gsunit: tUnit, filter: pFilter,
+      host: Object.assign({ noUi: true }, this.host),
+    });
+    tRun.showInConsole = false;
+    tRun.showToast = false;
+    for (let tDef of this._defs()) {
+      tRun.addSuite(tDef.name);
+      tDef(tRun, tUnit);
+    }
+    return tRun;
+  }
+
+  _defs() {
+    if (this.defs != null)
+      return this.defs;
+    let tNames = this.store.get('gsunit-explorer-defs');
+    if (tNames == null)
+      return gsunitTestAllDefs();
+    return JSON.parse(tNames).map(pName => {
+      let tDef = _gsunitGlobal()[pName];
+      if (typeof tDef !== 'function')
+        throw new Error('Test Explorer: ' + pName + ' is not a function.');
+      return tDef;
+    });
+  }
+
+  _loadResult(pKey) {
+    let tSaved = this.store.get(this._key(pKey));
+    return tSaved != null ? JSON.parse(tSaved) : null;
+  }
+
+  _key(pTestKey) {
+    return 'gsunit-explorer-' + this.name + '-' + pTestKey;
+  }
+} // GsUnitExplorer
+
+/** ----------------------
+ * @function Open the Test Explorer sidebar. Called from the menuGsUnitTest menu.
+ */
+function showGsUnitExplorer() {
+  new GsUnitExplorer().show();
+}
+
+/** ----------------------
+ * @function Sidebar handler. See GsUnitExplorer.list()
+ */
+function gsunitExplorerList() {
+  return new GsUnitExplorer().list();
+}
+
+/** ----------------------
+ * @function Sidebar handler. See GsUnitExplorer.run()
+ */
+function gsunitExplorerRun(pSelect) {
+  return new GsUnitExplorer().run(pSelect);
+}
+
+// -----
+function _gsunitExplorerHtml() {
+  return `<!DOCTYPE html>
+<html>
+<head>
+<base target="_top">
+<style>
+  body { font-family: Arial, sans-serif; font-size: 12px; }
+  .suite { margin-top: 8px; font-weight: bold; }
+  .test { margin: 2px 0 2px 12px; }
+  .status { display: inline-block; width: 48px; text-align: center; }
+  .detail { margin: 2px 0 4px 24px; white-space: pre-wrap; font-family: monospace; }
+  button { font-size: 11px; }
+</style>
+</head>
+<body>
+<div>
+  <button onclick="run({})">Run all</button>
+  <button onclick="run({failed: true})">Re-run failed</button>
+  <span id="msg"></span>
+</div>
+<div id="tree">Loading...</div>
+<script>
+  function esc(pStr) {
+    return String(pStr).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  }
+
+  function render(pSuites) {
+    var tOut = [];
+    pSuites.forEach(function (pSuite) {
+      tOut.push('<div class="suite">' + esc(pSuite.suite) +
+        ' <button data-suite="' + esc(pSuite.suite) + '" onclick="runFrom(this)">Run</button></div>');
+      pSuite.tests.forEach(function (pTest) {
+        var tLast = pTest.last;
+        tOut.push('<div class="test"><span class="status" style="background:' +
+          (tLast ? esc(tLast.color) : '#ffffff') + '">' + (tLast ? esc(tLast.status) : '-') + '</span> ' +
+          esc(pTest.name) + (pTest.description ? ' - ' + esc(pTest.description) : '') + ' <button data-suite="' + esc(pSuite.suite) + '" data-test="' + esc(pTest.name) +
+          '" onclick="runFrom(this)">Run</button></div>');
+        if (tLast && tLast.message)
+          tOut.push('<div class="detail">' + esc(tLast.message) +
+            (tLast.operator ? '\\noperator: ' + esc(tLast.operator) + '  code: ' + esc(tLast.code) +
+              '\\nactual:   ' + esc(tLast.actual) + '\\nexpected: ' + esc(tLast.expected) : '') +
+            (tLast.location ? '\\nat: ' + esc(tLast.location) : '') + '</div>');
+      });
+    });
+    document.getElementById('tree').innerHTML = tOut.join('\\n');
+    msg('');
+  }
+
+  function runFrom(pButton) {
+    var tSelect = { suite: pButton.getAttribute('data-suite') };
+    if (pButton.hasAttribute('data-test'))
+      tSelect.test = pButton.getAttribute('data-test');
+    run(tSelect);
+  }
+
+  function run(pSelect) {
+    msg('Running...');
+    google.script.run.withSuccessHandler(render).withFailureHandler(fail).gsunitExplorerRun(pSelect);
+  }
+
+  function fail(pE) {
+    msg('Error: ' + pE.message);
+  }
+
+  function msg(pMsg) {
+    document.getElementById('msg').textContent = pMsg;
+  }
+
+  google.script.run.withSuccessHandler(render).withFailureHandler(fail).gsunitExplorerList();
+</script>
+</body>
+</html>
+`;
+}
+
+// ======================================================================
+/* Fixtures.
+ * The RunTests fixture methods (see fixtureSheet()) remove what they made when
+ * the test is done. If a run is stopped (e.g. by the Apps Script time limit),
+ * the fixtures are left behind. fSweepFixtures() finds them by their names.
+ */
+
+/** ----------------------
+ * @function Remove the fixtures left by runs that did not finish. The sheets in
+ * host.spreadsheet are deleted, and the files and folders in host.driveApp are trashed,
+ * if their names start with pArg.prefix, and they were made more than pArg.olderThan ms ago.
+ * @param {obj} pArg = {host: {}, prefix: 'gsunit-tmp-', olderThan: 60 * 60 * 1000}
+ *   host - see fGsUnitHost(). noUi is true by default.
+ *   olderThan - so the fixtures of a run that is still going are not removed
+ * @returns {array} the names of the removed fixtures
+ * @example fSweepFixtures({olderThan: 0});
+ */
+function fSweepFixtures(pArg = {}) {
+  let tHost = fGsUnitHost(Object.assign({ noUi: true }, pArg.host));
+  let tPrefix = fDefaultArg(pArg.prefix, 'gsunit-tmp-');
+  let tOlderThan = pArg.olderThan !== undefined ? pArg.olderThan : 60 * 60 * 1000;
+  let tPattern = new RegExp('^' + tPrefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + '.*-([0-9a-z]+)-\\d+$');
+  let tRemoved = [];
+  if (tHost.spreadsheet != null)
+    for (let tSheet of tHost.spreadsheet.getSheets())
+      if (_isOld(tSheet.getName())) {
+        tHost.spreadsheet.deleteSheet(tSheet);
+        tRemoved.push(tSheet.getName());
+      }
+  if (tHost.driveApp != null) {
+    let tQuery = "title contains '" + tPrefix + "' and trashed = false";
+    for (let tIter of [tHost.driveApp.searchFiles(tQuery), tHost.driveApp.searchFolders(tQuery)])
+      while (tIter.hasNext()) {
+        let tItem = tIter.next();
+        if (_isOld(tItem.getName())) {
+          tItem.setTrashed(true);
+          tRemoved.push(tItem.getName());
+        }
+      }
+  }
+  return tRemoved;
+
+  // -----
+  function _isOld(pName) {
+    let tMatch = tPattern.exec(pName);
+    return tMatch != null && Date.now() - parseInt(tMatch[1], 36) >= tOlderThan;
+  }
+} // fSweepFixtures
+
+/** ----------------------
+ * @function Menu function: remove the fixtures left by runs that did not finish.
+ * See fSweepFixtures()
+ */
+function gsunitSweepFixtures() {
+  let tRemoved = fSweepFixtures();
+  console.info('Removed ' + tRemoved.length + ' fixtures: ' + tRemoved.join(', '));
+  return tRemoved;
+}
+
+// ======================================================================
+/* Host for RunTests.
+ * RunTests only talks to Apps Script through the host object, so the
+ * tests can also be run outside of a bound spreadsheet (for example with node).
+ */
+
+/** ----------------------
+ * @function Fill in the missing parts of a RunTests host.
+ * @param {obj} pHost = {app: SpreadsheetApp, spreadsheet: ss, ui: ui, toast: function(pMsg, pTitle, pTime), scriptApp: ScriptApp,
+ *   mailApp: MailApp, urlFetchApp: UrlFetchApp, driveApp: DriveApp, spreadsheetId: '', noUi: false}
+ *   app - default: SpreadsheetApp, if it is defined. Otherwise the in-memory MemSpreadsheetApp.
+ *   spreadsheet - default: app.openById(spreadsheetId) if spreadsheetId is given, else app.getActiveSpreadsheet()
+ *   noUi - true when there is no user, e.g. in a trigger. ui is null, and toast does nothing.
+ *   ui - default: app.getUi()
+ *   toast - default: spreadsheet.toast()
+ *   scriptApp - used for triggers. default: ScriptApp, if it is defined. Otherwise null.
+ *   mailApp, urlFetchApp - used by NotifyReporter. default: MailApp, UrlFetchApp, if they are defined.
+ *     Otherwise null. MemMailApp and MemUrlFetchApp can be used for local tests.
+ *   driveApp - used by the RunTests fixtures. default: DriveApp, if it is defined. Otherwise null.
+ * @returns {obj} the host with all properties defined
+ * @example let tHost = fGsUnitHost({spreadsheet: SpreadsheetApp.openById(tId)});
+ */
+function fGsUnitHost(pHost = {}) {
+  if (pHost == null)
+    pHost = {};
+  let tApp = pHost.app;
+  if (tApp == undefined)
+    tApp = typeof SpreadsheetApp !== 'undefined' ? SpreadsheetApp : fGsUnitMemApp();
+  let tSs = pHost.spreadsheet;
+  if (tSs === undefined)
+    tSs = pHost.spreadsheetId !== undefined ? tApp.openById(pHost.spreadsheetId) : tApp.getActiveSpreadsheet();
+  let tNoUi = fDefaultArg(pHost.noUi, false);
+  let tUi = null;
+  if (!tNoUi)
+    tUi = pHost.ui !== undefined ? pHost.ui : tApp.getUi();
+  let tToast = pHost.toast;
+  if (tToast == undefined)
+    tToast = tNoUi ? function () { } : function (pMsg, pTitle, pTime) { tSs.toast(pMsg, pTitle, pTime); };
+  let tScriptApp = pHost.scriptApp;
+  if (tScriptApp === undefined)
+    tScriptApp = typeof ScriptApp !== 'undefined' ? ScriptApp : null;
+  let tMailApp = pHost.mailApp;
+  if (tMailApp === undefined)
+    tMailApp = typeof MailApp !== 'undefined' ? MailApp : null;
+  let tUrlFetchApp = pHost.urlFetchApp;
+  if (tUrlFetchApp === undefined)
+    tUrlFetchApp = typeof UrlFetchApp !== 'undefined' ? UrlFetchApp : null;
+  let tDriveApp = pHost.driveApp;
+  if (tDriveApp === undefined)
+    tDriveApp = typeof DriveApp !== 'undefined' ? DriveApp : null;
+  return {
+    app: tApp, spreadsheet: tSs, ui: tUi, toast: tToast, scriptApp: tScriptApp,
+    mailApp: tMailApp, urlFetchApp: tUrlFetchApp, driveApp: tDriveApp, noUi: tNoUi,
+  };
+} // fGsUnitHost
+
+/** ----------------------
+ * @function Get the shared in-memory SpreadsheetApp. It is created on the first call.
+ * @returns {MemSpreadsheetApp}
+ */
+function fGsUnitMemApp() {
+  if (_gsunitMemApp == null)
+    _gsunitMemApp = new MemSpreadsheetApp();
+  return _gsunitMemApp;
+}
+var _gsunitMemApp = null;
+
+// ======================================================================
+/* In-memory stand-in for the parts of SpreadsheetApp that RunTests uses.
+ * Only the values, formulas (they are not calculated), and a few formats are kept.
+ * Row and column numbers start at 1.
+ */
+
+/**
+ * @class
+ * @classdesc A rectangle of cells in a MemSheet.
+ */
+class MemRange {
+  constructor(pSheet, pRow, pCol, pNumRows = 1, pNumCols = 1) {
+    if (pRow < 1 || pCol < 1 || pNumRows < 1 || pNumCols < 1)
+      throw new Error('The coordinates of the range are outside the dimensions of the sheet.');
+    this._sheet = pSheet;
+    this._row = pRow;
+    this._col = pCol;
+    this._numRows = pNumRows;
+    this._numCols = pNumCols;
+  }
+
+  getSheet() { return this._sheet; }
+  getRow() { return this._row; }
+  getColumn() { return this._col; }
+  getNumRows() { return this._numRows; }
+  getNumColumns() { return this._numCols; }
+  getLastRow() { return this._row + this._numRows - 1; }
+  getLastColumn() { return this._col + this._numCols - 1; }
+
+  getA1Notation() {
+    let tStart = fColumnLetter(this._col) + this._row;
+    if (this._numRows == 1 && this._numCols == 1)
+      return tStart;
+    return tStart + ':' + fColumnLetter(this.getLastColumn()) + this.getLastRow();
+  }
+
+  /** ---------------------
+   * @private
+   * @method Get a 2-D array of the pName property of the cells.
+   */
+  _get(pName) {
+    let tRows = [];
+    for (let r = 0; r < this._numRows; ++r) {
+      let tRow = [];
+      for (let c = 0; c < this._numCols; ++c)
+        tRow.push(this._sheet._cell(this._row + r, this._col + c)[pName]);
+      tRows.push(tRow);
+    }
+    return tRows;
+  }
+
+  /** ---------------------
+   * @private
+   * @method Set the pName property of the cells from a 2-D array.
+   */
+  _set(pName, pValues) {
+    if (!Array.isArray(pValues) || pValues.length != this._numRows)
+      throw new Error('The number of rows in the data does not match the number of rows in the range. The data has ' +
+        (Array.isArray(pValues) ? pValues.length : 0) + ' but the range has ' + this._numRows + '.');
+    for (let r = 0; r < this._numRows; ++r) {
+      if (pValues[r].length != this._numCols)
+        throw new Error('The number of columns in the data does not match the number of columns in the range. The data has ' +
+          pValues[r].length + ' but the range has ' + this._numCols + '.');
+      for (let c = 0; c < this._numCols; ++c)
+        this._sheet._cell(this._row + r, this._col + c)[pName] = pValues[r][c];
+    }
+    return this;
+  }
+
+  /** ---------------------
+   * @private
+   * @method Set the pName property of all of the cells to pValue.
+   */
+  _setAll(pName, pValue) {
+    for (let r = 0; r < this._numRows; ++r)
+      for (let c = 0; c < this._numCols; ++c)
+        this._sheet._cell(this._row + r, this._col + c)[pName] = pValue;
+    return this;
+  }
+
+  getValues() { return this._get('value'); }
+  getValue() { return this.getValues()[0][0]; }
+  setValues(pValues) { return this._set('value', pValues); }
+  setValue(pValue) { return this._setAll('value', pValue); }
+  getBackgrounds() { return this._get('background'); }
+  getBackground() { return this.getBackgrounds()[0][0]; }
+  setBackgrounds(pColors) { return this._set('background', pColors); }
+  setBackground(pColor) { return this._setAll('background', pColor == null ? '#ffffff' : pColor); }
+  getFontWeights() { return this._get('fontWeight'); }
+  getFontWeight() { return this.getFontWeights()[0][0]; }
+  setFontWeights(pWeights) { return this._set('fontWeight', pWeights); }
+  setFontWeight(pWeight) { return this._setAll('fontWeight', pWeight == null ? 'normal' : pWeight); }
+  getWrapStrategies() { return this._get('wrap'); }
+  getWrapStrategy() { return this.getWrapStrategies()[0][0]; }
+  setWrapStrategy(pStrategy) { return this._setAll('wrap', pStrategy); }
+  getFormulas() { return this._get('formula'); }
+  getFormula() { return this.getFormulas()[0][0]; }
+  setFormulas(pFormulas) { return this._set('formula', pFormulas); }
+  setFormula(pFormula) { return this._setAll('formula', pFormula); }
+  getNumberFormats() { return this._get('numberFormat'); }
+  getNumberFormat() { return this.getNumberFormats()[0][0]; }
+  setNumberFormats(pFormats) { return this._set('numberFormat', pFormats); }
+  setNumberFormat(pFormat) { return this._setAll('numberFormat', pFormat); }
+  getCell(pRow, pCol) { return new MemRange(this._sheet, this._row + pRow - 1, this._col + pCol - 1); }
+
+  clear() {
+    for (let r = 0; r < this._numRows; ++r)
+      for (let c = 0; c < this._numCols; ++c)
+        this._sheet._clearCell(this._row + r, this._col + c);
+    return this;
+  }
+} // MemRange
+
+/**
+ * @class
+ * @classdesc One sheet in a MemSpreadsheet.
+ */
+class MemSheet {
+  constructor(pSs, pName) {
+    this._ss = pSs;
+    this._name = pName;
+    this._rows = [];       // this._rows[row-1][col-1] = {value, background, ...}
+    this._colWidths = {};
+    this._id = MemSheet._count++;
+  }
+
+  /** ---------------------
+   * @private
+   * @method Get the cell object, creating it if needed.
+   */
+  _cell(pRow, pCol) {
+    while (this._rows.length < pRow)
+      this._rows.push([]);
+    let tRow = this._rows[pRow - 1];
+    while (tRow.length < pCol)
+      tRow.push(_gsunitMemCell());
+    return tRow[pCol - 1];
+  }
+
+  _clearCell(pRow, pCol) {
+    if (pRow <= this._rows.length && pCol <= this._rows[pRow - 1].length)
+      this._rows[pRow - 1][pCol - 1] = _gsunitMemCell();
+  }
+
+  getName() { return this._name; }
+  setName(pName) { this._name = pName; return this; }
+  getParent() { return this._ss; }
+  getSheetId() { return this._id; }
+
+  activate() {
+    this._ss.setActiveSheet(this);
+    return this;
+  }
+
+  // A cell with a formula has content, as in Sheets, although its value is not calculated
+  getLastRow() {
+    for (let r = this._rows.length; r > 0; --r)
+      if (this._rows[r - 1].some(pCell => pCell.value !== '' || pCell.formula !== ''))
+        return r;
+    return 0;
+  }
+
+  getLastColumn() {
+    let tLast = 0;
+    for (let tRow of this._rows)
+      for (let c = tRow.length; c > tLast; --c)
+        if (tRow[c - 1].value !== '' || tRow[c - 1].formula !== '') {
+          tLast = c;
+          break;
+        }
+    return tLast;
+  }
+
+  getMaxRows() { return Math.max(this._rows.length, 1000); }
+
+  getMaxColumns() {
+    return Math.max(26, ...this._rows.map(pRow => pRow.length));
+  }
+
+  /** ---------------------
+   * @method Get a range by row and column numbers, or by A1 notation ('B2' or 'A1:C3').
+   */
+  getRange(pRow, pCol, pNumRows = 1, pNumCols = 1) {
+    if (typeof pRow === 'string') {
+      let tCells = pRow.toUpperCase().split(':').map(_gsunitA1Cell);
+      let tEnd = tCells.length > 1 ? tCells[1] : tCells[0];
+      return new MemRange(this, tCells[0].row, tCells[0].col, tEnd.row - tCells[0].row + 1, tEnd.col - tCells[0].col + 1);
+    }
+    return new MemRange(this, pRow, pCol, pNumRows, pNumCols);
+  }
+
+  getDataRange() {
+    return this.getRange(1, 1, Math.max(this.getLastRow(), 1), Math.max(this.getLastColumn(), 1));
+  }
+
+  appendRow(pRow) {
+    let tRow = this.getLastRow() + 1;
+    if (pRow.length > 0)
+      this.getRange(tRow, 1, 1, pRow.length).setValues([pRow]);
+    return this;
+  }
+
+  insertRowBefore(pRow) {
+    if (pRow <= this._rows.length)
+      this._rows.splice(pRow - 1, 0, []);
+    return this;
+  }
+
+  clear() {
+    this._rows = [];
+    return this;
+  }
+
+  autoResizeColumns(pStart, pNum) {
+    for (let c = pStart; c < pStart + pNum; ++c)
+      delete this._colWidths[c];
+    return this;
+  }
+
+  setColumnWidth(pCol, pWidth) {
+    this._colWidths[pCol] = pWidth;
+    return this;
+  }
+
+  getColumnWidth(pCol) {
+    return this._colWidths[pCol] !== undefined ? this._colWidths[pCol] : 100;
+  }
+} // MemSheet
+MemSheet._count = 0;
+
+/**
+ * @class
+ * @classdesc In-memory spreadsheet. Toast messages are saved in this.toasts.
+ */
+class MemSpreadsheet {
+  constructor(pName = 'Untitled spreadsheet') {
+    this._name = pName;
+    this._id = 'mem-ss-' + (++MemSpreadsheet._count);
+    this._sheets = [new MemSheet(this, 'Sheet1')];
+    this._active = this._sheets[0];
+    this._named = {};
+    this.toasts = [];
+  }
+
+  getName() { return this._name; }
+  rename(pName) { this._name = pName; }
+  getId() { return this._id; }
+  getUrl() { return 'mem://spreadsheets/' + this._id; }
+  getSheets() { return this._sheets.slice(); }
+  getActiveSheet() { return this._active; }
+
+  setActiveSheet(pSheet) {
+    this._active = pSheet;
+    return pSheet;
+  }
+
+  getSheetByName(pName) {
+    let tSheet = this._sheets.find(pSheet => pSheet.getName() == pName);
+    return tSheet === undefined ? null : tSheet;
+  }
+
+  insertSheet(pName) {
+    if (pName === undefined)
+      pName = 'Sheet' + (this._sheets.length + 1);
+    if (this.getSheetByName(pName) != null)
+      throw new Error('A sheet with the name "' + pName + '" already exists. Please enter another name.');
+    let tSheet = new MemSheet(this, pName);
+    this._sheets.push(tSheet);
+    this._active = tSheet;
+    return tSheet;
+  }
+
+  deleteSheet(pSheet) {
+    this._sheets = this._sheets.filter(pS => pS !== pSheet);
+    if (this._active === pSheet)
+      this._active = this._sheets.length > 0 ? this._sheets[0] : null;
+  }
+
+  setNamedRange(pName, pRange) { this._named[pName] = pRange; }
+  getRangeByName(pName) { return pName in this._named ? this._named[pName] : null; }
+  removeNamedRange(pName) { delete this._named[pName]; }
+
+  toast(pMsg, pTitle = '', pTime = -1) {
+    this.toasts.push({ msg: pMsg, title: pTitle, time: pTime });
+  }
+} // MemSpreadsheet
+MemSpreadsheet._count = 0;
+
+/**
+ * @class
+ * @classdesc In-memory Ui. Only the menu building and alert calls are supported.
+ */
+class MemUi {
+  constructor() {
+    this.alerts = [];
+    this.menus = [];
+    this.sidebars = [];
+  }
+
+  showSidebar(pHtml) {
+    this.sidebars.push(pHtml);
+  }
+
+  alert(pMsg) {
+    this.alerts.push(pMsg);
+    return 'OK';
+  }
+
+  createMenu(pName) {
+    let tUi = this;
+    let tMenu = {
+      name: pName,
+      items: [],
+      addItem(pCaption, pFunName) { this.items.push({ caption: pCaption, fun: pFunName }); return this; },
+      addSeparator() { this.items.push({ separator: true }); return this; },
+      addSubMenu(pMenu) { this.items.push({ menu: pMenu }); return this; },
+      addToUi() { tUi.menus.push(this); },
+    };
+    return tMenu;
+  }
+} // MemUi
+
+/**
+ * @class
+ * @classdesc In-memory SpreadsheetApp.
+ * @param {MemDriveApp} pDrive - optional. create() also adds a file to pDrive, with the spreadsheet's id.
+ * @example let tApp = new MemSpreadsheetApp(); let tRun = new RunTests({host: {app: tApp}});
+ */
+class MemSpreadsheetApp {
+  constructor(pDrive = null) {
+    this.WrapStrategy = { WRAP: 'WRAP', OVERFLOW: 'OVERFLOW', CLIP: 'CLIP' };
+    this._ui = new MemUi();
+    this._drive = pDrive;
+    this._spreadsheets = [new MemSpreadsheet()];
+    this._active = this._spreadsheets[0];
+  }
+
+  getActiveSpreadsheet() { return this._active; }
+
+  setActiveSpreadsheet(pSs) { this._active = pSs; }
+
+  getUi() { return this._ui; }
+
+  create(pName) {
+    let tSs = new MemSpreadsheet(pName);
+    if (this._drive != null)
+      tSs._id = this._drive.createFile(pName, '', 'application/vnd.google-apps.spreadsheet').getId();
+    this._spreadsheets.push(tSs);
+    return tSs;
+  }
+
+  openById(pId) {
+    let tSs = this._spreadsheets.find(pSs => pSs.getId() == pId);
+    if (tSs === undefined)
+      throw new Error('Unexpected error while getting the method or property openById on object SpreadsheetApp.');
+    return tSs;
+  }
+
+  flush() { }
+} // MemSpreadsheetApp
+
+/** ----------------------
+ * @function Convert a column number to letters. 1 is 'A', 27 is 'AA'.
+ */
+function fColumnLetter(pCol) {
+  let tLetters = '';
+  for (; pCol > 0; pCol = Math.floor((pCol - 1) / 26))
+    tLetters = String.fromCharCode(65 + (pCol - 1) % 26) + tLetters;
+  return tLetters;
+}
+
+// -----
+function _gsunitA1Cell(pA1) {
+  let tMatch = /^([A-Z]+)([0-9]+)$/.exec(pA1);
+  if (tMatch == null)
+    throw new Error('Range not found: ' + pA1);
+  let tCol = 0;
+  for (let tChar of tMatch[1])
+    tCol = tCol * 26 + tChar.charCodeAt(0) - 64;
+  return { row: parseInt(tMatch[2]), col: tCol };
+}
+
+// -----
+function _gsunitMemCell() {
+  return { value: '', formula: '', background: '#ffffff', fontWeight: 'normal', numberFormat: '0.###############', wrap: 'OVERFLOW' };
+}
+
+// ======================================================================
+/* Spies and stubs.
+ * A spy is a function that saves each call in spy.calls = [{args, thisArg, returned, threw}].
+ * See the GsUnit assertCalled...() methods, and RunTests stub() and spyOn() for
+ * stubs that are restored after the test.
+ */
+
+/** ----------------------
+ * @function Make a spy function.
+ * @param {function} pImpl - optional. The spy calls this and returns its value.
+ * @returns {function} the spy. It also has these methods, which return the spy:
+ *   returns(pValue), throws(pError), callsFake(pFun), reset(), restore()
+ * @example let tSend = fSpy().returns(true); fNotify(tSend); pUnit.assertCalled('Sent', tSend, 'nt1');
+ */
+function fSpy(pImpl) {
+  let tSpy = function (...pArgs) {
+    let tCall = { args: pArgs, thisArg: this, returned: undefined, threw: undefined };
+    tSpy.calls.push(tCall);
+    if (tSpy._impl === undefined)
+      return undefined;
+    try {
+      tCall.returned = tSpy._impl.apply(this, pArgs);
+    } catch (e) {
+      tCall.threw = e;
+      throw e;
+    }
+    return tCall.returned;
+  };
+  tSpy.isSpy = true;
+  tSpy.calls = [];
+  tSpy._impl = pImpl;
+  tSpy.returns = function (pValue) { tSpy._impl = () => pValue; return tSpy; };
+  tSpy.throws = function (pError) { tSpy._impl = () => { throw pError; }; return tSpy; };
+  tSpy.callsFake = function (pFun) { tSpy._impl = pFun; return tSpy; };
+  tSpy.reset = function () { tSpy.calls = []; return tSpy; };
+  tSpy.restore = function () { return tSpy; };
+  return tSpy;
+} // fSpy
+
+/** ----------------------
+ * @function Replace the pName method of pObj with a spy that calls pImpl.
+ * Call restore() on the returned spy to put the original method back.
+ * @param {obj} pObj
+ * @param {string} pName
+ * @param {function} pImpl - default: return undefined
+ * @returns {function} the spy
+ * @example let tStub = fStub(MailApp, 'sendEmail'); ...; tStub.restore();
+ */
+function fStub(pObj, pName, pImpl = () => undefined) {
+  let tOwn = Object.prototype.hasOwnProperty.call(pObj, pName);
+  let tOrig = pObj[pName];
+  let tSpy = fSpy(pImpl);
+  tSpy.original = tOrig;
+  tSpy.restore = function () {
+    if (tOwn)
+      pObj[pName] = tOrig;
+    else
+      delete pObj[pName];
+    return tSpy;
+  };
+  pObj[pName] = tSpy;
+  return tSpy;
+} // fStub
+
+/** ----------------------
+ * @function Like fStub(), but the spy calls the original method.
+ * @example let tSpy = fSpyOn(tSheet, 'appendRow');
+ */
+function fSpyOn(pObj, pName) {
+  let tOrig = pObj[pName];
+  if (typeof tOrig !== 'function')
+    throw new Error(pName + ' is not a function.');
+  return fStub(pObj, pName, tOrig);
+}
+
+/** ----------------------
+ * @function Call pFun, and save what it writes with console.log, info, warn, error, and Logger.log.
+ * The output is not shown. Only the output written before pFun returns is saved.
+ * @param {function} pFun
+ * @param {array} pStreams - default: ['log', 'info', 'warn', 'error', 'Logger']
+ * @returns {obj} {lines: [{stream, text}], text: the lines joined with newlines, returned: pFun's return value}
+ * @example let tOut = fCaptureOutput(() => tRun.listTests(), ['info']);
+ */
+function fCaptureOutput(pFun, pStreams = ['log', 'info', 'warn', 'error', 'Logger']) {
+  let tLines = [];
+  let tSpies = [];
+  for (let tStream of pStreams) {
+    let tObj = tStream == 'Logger' ? _gsunitGlobal().Logger : console;
+    if (tObj == null || typeof tObj[tStream == 'Logger' ? 'log' : tStream] !== 'function')
+      continue;
+    tSpies.push(fStub(tObj, tStream == 'Logger' ? 'log' : tStream, (...pArgs) => {
+      tLines.push({ stream: tStream, text: pArgs.map(pArg => typeof pArg === 'string' || pArg instanceof Error ?
+        String(pArg) : fShowValue(pArg)).join(' ') });
+    }));
+  }
+  let tRet;
+  try {
+    tRet = pFun();
+  } finally {
+    for (let tSpy of tSpies)
+      tSpy.restore();
+  }
+  return { lines: tLines, text: tLines.map(pLine => pLine.text).join('\n'), returned: tRet };
+}
+
+/** ----------------------
+ * @function Count the method calls made on pObj, and on the objects its methods return.
+ * Calls made inside of the methods are not counted. Use it to check how many
+ * service calls some code makes.
+ * @param {obj} pObj - e.g. new MemSpreadsheetApp()
+ * @param {obj} pCounts - {methodName: n, total: n}. It is updated with each call.
+ * @returns {Proxy} use it in place of pObj
+ * @example let tCounts = {}; let tRun = new RunTests({host: {app: fCountCalls(new MemSpreadsheetApp(), tCounts)}});
+ */
+function fCountCalls(pObj, pCounts) {
+  let tTargets = new WeakMap();  // proxy -> object
+  pCounts.total = pCounts.total || 0;
+  return _wrap(pObj);
+
+  // -----
+  function _wrap(pVal) {
+    if (pVal == null || typeof pVal !== 'object' || Array.isArray(pVal) || pVal instanceof Date || tTargets.has(pVal))
+      return pVal;
+    let tProxy = new Proxy(pVal, {
+      get(pTarget, pName) {
+        let tVal = pTarget[pName];
+        if (typeof tVal !== 'function' || typeof pName !== 'string')
+          return tVal;
+        return (...pArgs) => {
+          pCounts[pName] = (pCounts[pName] || 0) + 1;
+          ++pCounts.total;
+          return _wrap(tVal.apply(pTarget, pArgs.map(pArg => tTargets.has(pArg) ? tTargets.get(pArg) : pArg)));
+        };
+      },
+    });
+    tTargets.set(tProxy, pVal);
+    return tProxy;
+  }
+}
+
+// ======================================================================
+/* In-memory fakes for DriveApp, PropertiesService, and MailApp.
+ * Also see MemSpreadsheetApp. Use RunTests useFake() to replace the global
+ * service for a test. For example: pTest.useFake('DriveApp', new MemDriveApp());
+ */
+
+/**
+ * @class
+ * @classdesc Iterator returned by the MemDriveApp get methods.
+ */
+class MemIterator {
+  constructor(pList) {
+    this._list = pList;
+    this._i = 0;
+  }
+
+  hasNext() { return this._i < this._list.length; }
+
+  next() {
+    if (!this.hasNext())
+      throw new Error('Cannot retrieve the next object: iterator has reached the end.');
+    return this._list[this._i++];
+  }
+
+  getContinuationToken() { return String(this._i); }
+} // MemIterator
+
+/**
+ * @class
+ * @classdesc Common methods for MemFolder and MemFile.
+ */
+class MemDriveItem {
+  constructor(pDrive, pName, pParent) {
+    this._drive = pDrive;
+    this._id = 'mem-' + (++pDrive._count);
+    this._name = pName;
+    this._parents = pParent == null ? [] : [pParent];
+    this._trashed = false;
+    this._description = '';
+    this._created = new Date();
+    this._updated = this._created;
+    pDrive._items.push(this);
+  }
+
+  getId() { return this._id; }
+  getName() { return this._name; }
+  getUrl() { return 'mem://drive/' + this._id; }
+  getDateCreated() { return this._created; }
+  getLastUpdated() { return this._updated; }
+  getDescription() { return this._description; }
+  isTrashed() { return this._trashed; }
+  getParents() { return new MemIterator(this._parents.slice()); }
+
+  setName(pName) {
+    this._name = pName;
+    this._updated = new Date();
+    return this;
+  }
+
+  setDescription(pText) {
+    this._description = pText;
+    return this;
+  }
+
+  setTrashed(pTrashed) {
+    this._trashed = pTrashed;
+    return this;
+  }
+
+  moveTo(pFolder) {
+    this._parents = [pFolder];
+    return this;
+  }
+} // MemDriveItem
+
+/**
+ * @class
+ * @classdesc In-memory Drive folder.
+ */
+class MemFolder extends MemDriveItem {
+  createFolder(pName) { return new MemFolder(this._drive, pName, this); }
+
+  createFile(pName, pContent = '', pMimeType = 'text/plain') {
+    return new MemFile(this._drive, pName, this, pContent, pMimeType);
+  }
+
+  getFolders() { return new MemIterator(this._children(MemFolder)); }
+  getFiles() { return new MemIterator(this._children(MemFile)); }
+  getFoldersByName(pName) { return new MemIterator(this._children(MemFolder).filter(pF => pF.getName() == pName)); }
+  getFilesByName(pName) { return new MemIterator(this._children(MemFile).filter(pF => pF.getName() == pName)); }
+
+  addFile(pFile) { return this._add(pFile); }
+  addFolder(pFolder) { return this._add(pFolder); }
+  removeFile(pFile) { return this._remove(pFile); }
+  removeFolder(pFolder) { return this._remove(pFolder); }
+
+  _children(pClass) {
+    return this._drive._items.filter(pItem => pItem instanceof pClass && !pItem._trashed && pItem._parents.includes(this));
+  }
+
+  _add(pItem) {
+    if (!pItem._parents.includes(this))
+      pItem._parents.push(this);
+    return this;
+  }
+
+  _remove(pItem) {
+    pItem._parents = pItem._parents.filter(pParent => pParent !== this);
+    return this;
+  }
+} // MemFolder
+
+/**
+ * @class
+ * @classdesc In-memory Drive file.
+ */
+class MemFile extends MemDriveItem {
+  constructor(pDrive, pName, pParent, pContent = '', pMimeType = 'text/plain') {
+    super(pDrive, pName, pParent);
+    this._content = String(pContent);
+    this._mimeType = pMimeType;
+  }
+
+  getMimeType() { return this._mimeType; }
+  getSize() { return this._content.length; }
+
+  getBlob() {
+    let tContent = this._content;
+    let tName = this._name;
+    let tType = this._mimeType;
+    return {
+      getDataAsString: () => tContent,
+      getName: () => tName,
+      getContentType: () => tType,
+    };
+  }
+
+  setContent(pContent) {
+    this._content = String(pContent);
+    this._updated = new Date();
+    return this;
+  }
+
+  makeCopy(pName, pFolder) {
+    let tParent = pFolder !== undefined ? pFolder : this._parents[0];
+    return new MemFile(this._drive, pName !== undefined ? pName : 'Copy of ' + this._name, tParent, this._content, this._mimeType);
+  }
+} // MemFile
+
+/**
+ * @class
+ * @classdesc In-memory DriveApp. Trashed files and folders are not returned by the get methods,
+ * except for getFileById and getFolderById.
+ */
+class MemDriveApp {
+  constructor() {
+    this._items = [];
+    this._count = 0;
+    this._root = new MemFolder(this, 'My Drive', null);
+  }
+
+  getRootFolder() { return this._root; }
+  createFolder(pName) { return this._root.createFolder(pName); }
+  createFile(pName, pContent, pMimeType) { return this._root.createFile(pName, pContent, pMimeType); }
+  getFolderById(pId) { return this._byId(pId, MemFolder); }
+  getFileById(pId) { return this._byId(pId, MemFile); }
+  getFolders() { return new MemIterator(this._all(MemFolder)); }
+  getFiles() { return new MemIterator(this._all(MemFile)); }
+  getFoldersByName(pName) { return new MemIterator(this._all(MemFolder).filter(pF => pF.getName() == pName)); }
+  getFilesByName(pName) { return new MemIterator(this._all(MemFile).filter(pF => pF.getName() == pName)); }
+  getTrashedFiles() { return new MemIterator(this._items.filter(pItem => pItem instanceof MemFile && pItem._trashed)); }
+  getTrashedFolders() { return new MemIterator(this._items.filter(pItem => pItem instanceof MemFolder && pItem._trashed)); }
+  searchFiles(pQuery) { return new MemIterator(this._search(MemFile, pQuery)); }
+  searchFolders(pQuery) { return new MemIterator(this._search(MemFolder, pQuery)); }
+
+  /**
+   * @private
+   * Only these terms are supported, joined with "and":
+   * title contains "text", title = "text", trashed = true|false
+   */
+  _search(pClass, pQuery) {
+    let tTests = pQuery.split(/\s+and\s+/i).map(pTerm => {
+      let tMatch = /^title\s+(contains|=)\s+(['"])(.*)\2$/.exec(pTerm.trim());
+      if (tMatch != null)
+        return pItem => tMatch[1] == '=' ? pItem._name == tMatch[3] : pItem._name.includes(tMatch[3]);
+      tMatch = /^trashed\s*=\s*(true|false)$/.exec(pTerm.trim());
+      if (tMatch != null)
+        return pItem => pItem._trashed == (tMatch[1] == 'true');
+      throw new Error('MemDriveApp does not support the search term: ' + pTerm);
+    });
+    return this._items.filter(pItem => pItem instanceof pClass && pItem !== this._root &&
+      tTests.every(pTest => pTest(pItem)));
+  }
+
+  _all(pClass) {
+    return this._items.filter(pItem => pItem instanceof pClass && !pItem._trashed && pItem !== this._root);
+  }
+
+  _byId(pId, pClass) {
+    let tItem = this._items.find(pItem => pItem._id == pId && pItem instanceof pClass);
+    if (tItem === undefined)
+      throw new Error('No item with the given ID could be found, or you do not have permission to access it.');
+    return tItem;
+  }
+} // MemDriveApp
+
+/**
+ * @class
+ * @classdesc In-memory Properties (script, user, or document properties).
+ */
+class MemProperties {
+  constructor() {
+    this._data = {};
+  }
+
+  getProperty(pKey) { return pKey in this._data ? this._data[pKey] : null; }
+  getProperties() { return Object.assign({}, this._data); }
+  getKeys() { return Object.keys(this._data); }
+
+  setProperty(pKey, pValue) {
+    this._data[pKey] = String(pValue);
+    return this;
+  }
+
+  setProperties(pProps, pDeleteAllOthers = false) {
+    if (pDeleteAllOthers)
+      this._data = {};
+    for (let tKey in pProps)
+      this._data[tKey] = String(pProps[tKey]);
+    return this;
+  }
+
+  deleteProperty(pKey) {
+    delete this._data[pKey];
+    return this;
+  }
+
+  deleteAllProperties() {
+    this._data = {};
+    return this;
+  }
+} // MemProperties
+
+/**
+ * @class
+ * @classdesc In-memory PropertiesService.
+ */
+class MemPropertiesService {
+  constructor() {
+    this._script = new MemProperties();
+    this._user = new MemProperties();
+    this._document = new MemProperties();
+  }
+
+  getScriptProperties() { return this._script; }
+  getUserProperties() { return this._user; }
+  getDocumentProperties() { return this._document; }
+} // MemPropertiesService
+
+/**
+ * @class
+ * @classdesc In-memory MailApp. The sent messages are saved in this.sent as
+ * {to, subject, body, htmlBody, ...options}.
+ */
+class MemMailApp {
+  constructor(pQuota = 100) {
+    this.sent = [];
+    this._quota = pQuota;
+  }
+
+  sendEmail(pTo, pSubject, pBody, pOptions = {}) {
+    let tMsg = typeof pTo === 'object' ? Object.assign({}, pTo) : Object.assign({ to: pTo, subject: pSubject, body: pBody }, pOptions);
+    if (this.getRemainingDailyQuota() <= 0)
+      throw new Error('Service invoked too many times for one day: email.');
+    this.sent.push(tMsg);
+  }
+
+  getRemainingDailyQuota() {
+    return this._quota - this.sent.length;
+  }
+} // MemMailApp
+
+/**
+ * @class
+ * @classdesc In-memory UrlFetchApp. The requests are saved in this.fetched, and
+ * every response is pResponse.
+ * @param {obj} pResponse = {code: 200, text: ''}
+ */
+class MemUrlFetchApp {
+  constructor(pResponse = {}) {
+    this.fetched = [];   // [{url, params}, ...]
+    this._code = fDefaultArg(pResponse.code, 200);
+    this._text = fDefaultArg(pResponse.text, '');
+  }
+
+  fetch(pUrl, pParams = {}) {
+    this.fetched.push({ url: pUrl, params: pParams });
+    if (this._code >= 400 && !pParams.muteHttpExceptions)
+      throw new Error('Request failed for ' + pUrl + ' returned code ' + this._code);
+    let tCode = this._code;
+    let tText = this._text;
+    return {
+      getResponseCode: () => tCode,
+      getContentText: () => tText,
+    };
+  }
+} // MemUrlFetchApp
+
+// ======================================================================
+/* Run Unit Tests to validate GsUnit.
+ */
+
+// ==============================================
+// Define menus
+
+/** ----------------------
+ * @function This is usually called by the test script menu function.
+ * @param {obj} pUi - the ui handle for the SS
+ * @param {obj} pMenu - the handle for the menu object
+ */
+function menuGsUnitTest(pUi, pMenu) {
+  pMenu = pMenu.addSeparator()
+    .addSubMenu(pUi.createMenu('Test GSUnit')
+      .addItem('Verify Sheet', 'runGsUnitTestSheet')
+      .addItem('Smoke Test', 'runGsUnitSmokeTest')
+      .addItem('Test All', 'runGsUnitTestAll')
+      .addItem('Test Explorer', 'showGsUnitExplorer')
+      .addItem('Sweep Test Fixtures', 'gsunitSweepFixtures')
+    );
+  return pMenu;
+} // menuGsUnitTest
+
+/* Example for menuGsUnitTest menus
+
+  // Put this in the "top" script file
+  function onOpen(e) {
+    try {
+      let ui = SpreadsheetApp.getUi();
+      let menu = ui.createMenu('Rename-Files')
+        .addItem('Get List', 'menuGetList')
+        .addItem('Rename List', 'menuRenameList')
+        .addItem('Undo List', 'menuUndoList')
+      if (typeof menuTestRename === 'function')
+        menu = menuTestRename(ui, menu);
+      menu.addToUi();
+    } catch (e) {
+      console.error('InternalError');
+      console.error(e.stack);
+      throw e;
+    }
+  }
+
+  // Put this in the test script file for the "top" script
+  function menuTestRename(pUi, pMenu) {
+    pMenu = pMenu.addSeparator()
+      .addSubMenu(pUi.createMenu('Test Replace')
+        .addItem('Make Class', 'runMakeClass')
+        .addItem('Check Config', 'runCheckConfig')
+        .addItem('Get Files Test', 'runGetFilesTest')
+        .addItem('Rename Files Test', 'runRenameFiles')
+        .addItem('RunAll Test', 'runAllTests')
+        .addItem('Clean Up', 'runCleanup')
+      );
+    if (typeof menuGsUnitTest === 'function')
+      pMenu = menuGsUnitTest(pUi, pMenu);
+    return pMenu;
+  }
+*/
+
+// -------------------------------------------------
+/* Select the tests to be run.
+ * There are no args so they can be called by the UI menu.
+ */
+// ---------------------
+function runGsUnitTestSheet() {
+  return gsunitRunTest([gsunitTestSheetUnit]);
+}
+
+// ---------------------
+function runGsUnitSmokeTest() {
+  return gsunitRunTest([gsunitSmokeTests]);
+}
+
+// ---------------------
+function runGsUnitTestAll() {
+  return gsunitRunTest(gsunitTestAllDefs());
+}
+
+// ---------------------
+function gsunitTestAllDefs() {
+  return [gsunitTestSheetUnit, gsunitSmokeTests, gsunitObjEqualTests, gsunitHookTests,
+    gsunitFilterTests, gsunitReporterTests, gsunitAsyncTests, gsunitCheckpointTests, gsunitFakeTests,
+    gsunitSoftTests, gsunitMarkerTests, gsunitDataTests, gsunitHistoryTests, gsunitNotifyTests,
+    gsunitScheduleTests, gsunitExplorerTests, gsunitIdentityTests, gsunitOrderTests, gsunitFixtureTests,
+    gsunitSheetAssertTests, gsunitSheetWriterTests, gsunitThrowTests, gsunitPluginTests, gsunitExpectTests, gsunitNumberTests, gsunitPropertyTests];
+}
+
+/** -------------------------------------------------------
+ * @function Run the tests specified with the above functions.
+ * @param {array} pTestFun - this will be one or more function names.
+ * @param {obj} pFilter - optional. Select the tests to run. See RunTests.runTests()
+ * @param {array} pReporters - optional. More reporters. See RunTests.addReporter()
+ * @param {obj} pOptions - optional. RunTests properties to set, e.g. {shuffle: true, seed: 42}
+ * @returns {RunTests} - so the caller can check the pass/fail/err counts.
+ *   If a test was async, a Promise for the RunTests is returned.
+ * @example gsunitRunTest([gsunitTestSheetUnit, gsunitSmokeTests], {tag: 'smoke'});
+ */
+function gsunitRunTest(pTestFun = [], pFilter = {}, pReporters = [], pOptions = {}) {
+  console.time('runTests');
+  var tUnit = new GsUnit({ name: 'base' });
+
+  let tRun = new RunTests({ name: 'GSUnitValidate', debug: false, gsunit: tUnit });
+  tRun.debug = false;
+  tRun.showPass = true;
+  tRun.showInConsole = true;
+  tRun.showToast = true;
+  tRun.showInSheet = true;
+  tRun.showResults = true;
+  tRun.filter = pFilter;
+  Object.assign(tRun, pOptions);
+  for (let tReporter of pReporters)
+    tRun.addReporter(tReporter);
+
+  tRun.resetTests();
+  for (let tTest of pTestFun) {
+    tRun.addSuite(tTest.name);
+    tTest(tRun, tUnit);
+  }
+  let tDone = tRun.runTests();
+  if (fIsThenable(tDone))
+    return tDone.then(() => {
+      console.timeEnd('runTests');
+      return tRun;
+    });
+
+//  tRun.testResults();
+  console.timeEnd('runTests');
+  return tRun;
+}
+
+// ==============================================
+/* Define the Unit Tests
+ * There can be multiple assertion tests in a unit test.
+ * The primary criteria is that the top unit test functions can be run in any order.
+ */
+
+// ---------------------
+function gsunitTestSheetUnit(pTest, pUnit) {
+  pTest.addTest(testCreateSheet);
+  function testCreateSheet() {
+    let tRun = new RunTests({ name: 'GSUnitValidateSheet', debug: true });
+    pTest.addCleanup(() => tRun.ss.deleteSheet(tRun.st));
+    pUnit.assertTrue('Check debug', tRun.debug, 'gsts1');
+    pUnit.assertEqual('Sheet exists', tRun.st.getName(), 'GSUnitValidateSheet', 'gsts2');
+  }
+
+  pTest.addTest(testHostSheet);
+  function testHostSheet() {
+    let tApp = new MemSpreadsheetApp();
+    let tRun = new RunTests({ name: 'GSUnitHostSheet', gsunit: new GsUnit({}), host: { app: tApp } });
+    tRun.showInConsole = false;
+    tRun.showInSheet = true;
+    tRun.addTest(function testInner() { });
+    tRun.runTests();
+    let tSs = tApp.getActiveSpreadsheet();
+    pUnit.assertNotNull('Sheet created in host', tSs.getSheetByName('GSUnitHostSheet'), 'gsts3');
+    pUnit.assertEqual('Heading row', tRun.st.getRange(1, 1, 1, 4).getValues()[0].join(','), 'Status,Count,Function,Results', 'gsts4');
+    pUnit.assertEqual('Summary toast', tSs.toasts.length, 1, 'gsts5');
+    pUnit.assertStrContains('Toast has pass count', tSs.toasts[0].msg, 'Pass 1', 'gsts6');
+  }
+}
+
+function gsunitSmokeTests(pTest, pUnit) {
+  pTest.addTest(testAssertsPass, { tags: ['smoke'] });
+  function testAssertsPass() {
+    pUnit.assertEqual('These should be equal', 5, 5, 'gsst1');
+    pUnit.assertNotEqual('These should not be equal', 5, 1, 'gsst2');
+  }
+
+  pTest.addTest(testAssertsFail_1, { expect: 'Error' });
+  function testAssertsFail_1() {
+    // An error is expected here. Don't fix this.
+    pUnit.assertEquals('An Error is expected here.', 5, 1, 'gsst3');
+  }
+
+  pTest.addTest(testAssertsFail_2, { expect: 'Fail' });
+  function testAssertsFail_2() {
+    pUnit.assertNotEqual('A Fail is expected here.', 5, 5, 'gsst4');
+  }
+
+  pTest.addTest(testAssertsFail_3, { expect: 'Fail' });
+  function testAssertsFail_3() {
+    pUnit.assertEqual('A Fail is expeced here.', 5, 1, 'gsst5');
+  }
+} // gsunitSmokeTests
+
+function gsunitObjEqualTests(pTest, pUnit) {
+  pTest.addTest(testObjEqualPass);
+  function testObjEqualPass() {
+    let tA = { rows: [{ name: 'a', n: 1 }], when: new Date(0), re: /x/g, m: new Map([['k', [1]]]), s: new Set([{ v: 1 }, 2]) };
+    let tE = { rows: [{ name: 'a', n: 1 }], when: new Date(0), re: /x/g, m: new Map([['k', [1]]]), s: new Set([2, { v: 1 }]) };
+    tA.self = tA;
+    tE.self = tE;
+    pUnit.assertObjEqual('Deep equal', tA, tE, 'gsoe1');
+    pUnit.assertObjEqual('Loose leaf', { a: '1', b: [0] }, { a: 1, b: [''] }, 'gsoe2', { strict: false });
+    pUnit.assertObjEqual('NaN equals NaN', [NaN], [NaN], 'gsoe3');
+  }
+
+  pTest.addTest(testObjEqualDiffs);
+  function testObjEqualDiffs() {
+    let tUnit = new GsUnit({ name: 'inner' });
+    let tE = null;
+    try {
+      tUnit.assertObjEqual('Check', { rows: [0, 1, 2, { name: 'b' }], meta: {} },
+        { rows: [0, 1, 2, { name: 'a' }], meta: { id: 3 } }, 'in1');
+    } catch (e) {
+      tE = e;
+    }
+    pUnit.assertNotNull('Expected a fail', tE, 'gsoe4');
+    pUnit.assertEqual('Operator', tE.operator, 'ObjEqual', 'gsoe5');
+    pUnit.assertStrContains('Path diff', tE.message, 'rows[3].name: expected "a" got "b"', 'gsoe6');
+    pUnit.assertStrContains('Missing key', tE.message, 'missing key: meta.id', 'gsoe7');
+    pUnit.assertEqual('Strict leaf', fObjDiff([1], ['1']).length, 1, 'gsoe8');
+    pUnit.assertEqual('Type diff', fObjDiff({ a: [] }, { a: {} })[0], 'a: expected type Object got Array', 'gsoe9');
+  }
+} // gsunitObjEqualTests
+
+function gsunitHookTests(pTest, pUnit) {
+  let tRun;
+  let tLog;
+  pTest.beforeEach(function newRun() {
+    tRun = new RunTests({ name: 'GSUnitHooks', gsunit: new GsUnit({}), host: { app: new MemSpreadsheetApp() } });
+    tRun.showInConsole = false;
+    tRun.showInSheet = true;
+    tRun.showResults = false;
+    tLog = [];
+  });
+
+  pTest.addTest(testHookOrder);
+  function testHookOrder() {
+    tRun.addSuite('s1');
+    tRun.beforeAll(() => tLog.push('ba'));
+    tRun.afterAll(() => tLog.push('aa'));
+    tRun.beforeEach(() => tLog.push('be'));
+    tRun.afterEach(() => tLog.push('ae'));
+    tRun.addTest(function t1() { tLog.push('t1'); });
+    tRun.addTest(function t2() { tLog.push('t2'); tRun.gsunit.fail('cleanup still runs'); });
+    tRun.runTests();
+    pUnit.assertEqual('Hook order', tLog.join(','), 'ba,be,t1,ae,be,t2,ae,aa', 'gsht1');
+    pUnit.assertEqual('Pass count', tRun.pass, 1, 'gsht2');
+    pUnit.assertEqual('Fail count', tRun.fail, 1, 'gsht3');
+  }
+
+  pTest.addTest(testHookFail);
+  function testHookFail() {
+    tRun.addSuite('s2');
+    tRun.beforeEach(function badSetup() { throw new Error('no folder'); });
+    tRun.afterEach(() => tLog.push('ae'));
+    tRun.addTest(function t3() { tLog.push('t3'); });
+    tRun.addSuite('s3');
+    tRun.beforeAll(function badAll() { tRun.gsunit.fail('setup'); });
+    tRun.afterAll(() => tLog.push('aa'));
+    tRun.addTest(function t4() { tLog.push('t4'); });
+    tRun.runTests();
+    pUnit.assertEqual('Tests not run', tLog.join(','), 'ae,aa', 'gsht4');
+    pUnit.assertEqual('Hook count', tRun.hook, 2, 'gsht5');
+    pUnit.assertEqual('Test counts', tRun.pass + tRun.fail + tRun.err, 0, 'gsht6');
+    pUnit.assertTrue('hasFailures', tRun.hasFailures(), 'gsht7');
+    let tRow = tRun.st.getRange(3, 1, 1, 4).getValues()[0];
+    pUnit.assertEqual('Hook status', tRow[0], 'Hook', 'gsht8');
+    pUnit.assertEqual('Hook name', tRow[2], 'beforeEach badSetup() for t3', 'gsht9');
+    pUnit.assertEqual('Hook color', tRun.st.getRange(3, 1).getBackground(), tRun.hookColor, 'gsht10');
+  }
+} // gsunitHookTests
+
+function gsunitFilterTests(pTest, pUnit) {
+  let tRun;
+  let tLog;
+  pTest.beforeEach(function newRun() {
+    tRun = new RunTests({ name: 'GSUnitFilter', gsunit: new GsUnit({}), host: { app: new MemSpreadsheetApp() } });
+    tRun.showInConsole = false;
+    tRun.showResults = false;
+    tLog = [];
+    tRun.addSuite('defA');
+    tRun.addTest(function testA1() { tLog.push('A1'); pUnit.assertTrue('', true, 'fa1'); }, { tags: ['smoke'] });
+    tRun.addTest(function testA2() { tLog.push('A2'); }, { tags: ['slow', 'drive'] });
+    tRun.addSuite('defB');
+    tRun.addTest(function testB1() { tLog.push('B1'); pUnit.assertTrue('', true, 'fb1'); }, { tags: 'smoke' });
+  });
+
+  pTest.addTest(testFilterSelect, { tags: ['smoke'] });
+  function testFilterSelect() {
+    tRun.filter = { tag: 'smoke' };
+    tRun.runTests();
+    pUnit.assertEqual('By tag', tLog.join(','), 'A1,B1', 'gsft1');
+
+    tLog = [];
+    tRun.filter = { suite: 'defA', test: /2$/ };
+    tRun.runTests();
+    pUnit.assertEqual('By suite and name', tLog.join(','), 'A2', 'gsft2');
+
+    tLog = [];
+    tRun.filter = { code: ['fb', 'zz'] };
+    tRun.runTests();
+    pUnit.assertEqual('By code prefix', tLog.join(','), 'B1', 'gsft3');
+  }
+
+  pTest.addTest(testSuiteCounts);
+  function testSuiteCounts() {
+    tRun.addTest(function testB2() { tRun.gsunit.fail('b2'); });
+    tRun.showInSheet = true;
+    tRun.runTests();
+    pUnit.assertEqual('Suite A pass', tRun._suiteList[0].pass, 2, 'gsft4');
+    pUnit.assertEqual('Suite B fail', tRun._suiteList[1].fail, 1, 'gsft5');
+    pUnit.assertEqual('Suite B title', tRun.st.getRange(3, 1, 1, 3).getValues()[0].join(','), 'Suite,,defB', 'gsft6');
+  }
+} // gsunitFilterTests
+
+function gsunitReporterTests(pTest, pUnit) {
+  let tRun;
+  pTest.beforeEach(function newRun() {
+    tRun = new RunTests({ name: 'GSUnitReport', gsunit: new GsUnit({}), host: { app: new MemSpreadsheetApp() } });
+    tRun.showInConsole = false;
+    tRun.showToast = false;
+    tRun.addSuite('defR');
+    tRun.addTest(function testOk() { });
+    tRun.addTest(function testBad() { tRun.gsunit.assertEqual('Check <sum>', 3, 4, 'r1'); });
+    tRun.addTest(function testErr() { null.x; });
+  });
+
+  pTest.addTest(testReporterEvents);
+  function testReporterEvents() {
+    let tLog = [];
+    let tReporter = new GsUnitReporter();
+    tReporter.runStart = () => tLog.push('runStart');
+    tReporter.suiteStart = (pRun, pSuite) => tLog.push('suiteStart ' + pSuite.name);
+    tReporter.testEnd = (pRun, pResult) => tLog.push(pResult.status + ' ' + pResult.test.fun.name);
+    tReporter.runEnd = () => tLog.push('runEnd');
+    tReporter.summary = (pRun, pSummary) => tLog.push('summary ' + pSummary.rows[1].row.join(' '));
+    tRun.addReporter(tReporter);
+    tRun.runTests();
+    pUnit.assertEqual('Events', tLog.join(','),
+      'runStart,suiteStart defR,Pass testOk,Fail testBad,Error testErr,runEnd,summary Fail 1', 'gsrt1');
+  }
+
+  pTest.addTest(testJUnitTap);
+  function testJUnitTap() {
+    let tJUnit = tRun.addReporter(new JUnitReporter());
+    let tTapOut = '';
+    tRun.addReporter(new TapReporter({ write: pText => tTapOut = pText }));
+    tRun.runTests();
+    let tXml = tJUnit.output;
+    pUnit.assertStrContains('JUnit suite', tXml, '<testsuite name="defR" tests="3" failures="1" errors="1"', 'gsrt2');
+    pUnit.assertStrContains('JUnit escaped', tXml, 'Check &lt;sum&gt; [r1]', 'gsrt3');
+    pUnit.assertStrContains('JUnit operator', tXml, '<property name="operator" value="Equal"/>', 'gsrt4');
+    pUnit.assertStrContains('JUnit error', tXml, '<error message=', 'gsrt5');
+    pUnit.assertStrContains('TAP ok', tTapOut, 'ok 1 - defR: testOk', 'gsrt6');
+    pUnit.assertStrContains('TAP not ok', tTapOut, 'not ok 2 - defR: testBad\n  ---\n  status: Fail', 'gsrt7');
+    pUnit.assertStrContains('TAP code', tTapOut, '  code: "r1"\n  actual: 3\n  expected: 4', 'gsrt8');
+    pUnit.assertStrContains('TAP plan', tTapOut, '\n1..3\n', 'gsrt9');
+  }
+
+  pTest.addTest(testNoGsUnit);
+  function testNoGsUnit() {
+    let tRows;
+    let tReporter = new GsUnitReporter();
+    tReporter.summary = (pRun, pSummary) => tRows = pSummary.rows.map(pRow => pRow.row.join(' '));
+    let tBare = new RunTests({ name: 'GSUnitReport', host: { app: new MemSpreadsheetApp() } });
+    tBare.showInConsole = false;
+    tBare.showToast = false;
+    tBare.addReporter(tReporter);
+    tBare.addTest(function testOk() { });
+    tBare.runTests();
+    pUnit.assertTrue('No asserts', tRows.includes('Asserts 0'), 'gsrt10');
+  }
+} // gsunitReporterTests
+
+function gsunitAsyncTests(pTest, pUnit) {
+  let tRun;
+  pTest.beforeEach(function newRun() {
+    tRun = new RunTests({ name: 'GSUnitAsync', gsunit: new GsUnit({}), host: { app: new MemSpreadsheetApp() } });
+    tRun.showInConsole = false;
+    tRun.showResults = false;
+  });
+
+  pTest.addTest(testAsyncStatus);
+  function testAsyncStatus() {
+    tRun.addTest(function testResolve() { return Promise.resolve(1); });
+    tRun.addTest(async function testReject() { await null; tRun.gsunit.fail('later'); });
+    tRun.addTest(function testRejectErr() { return Promise.reject(new Error('x')); });
+    let tDone = tRun.runTests();
+    pUnit.assertTrue('Returns a Promise', fIsThenable(tDone), 'gsat1');
+    return tDone.then(() => {
+      pUnit.assertEqual('Pass', tRun.pass, 1, 'gsat2');
+      pUnit.assertEqual('Fail', tRun.fail, 1, 'gsat3');
+      pUnit.assertEqual('Error', tRun.err, 1, 'gsat4');
+    });
+  }
+
+  pTest.addTest(testSyncTimeout);
+  function testSyncTimeout() {
+    tRun.testTimeout = 5;
+    tRun.addTest(function testSlow() { _busy(15); }, { timeout: 10 });
+    tRun.addTest(function testFast() { });
+    pUnit.assertUndefined('Sync run', tRun.runTests(), 'gsat5');
+    pUnit.assertEqual('Test timeout', tRun.timeout, 1, 'gsat6');
+    pUnit.assertEqual('Other test passes', tRun.pass, 1, 'gsat7');
+
+    tRun.resetTests();
+    tRun.testTimeout = 0;
+    tRun.runTimeout = 5;
+    tRun.addTest(function testSlow() { _busy(15); });
+    tRun.addTest(function testNotRun() { pUnit.fail('Should not run'); });
+    tRun.runTests();
+    pUnit.assertEqual('Run timeout', tRun.timeout, 2, 'gsat8');
+  }
+
+  pTest.addTest(testAsyncTimeout);
+  function testAsyncTimeout() {
+    if (typeof setTimeout !== 'function')
+      return;   // Apps Script
+    tRun.addTest(function testNever() { return new Promise(() => { }); }, { timeout: 10 });
+    return tRun.runTests().then(() => {
+      pUnit.assertEqual('Async timeout', tRun.timeout, 1, 'gsat9');
+    });
+  }
+
+  pTest.addTest(testThrowAsync);
+  async function testThrowAsync() {
+    let tE = await pUnit.assertThrowAsync('Expect reject', () => Promise.reject(new Error('bad')), 'gsat10');
+    pUnit.assertEqual('Rejection returned', tE.message, 'bad', 'gsat11');
+    let tUnit = new GsUnit({});
+    tE = await tUnit.assertThrowAsync('Expect reject', Promise.resolve(3), 'in1').catch(pE => pE);
+    pUnit.assertEqual('Resolve is a Fail', tE.operator, 'ThrowAsync', 'gsat12');
+  }
+
+  // -----
+  function _busy(pMs) {
+    let tEnd = Date.now() + pMs;
+    while (Date.now() < tEnd);
+  }
+} // gsunitAsyncTests
+
+function gsunitCheckpointTests(pTest, pUnit) {
+  let tApp;
+  let tStore;
+  let tLog;
+  let tTriggers;
+  let tTriggerCount;
+  let tScriptApp = {
+    newTrigger: pFun => ({
+      timeBased: () => ({
+        after: pMs => ({
+          create: () => {
+            let tId = 'trig' + (tTriggerCount++);
+            tTriggers.push({ getUniqueId: () => tId, getHandlerFunction: () => pFun, ms: pMs });
+            return tTriggers[tTriggers.length - 1];
+          },
+        }),
+      }),
+    }),
+    getProjectTriggers: () => tTriggers.slice(),
+    deleteTrigger: pTrigger => tTriggers = tTriggers.filter(pT => pT !== pTrigger),
+  };
+  pTest.beforeEach(function newStore() {
+    tApp = new MemSpreadsheetApp();
+    tStore = new MemStore();
+    tLog = [];
+    tTriggers = [];
+    tTriggerCount = 0;
+  });
+
+  pTest.addTest(testCheckpointResume);
+  function testCheckpointResume() {
+    let tRun = _newRun();
+    tRun.runTests();
+    pUnit.assertTrue('Stopped', tRun.checkpointed, 'gsct1');
+    pUnit.assertEqual('One test per call', tLog.join(','), 't1', 'gsct2');
+    pUnit.assertTrue('Saved', tRun.hasCheckpoint(), 'gsct3');
+    pUnit.assertEqual('Trigger added', tTriggers.length, 1, 'gsct4');
+    pUnit.assertEqual('Trigger function', tTriggers[0].getHandlerFunction(), 'runMyTests', 'gsct5');
+
+    tRun = _newRun();
+    tRun.runTests();
+    pUnit.assertEqual('Resumed at', tRun.resumedAt, 1, 'gsct6');
+    pUnit.assertEqual('Old trigger removed', tTriggers.map(pT => pT.getUniqueId()).join(','), 'trig1', 'gsct7');
+    tRun = _newRun();
+    tRun.runTests();
+    pUnit.assertEqual('All tests run', tLog.join(','), 't1,t2,t3', 'gsct8');
+    pUnit.assertFalse('Done', tRun.checkpointed, 'gsct9');
+    pUnit.assertFalse('Checkpoint removed', tRun.hasCheckpoint(), 'gsct10');
+    pUnit.assertEqual('Whole run counts', tRun.pass + '/' + tRun.fail, '2/1', 'gsct11');
+    pUnit.assertEqual('Whole run asserts', tRun.gsunit.numAsserts, 2, 'gsct12');
+    let tToasts = tApp.getActiveSpreadsheet().toasts;
+    pUnit.assertStrContains('Summary', tToasts[tToasts.length - 1].msg, 'Pass 2;\nFail 1;', 'gsct13');
+    pUnit.assertEqual('One heading', tRun.st.getRange(1, 1).getValue() + tRun.st.getRange(2, 1).getValue(), 'StatusSuite', 'gsct14');
+  }
+
+  pTest.addTest(testCheckpointChanged);
+  function testCheckpointChanged() {
+    let tRun = _newRun();
+    tRun.runTests();
+    tRun = _newRun();
+    tRun.addTest(function t4() { });
+    tRun.timeBudget = 0;
+    tRun.runTests();
+    pUnit.assertEqual('Started over', tLog.join(','), 't1,t1,t2,t3', 'gsct15');
+  }
+
+  pTest.addTest(testBudgetNoStore);
+  function testBudgetNoStore() {
+    let tRun = _newRun();
+    tRun.store = null;
+    pUnit.assertThrow('No store', () => tRun.runTests(), 'gsct16', { message: /timeBudget needs a store/ });
+    pUnit.assertEqual('No test run', tLog.length, 0, 'gsct17');
+  }
+
+  pTest.addTest(testCheckpointReporters);
+  function testCheckpointReporters() {
+    let tJUnit, tTap;
+    for (let i = 0; i < 3; ++i) {
+      // New reporters each time, as in a new Apps Script execution
+      let tRun = _newRun();
+      tJUnit = tRun.addReporter(new JUnitReporter());
+      tTap = tRun.addReporter(new TapReporter());
+      tRun.runTests();
+    }
+    pUnit.assertEqual('All tests in the TAP', tTap.output.match(/^(not )?ok \d+/gm).join(','),
+      'ok 1,not ok 2,ok 3', 'gsct18');
+    pUnit.assertEqual('One TAP header', tTap.output.match(/TAP version/g).length, 1, 'gsct19');
+    pUnit.assertStrContains('TAP plan', tTap.output, '\n1..3\n', 'gsct20');
+    pUnit.assertEqual('One testsuite', tJUnit.output.match(/<testsuite /g).length, 1, 'gsct21');
+    pUnit.assertStrContains('All tests in the XML', tJUnit.output, 'name="defCheck" tests="3" failures="1"', 'gsct22');
+  }
+
+  // -----
+  function _newRun() {
+    let tRun = new RunTests({ name: 'GSUnitCheckpoint', gsunit: new GsUnit({}), store: tStore,
+      host: { app: tApp, scriptApp: tScriptApp } });
+    tRun.showInConsole = false;
+    tRun.showInSheet = true;
+    tRun.timeBudget = 1;
+    tRun.resumeTrigger = 'runMyTests';
+    tRun.resetTests();
+    tRun.addSuite('defCheck');
+    tRun.addTest(function t1() { tLog.push('t1'); _busy(3); tRun.gsunit.assertTrue('', true); });
+    tRun.addTest(function t2() { tLog.push('t2'); _busy(3); tRun.gsunit.fail('t2'); });
+    tRun.addTest(function t3() { tLog.push('t3'); _busy(3); tRun.gsunit.assertTrue('', true); });
+    return tRun;
+  }
+  // -----
+  function _busy(pMs) {
+    let tEnd = Date.now() + pMs;
+    while (Date.now() < tEnd);
+  }
+} // gsunitCheckpointTests
+
+function gsunitFakeTests(pTest, pUnit) {
+  let tOrigDrive;
+  pTest.beforeAll(function saveDrive() {
+    tOrigDrive = typeof DriveApp !== 'undefined' ? DriveApp : undefined;
+  });
+
+  pTest.addTest(testSpy);
+  function testSpy() {
+    let tSpy = fSpy().returns(7);
+    pUnit.assertNotCalled('Not yet', tSpy, 'gsfk1');
+    pUnit.assertEqual('Returns', tSpy('a', 1), 7, 'gsfk2');
+    pUnit.assertCalledTimes('Once', tSpy, 1, 'gsfk3');
+    pUnit.assertCalledWith('Args', tSpy, ['a', 1], 'gsfk4');
+    let tUnit = new GsUnit({});
+    let tE = null;
+    try {
+      tUnit.assertCalledWith('Args', tSpy, ['b'], 'in1');
+    } catch (e) {
+      tE = e;
+    }
+    pUnit.assertStrContains('Lists calls', tE.message, 'call 0: ["a",1]', 'gsfk5');
+
+    let tObj = { add: (pA, pB) => pA + pB };
+    let tCallThrough = fSpyOn(tObj, 'add');
+    pUnit.assertEqual('Calls original', tObj.add(2, 3), 5, 'gsfk6');
+    tCallThrough.restore();
+    pUnit.assertFalse('Restored', tObj.add.isSpy === true, 'gsfk7');
+  }
+
+  pTest.addTest(testUseFake);
+  function testUseFake() {
+    let tDrive = pTest.useFake('DriveApp', new MemDriveApp());
+    pUnit.assertTrue('Swapped in', DriveApp === tDrive, 'gsfk8');
+    let tFolder = DriveApp.createFolder('test-a');
+    let tFile = tFolder.createFile('old.txt', 'abc');
+    tFile.setName('new.txt');
+    pUnit.assertEqual('Renamed', tFolder.getFilesByName('new.txt').next().getId(), tFile.getId(), 'gsfk9');
+    tFile.setTrashed(true);
+    pUnit.assertFalse('Trashed', tFolder.getFiles().hasNext(), 'gsfk10');
+    pUnit.assertEqual('Found by name', DriveApp.getFoldersByName('test-a').next().getName(), 'test-a', 'gsfk11');
+
+    let tStub = pTest.stub(tDrive, 'getRootFolder');
+    tDrive.getRootFolder();
+    pUnit.assertCalled('Stub called', tStub, 'gsfk12');
+  }
+
+  pTest.addTest(testFakeRestored);
+  function testFakeRestored() {
+    let tNow = typeof DriveApp !== 'undefined' ? DriveApp : undefined;
+    pUnit.assertTrue('Restored after test', tNow === tOrigDrive, 'gsfk13');
+  }
+
+  pTest.addTest(testMemServices);
+  function testMemServices() {
+    let tProps = new MemPropertiesService().getScriptProperties();
+    tProps.setProperty('a', 1);
+    pUnit.assertEqual('Property', tProps.getProperty('a'), '1', 'gsfk14');
+    pUnit.assertNull('No property', tProps.getProperty('b'), 'gsfk15');
+    let tMail = new MemMailApp(1);
+    tMail.sendEmail('a@example.com', 'Subj', 'Body', { htmlBody: '<b>Body</b>' });
+    pUnit.assertObjEqual('Sent', tMail.sent, [{ to: 'a@example.com', subject: 'Subj', body: 'Body', htmlBody: '<b>Body</b>' }], 'gsfk16');
+    pUnit.assertEqual('Quota', tMail.getRemainingDailyQuota(), 0, 'gsfk17');
+    let tSheet = new MemSpreadsheetApp().getActiveSpreadsheet().getActiveSheet();
+    tSheet.getRange('B2:C3').setValues([[1, 2], [3, 4]]);
+    pUnit.assertObjEqual('A1 range', tSheet.getDataRange().getValues(), [['', '', ''], ['', 1, 2], ['', 3, 4]], 'gsfk18');
+    pUnit.assertEqual('A1 notation', tSheet.getRange(2, 2, 2, 26).getA1Notation(), 'B2:AA3', 'gsfk19');
+  }
+} // gsunitFakeTests
+
+function gsunitSoftTests(pTest, pUnit) {
+  let tRun;
+  let tResults;
+  pTest.beforeEach(function newRun() {
+    tRun = new RunTests({ name: 'GSUnitSoft', gsunit: new GsUnit({}), host: { app: new MemSpreadsheetApp() } });
+    tRun.showInConsole = false;
+    tRun.showToast = false;
+    tResults = [];
+    let tReporter = new GsUnitReporter();
+    tReporter.testEnd = (pRun, pResult) => tResults.push(pResult);
+    tRun.addReporter(tReporter);
+  });
+
+  pTest.addTest(testSoftTest);
+  function testSoftTest() {
+    let tCount = 0;
+    tRun.addTest(function testRow() {
+      tRun.gsunit.assertEqual('Col A', 1, 2, 's1');
+      tRun.gsunit.assertTrue('Col B', true, 's2');
+      tRun.gsunit.assertEqual('Col C', 'x', 'y', 's3');
+      ++tCount;
+    }, { soft: true });
+    tRun.addTest(function testHard() { tRun.gsunit.assertEqual('Col A', 1, 2, 'h1'); ++tCount; });
+    tRun.showInSheet = true;
+    tRun.runTests();
+    pUnit.assertEqual('Ran to the end', tCount, 1, 'gssf1');
+    pUnit.assertEqual('Soft status', tResults[0].status, 'Fail', 'gssf2');
+    pUnit.assertEqual('Codes', tResults[0].error.code, 's1,s3', 'gssf3');
+    pUnit.assertObjEqual('Actuals', tResults[0].error.actual, [1, 'x'], 'gssf4');
+    pUnit.assertStrContains('All listed', tResults[0].error.message,
+      'for Soft. 2 asserts failed:\n1) for Equal. Expected "2"\ngot "1". Col A [s1]', 'gssf5');
+    pUnit.assertStrContains('Second listed', tResults[0].error.message, '\n2) for Equal.', 'gssf6');
+    pUnit.assertEqual('Hard status', tResults[1].status, 'Fail', 'gssf7');
+    let tSheet = tRun.host.app.getActiveSpreadsheet().getSheetByName('GSUnitSoft');
+    let tCells = tSheet.getDataRange().getValues().map(pRow => pRow.join(' ')).join('\n');
+    pUnit.assertStrContains('Sheet results', tCells, '[s3]', 'gssf8');
+    pUnit.assertEqual('Soft mode ended', tRun.gsunit._soft, 0, 'gssf9');
+  }
+
+  pTest.addTest(testSoftBlock);
+  function testSoftBlock() {
+    tRun.addTest(function testBlock() {
+      tRun.gsunit.soft(() => {
+        tRun.gsunit.fail('First', 'b1');
+        tRun.gsunit.assertNull('Second', 0, 'b2');
+      });
+      tRun.gsunit.assertEqual('Hard', 1, 2, 'b3');
+    });
+    tRun.addTest(function testNoFail() {
+      tRun.gsunit.soft(() => tRun.gsunit.assertTrue('Ok', true, 'b4'));
+    });
+    tRun.addTest(function testErr() {
+      tRun.gsunit.soft(() => tRun.gsunit.fail('Lost', 'b5'));
+      null.x;
+    });
+    tRun.runTests();
+    pUnit.assertEqual('Block and hard fail', tResults[0].error.code, 'b1,b2,b3', 'gssf10');
+    pUnit.assertEqual('Pass', tResults[1].status, 'Pass', 'gssf11');
+    pUnit.assertEqual('Error wins', tResults[2].status, 'Error', 'gssf12');
+    pUnit.assertEqual('Cleared', tRun.gsunit.softFails.length, 0, 'gssf13');
+  }
+} // gsunitSoftTests
+
+function gsunitMarkerTests(pTest, pUnit) {
+  let tRun;
+  let tResults;
+  pTest.beforeEach(function newRun() {
+    tRun = new RunTests({ name: 'GSUnitMarker', gsunit: new GsUnit({}), host: { app: new MemSpreadsheetApp() } });
+    tRun.showInConsole = false;
+    tRun.showToast = false;
+    tResults = [];
+    let tReporter = new GsUnitReporter();
+    tReporter.testEnd = (pRun, pResult) => tResults.push(pResult.status + ' ' + pResult.test.fun.name);
+    tRun.addReporter(tReporter);
+  });
+
+  pTest.addTest(testMarkers);
+  function testMarkers() {
+    let tRan = [];
+    tRun.addSuite('defM');
+    tRun.addTest(function testOk() { tRan.push('ok'); });
+    tRun.addTest(function testSkipped() { tRan.push('skip'); }, { skip: 'Not ready' });
+    tRun.addTodo('testLater', { reason: 'Write me' });
+    tRun.addTest(function testKnownBug() { tRun.gsunit.fail('Bug 12', 'm1'); }, { expect: 'Fail' });
+    tRun.addTest(function testFixedBug() { }, { expect: ['Fail', 'Error'] });
+    tRun.addTest(function testWrongKind() { null.x; }, { expect: 'Fail' });
+    let tTap = tRun.addReporter(new TapReporter());
+    tRun.showInSheet = true;
+    tRun.runTests();
+    pUnit.assertEqual('Statuses', tResults.join(','),
+      'Pass testOk,Skip testSkipped,Todo testLater,XFail testKnownBug,XPass testFixedBug,Error testWrongKind', 'gsmk1');
+    pUnit.assertEqual('Not run', tRan.join(','), 'ok', 'gsmk2');
+    pUnit.assertEqual('Counts', [tRun.skip, tRun.todo, tRun.xfail, tRun.xpass].join(','), '1,1,1,1', 'gsmk3');
+    pUnit.assertTrue('XPass is a failure', tRun.hasFailures(), 'gsmk4');
+    pUnit.assertStrContains('TAP skip', tTap.output, 'ok 2 - defM: testSkipped # SKIP Not ready', 'gsmk5');
+    pUnit.assertStrContains('TAP todo', tTap.output, 'not ok 4 - defM: testKnownBug # TODO expected Fail', 'gsmk6');
+    let tCells = tRun.host.app.getActiveSpreadsheet().getSheetByName('GSUnitMarker').getDataRange();
+    let tValues = tCells.getValues().map(pRow => pRow.join(' ')).join('\n');
+    pUnit.assertStrContains('Sheet reason', tValues, 'Skip  testSkipped Not ready', 'gsmk7');
+    pUnit.assertStrContains('Sheet XPass', tValues, 'Expected Fail or Error, but the test passed.', 'gsmk8');
+    let tRow = tCells.getValues().findIndex(pRow => pRow[0] == 'Todo');
+    pUnit.assertEqual('Todo color', tRun.st.getRange(tRow + 1, 1).getBackground(), tRun.todoColor, 'gsmk9');
+  }
+
+  pTest.addTest(testOnlyAndHooks);
+  function testOnlyAndHooks() {
+    let tHooks = [];
+    tRun.addSuite('defA');
+    tRun.beforeAll(function setUp() { tHooks.push('A'); });
+    tRun.addTest(function testA() { }, { skip: true });
+    tRun.addSuite('defB');
+    tRun.beforeAll(function setUp() { tHooks.push('B'); });
+    tRun.addTest(function testB1() { });
+    tRun.addTest(function testB2() { }, { only: true });
+    tRun.runTests();
+    pUnit.assertEqual('Only', tResults.join(','), 'Pass testB2', 'gsmk10');
+    pUnit.assertEqual('Hooks', tHooks.join(','), 'B', 'gsmk11');
+    tResults = [];
+    tHooks = [];
+    tRun.resetTests();
+    tRun.addSuite('defA');
+    tRun.beforeAll(function setUp() { tHooks.push('A'); });
+    tRun.addTest(function testA() { }, { skip: true });
+    tRun.addTodo('testA2');
+    tRun.runTests();
+    pUnit.assertEqual('Skipped suite', tResults.join(','), 'Skip testA,Todo testA2', 'gsmk12');
+    pUnit.assertEqual('No hooks', tHooks.length, 0, 'gsmk13');
+    pUnit.assertFalse('No failures', tRun.hasFailures(), 'gsmk14');
+  }
+} // gsunitMarkerTests
+
+function gsunitDataTests(pTest, pUnit) {
+  let tRun;
+  let tResults;
+  pTest.beforeEach(function newRun() {
+    tRun = new RunTests({ name: 'GSUnitData', gsunit: new GsUnit({}), host: { app: new MemSpreadsheetApp() } });
+    tRun.showInConsole = false;
+    tRun.showToast = false;
+    tResults = [];
+    let tReporter = new GsUnitReporter();
+    tReporter.testEnd = (pRun, pResult) => tResults.push(pResult);
+    tRun.addReporter(tReporter);
+  });
+
+  pTest.addTest(testEachArray);
+  function testEachArray() {
+    tRun.addTestEach(function testSum(pCase, pNum) {
+      if (pCase.a == null)
+        throw new Error('No a for case ' + pNum);
+      tRun.gsunit.assertEqual('Sum', pCase.a + pCase.b, pCase.sum, 'dd1');
+    }, [['a', 'b', 'sum'], [1, 2, 3], [2, 2, 5], [null, 1, 1], [3, 4, 7]]);
+    tRun.showInSheet = true;
+    tRun.runTests();
+    pUnit.assertEqual('Statuses', tResults.map(pResult => pResult.status).join(','), 'Pass,Fail,Error,Pass', 'gsdd1');
+    pUnit.assertEqual('Code suffix', tResults[1].error.code, 'dd1-2', 'gsdd2');
+    pUnit.assertStrContains('Message code', tResults[1].error.message, '[dd1-2]', 'gsdd3');
+    pUnit.assertEqual('Case values', tResults[1].name, 'testSum[2] {"a":2,"b":2,"sum":5}', 'gsdd4');
+    let tValues = tRun.st.getDataRange().getValues();
+    pUnit.assertTrue('Sheet Function column', tValues.some(pRow => pRow[2] == tResults[1].name), 'gsdd5');
+    pUnit.assertEqual('Suffix cleared', tRun.gsunit.codeSuffix, '', 'gsdd6');
+  }
+
+  pTest.addTest(testEachTable);
+  function testEachTable() {
+    let tSheet = tRun.ss.insertSheet('SumCases');
+    tSheet.getRange('A1:C3').setValues([['a', 'b', 'sum'], [1, 1, 2], [5, 5, 10]]);
+    tRun.ss.setNamedRange('SumRange', tSheet.getRange('A1:C2'));
+    let tSeen = [];
+    let fun = function testSum(pCase) { tSeen.push(pCase.sum); };
+    tRun.addTestEach(fun, 'SumCases');
+    tRun.addTestEach(fun, 'SumRange');
+    tRun.addTestEach(fun, [{ sum: 'x' }]);
+    tRun.runTests();
+    pUnit.assertEqual('Rows', tSeen.join(','), '2,10,2,x', 'gsdd7');
+    let tE = null;
+    try {
+      tRun.addTestEach(fun, 'NoSuchRange');
+    } catch (e) {
+      tE = e;
+    }
+    pUnit.assertStrContains('Missing range', tE.message, 'NoSuchRange', 'gsdd8');
+    tRun.resetTests();
+    tRun.filter = { code: 'dd2' };
+    tRun.addTestEach(function testCode(pCase) { tRun.gsunit.assertTrue('Ok', pCase.ok, 'dd2'); }, [{ ok: true }, { ok: true }]);
+    tRun.addTest(function testOther() { });
+    tRun.runTests();
+    pUnit.assertEqual('Filter by code', tResults.slice(4).map(pResult => pResult.test.fun.name).join(','),
+      'testCode[1],testCode[2]', 'gsdd9');
+  }
+} // gsunitDataTests
+
+function gsunitHistoryTests(pTest, pUnit) {
+  pTest.addTest(testHistoryCompare);
+  function testHistoryCompare() {
+    let tApp = new MemSpreadsheetApp();
+    let tBroken = 'b';
+    let tSummary;
+    let tRun;
+    for (let tTests of [['a', 'b', 'c'], ['a', 'b', 'd']]) {
+      tRun = new RunTests({ name: 'GSUnitHistory', gsunit: new GsUnit({}), host: { app: tApp } });
+      tRun.showInConsole = false;
+      tRun.historySheet = 'GSUnitHistory Log';
+      let tReporter = new GsUnitReporter();
+      tReporter.summary = (pRun, pSummary) => tSummary = pSummary;
+      tRun.addReporter(tReporter);
+      for (let tName of tTests) {
+        let tFun = () => tRun.gsunit.assertTrue('Broken', tName != tBroken, 'h1');
+        Object.defineProperty(tFun, 'name', { value: 'test_' + tName });
+        tRun.addTest(tFun);
+      }
+      tRun.runTests();
+      tBroken = 'a';
+    }
+    let tValues = tApp.getActiveSpreadsheet().getSheetByName('GSUnitHistory Log').getDataRange().getValues();
+    pUnit.assertEqual('Rows', tValues.length, 3, 'gshs1');
+    pUnit.assertEqual('Heading', tValues[0].slice(0, 5).join(','), 'Time,Version,Pass,Fail,Error', 'gshs2');
+    pUnit.assertEqual('Counts', tValues[2].slice(2, 4).join(','), '2,1', 'gshs3');
+    let tTests = tApp.getActiveSpreadsheet().getSheetByName('GSUnitHistory Log Tests').getDataRange().getValues();
+    pUnit.assertObjEqual('Statuses', tTests.filter(pRow => pRow[0] == 3),
+      [[3, 'default/test_a', 'Fail'], [3, 'default/test_b', 'Pass'], [3, 'default/test_d', 'Pass']], 'gshs4');
+    pUnit.assertObjEqual('Regression', tRun.regression, {
+      failing: ['default/test_a'], fixed: ['default/test_b'], added: ['default/test_d'], removed: ['default/test_c'],
+      previous: tValues[1][0],
+    }, 'gshs5');
+    pUnit.assertStrContains('Summary', tSummary.msg, 'Newly failing 1 default/test_a', 'gshs6');
+    let tToasts = tApp.getActiveSpreadsheet().toasts;
+    pUnit.assertStrContains('Toast', tToasts[tToasts.length - 1].msg, 'Removed 1 default/test_c', 'gshs7');
+  }
+
+  pTest.addTest(testHistoryFilter);
+  function testHistoryFilter() {
+    let tApp = new MemSpreadsheetApp();
+    let tRegressions = [];
+    for (let tFilter of [{}, { test: 'a' }, {}, { test: 'a' }]) {
+      let tRun = new RunTests({ name: 'GSUnitHistory', gsunit: new GsUnit({}), host: { app: tApp }, filter: tFilter });
+      tRun.showInConsole = false;
+      tRun.historySheet = 'GSUnitHistory Log';
+      tRun.addTest(function test_a() { });
+      tRun.addTest(function test_b() { });
+      tRun.runTests();
+      tRegressions.push(tRun.regression);
+    }
+    let tValues = tApp.getActiveSpreadsheet().getSheetByName('GSUnitHistory Log').getDataRange().getValues();
+    pUnit.assertEqual('Filter', tValues[2][tValues[2].length - 1], '{"test":"a"}', 'gshs8');
+    pUnit.assertEqual('Not compared with an unfiltered run', tRegressions[1], null, 'gshs9');
+    let tSame = { failing: [], fixed: [], added: [], removed: [] };
+    pUnit.assertObjEqual('Unfiltered', tRegressions[2], Object.assign({ previous: tValues[1][0] }, tSame), 'gshs10');
+    pUnit.assertObjEqual('Same filter', tRegressions[3], Object.assign({ previous: tValues[2][0] }, tSame), 'gshs11');
+  }
+} // gsunitHistoryTests
+
+function gsunitNotifyTests(pTest, pUnit) {
+  let tMail;
+  let tFetch;
+  let tStore;
+  pTest.beforeEach(function newTransports() {
+    tMail = new MemMailApp();
+    tFetch = new MemUrlFetchApp();
+    tStore = new MemStore();
+  });
+
+  // -----
+  function _run(pWhen, pBroken) {
+    let tRun = new RunTests({
+      name: 'GSUnitNotify', gsunit: new GsUnit({}), store: tStore,
+      host: { app: new MemSpreadsheetApp(), mailApp: tMail, urlFetchApp: tFetch },
+    });
+    tRun.showInConsole = false;
+    tRun.showToast = false;
+    tRun.notifyWhen = pWhen;
+    tRun.email = 'dev@example.com';
+    tRun.webhookUrl = 'https://chat.example.com/hook';
+    tRun.addTest(function testOk() { });
+    tRun.addTest(function testSum() { tRun.gsunit.assertEqual('Sum <a>', 3, pBroken ? 4 : 3, 'n1'); });
+    tRun.runTests();
+    return tRun;
+  }
+
+  pTest.addTest(testNotifyMessages);
+  function testNotifyMessages() {
+    let tRun = _run('always', true);
+    pUnit.assertEqual('One email', tMail.sent.length, 1, 'gsnt1');
+    let tMsg = tMail.sent[0];
+    pUnit.assertEqual('To', tMsg.to, 'dev@example.com', 'gsnt2');
+    pUnit.assertStrContains('Subject', tMsg.subject, 'GsUnit GSUnitNotify: FAILED (Pass 1, Fail 1, Error 0)', 'gsnt3');
+    pUnit.assertStrContains('HTML row', tMsg.htmlBody,
+      '<td>Fail</td><td>default</td><td>testSum</td><td>n1</td><td>for Equal.', 'gsnt4');
+    pUnit.assertStrContains('HTML escaped', tMsg.htmlBody, 'Sum &lt;a&gt; [n1]', 'gsnt5');
+    pUnit.assertStrContains('Sheet link', tMsg.htmlBody,
+      '<a href="' + tRun.ss.getUrl() + '#gid=' + tRun.st.getSheetId() + '">', 'gsnt6');
+    pUnit.assertEqual('One post', tFetch.fetched.length, 1, 'gsnt7');
+    pUnit.assertEqual('Webhook url', tFetch.fetched[0].url, 'https://chat.example.com/hook', 'gsnt8');
+    pUnit.assertStrContains('Webhook text', JSON.parse(tFetch.fetched[0].params.payload).text,
+      'Fail default: testSum for Equal.', 'gsnt9');
+  }
+
+  pTest.addTest(testNotifyRules);
+  function testNotifyRules() {
+    _run('failure', false);
+    pUnit.assertEqual('No failure', tMail.sent.length, 0, 'gsnt10');
+    _run('changed', true);
+    pUnit.assertEqual('Changed', tMail.sent.length, 1, 'gsnt11');
+    _run('changed', true);
+    pUnit.assertEqual('Not changed', tMail.sent.length, 1, 'gsnt12');
+    _run('changed', false);
+    pUnit.assertEqual('Fixed', tMail.sent.length, 2, 'gsnt13');
+    _run('never', true);
+    pUnit.assertEqual('Never', tFetch.fetched.length, 2, 'gsnt14');
+  }
+
+  pTest.addTest(testNotifyWebhookError);
+  function testNotifyWebhookError() {
+    tFetch = new MemUrlFetchApp({ code: 404, text: 'No such hook' });
+    let tError = pTest.stub(console, 'error');
+    _run('always', true);
+    pUnit.assertEqual('Posted', tFetch.fetched.length, 1, 'gsnt15');
+    pUnit.assertCalledWith('Logged', tError,
+      ['Could not post the test results to the webhook. HTTP 404 No such hook'], 'gsnt16');
+    pUnit.assertEqual('Email sent', tMail.sent.length, 1, 'gsnt17');
+  }
+
+  pTest.addTest(testNotifyCheckpoint);
+  function testNotifyCheckpoint() {
+    let tRun;
+    for (let i = 0; i < 2; ++i) {
+      tRun = new RunTests({
+        name: 'GSUnitNotify', gsunit: new GsUnit({}), store: tStore,
+        host: { app: new MemSpreadsheetApp(), mailApp: tMail, urlFetchApp: tFetch },
+      });
+      tRun.showInConsole = false;
+      tRun.showToast = false;
+      tRun.notifyWhen = 'always';
+      tRun.email = 'dev@example.com';
+      tRun.timeBudget = 1;
+      tRun.addTest(function testFirst() { _busy(3); tRun.gsunit.fail('first'); });
+      tRun.addTest(function testSecond() { _busy(3); tRun.gsunit.fail('second'); });
+      tRun.runTests();
+    }
+    pUnit.assertFalse('Done', tRun.checkpointed, 'gsnt18');
+    pUnit.assertEqual('One email', tMail.sent.length, 1, 'gsnt19');
+    pUnit.assertStrContains('First slice', tMail.sent[0].body, 'Fail default: testFirst for Fail. first', 'gsnt20');
+    pUnit.assertStrContains('Second slice', tMail.sent[0].body, 'Fail default: testSecond for Fail. second', 'gsnt21');
+  }
+
+  // -----
+  function _busy(pMs) {
+    let tEnd = Date.now() + pMs;
+    while (Date.now() < tEnd);
+  }
+} // gsunitNotifyTests
+
+function gsunitScheduleTests(pTest, pUnit) {
+  pTest.addTest(testScheduledRun);
+  function testScheduledRun() {
+    let tApp = new MemSpreadsheetApp();
+    let tUi = pTest.spyOn(tApp, 'getUi');
+    let tSs = tApp.create('Results');
+    let tStore = new MemStore();
+    let tTriggers = new MemTriggers();
+    let tRan = [];
+    let tScheduler = new GsUnitScheduler({
+      triggers: tTriggers, store: tStore, host: { app: tApp },
+      defs: { defNightly: (pTest2, pUnit2) => pTest2.addTest(function testNight() { tRan.push(pUnit2.name); }) },
+    });
+    let tId = tScheduler.install({ defs: ['defNightly'], spreadsheetId: tSs.getId(), name: 'Nightly', atHour: 3, showInConsole: false });
+    pUnit.assertObjEqual('Trigger', tTriggers.triggers,
+      [{ id: tId, handler: 'gsunitScheduledRun', schedule: { everyDays: 1, atHour: 3 } }], 'gssc1');
+    pUnit.assertEqual('Listed', tScheduler.list().map(pSched => pSched.id + ' ' + pSched.defs.join()).join(), tId + ' defNightly', 'gssc2');
+    let tRun = tScheduler.run({ triggerUid: tId });
+    pUnit.assertEqual('Ran', tRan.join(), 'scheduled', 'gssc3');
+    pUnit.assertEqual('No failures', tRun.hasFailures(), false, 'gssc4');
+    pUnit.assertNotNull('Results by id', tSs.getSheetByName('Nightly'), 'gssc5');
+    pUnit.assertNull('Not in active', tApp.getActiveSpreadsheet().getSheetByName('Nightly'), 'gssc6');
+    pUnit.assertNotCalled('No getUi', tUi, 'gssc7');
+    pUnit.assertEqual('No toast', tSs.toasts.length, 0, 'gssc8');
+    tScheduler.remove(tId);
+    pUnit.assertEqual('Removed', tScheduler.list().length + tTriggers.triggers.length, 0, 'gssc9');
+    pUnit.assertNull('Settings removed', tStore.get('gsunit-schedule-' + tId), 'gssc10');
+  }
+
+  pTest.addTest(testScheduledBudget);
+  function testScheduledBudget() {
+    let tApp = new MemSpreadsheetApp();
+    let tSs = tApp.create('Results');
+    let tRan = [];
+    let tResumes = [];
+    let tScriptApp = {
+      newTrigger: pFun => ({
+        timeBased: () => ({
+          after: () => ({
+            create: () => {
+              let tId = 'resume' + tResumes.length;
+              tResumes.push({ getUniqueId: () => tId, getHandlerFunction: () => pFun });
+              return tResumes[tResumes.length - 1];
+            },
+          }),
+        }),
+      }),
+      getProjectTriggers: () => tResumes.slice(),
+      deleteTrigger: pTrigger => tResumes = tResumes.filter(pT => pT !== pTrigger),
+    };
+    let tScheduler = new GsUnitScheduler({
+      triggers: new MemTriggers(), store: new MemStore(), host: { app: tApp, scriptApp: tScriptApp },
+      defs: {
+        defSlow: pTest2 => ['testA', 'testB'].forEach(pName => pTest2.addTest(() => {
+          tRan.push(pName);
+          let tEnd = Date.now() + 3;
+          while (Date.now() < tEnd);
+        }, { id: pName })),
+      },
+    });
+    let tId = tScheduler.install({ defs: ['defSlow'], spreadsheetId: tSs.getId(), showInConsole: false, timeBudget: 1 });
+    let tId2 = tScheduler.install({ defs: ['defSlow'], spreadsheetId: tSs.getId(), showInConsole: false, timeBudget: 1 });
+    let tRun = tScheduler.run({ triggerUid: tId });
+    pUnit.assertTrue('Checkpoint', tRun.checkpointed, 'gssc14');
+    pUnit.assertEqual('Resume trigger', tResumes.map(pT => pT.getHandlerFunction()).join(), 'gsunitScheduledRun', 'gssc16');
+    pUnit.assertEqual('Not listed', tScheduler.list().map(pSched => pSched.id).join(), tId + ',' + tId2, 'gssc17');
+    tScheduler.run({ triggerUid: tId2 });
+    pUnit.assertEqual('Own checkpoint', tRan.join(), 'testA,testA', 'gssc18');
+    tRun = tScheduler.run({ triggerUid: tResumes[0].getUniqueId() });
+    pUnit.assertEqual('Continued', tRan.join() + ' ' + tRun.pass, 'testA,testA,testB 2', 'gssc15');
+    pUnit.assertEqual('Resume trigger removed', tResumes.map(pT => pT.getUniqueId()).join(), 'resume1', 'gssc19');
+  }
+
+  pTest.addTest(testScriptAppTriggers);
+  function testScriptAppTriggers() {
+    let tCalls = [];
+    let tList = [];
+    let tBuilder = {
+      timeBased: () => tBuilder,
+      everyDays: pN => { tCalls.push('everyDays ' + pN); return tBuilder; },
+      atHour: pN => { tCalls.push('atHour ' + pN); return tBuilder; },
+      everyHours: pN => { tCalls.push('everyHours ' + pN); return tBuilder; },
+      create: () => {
+        let tId = 'trig' + tList.length;
+        tList.push({ getUniqueId: () => tId, getHandlerFunction: () => tBuilder.handler });
+        return tList[tList.length - 1];
+      },
+    };
+    let tScriptApp = {
+      newTrigger: pFun => { tBuilder.handler = pFun; return tBuilder; },
+      getProjectTriggers: () => tList.slice(),
+      deleteTrigger: pTrigger => tList = tList.filter(pT => pT !== pTrigger),
+    };
+    let tTriggers = new ScriptAppTriggers(tScriptApp);
+    tTriggers.create('gsunitScheduledRun', { everyDays: 1, atHour: 2 });
+    tTriggers.create('gsunitScheduledRun', { everyHours: 6 });
+    pUnit.assertEqual('Builder calls', tCalls.join(), 'everyDays 1,atHour 2,everyHours 6', 'gssc11');
+    pUnit.assertEqual('List', tTriggers.list().map(pT => pT.id).join(), 'trig0,trig1', 'gssc12');
+    tTriggers.remove('trig0');
+    pUnit.assertEqual('Remove', tTriggers.list().map(pT => pT.id).join(), 'trig1', 'gssc13');
+  }
+} // gsunitScheduleTests
+
+function gsunitExplorerTests(pTest, pUnit) {
+  let tExplorer;
+  let tApp;
+  let tCalls;
+  let tBroken;
+  pTest.beforeEach(function newExplorer() {
+    tCalls = [];
+    tBroken = true;
+    let defA = function defA(pTest2, pUnit2) {
+      pTest2.addTest(function testA1() { tCalls.push('A1'); });
+      pTest2.addTest(function testA2() {
+        tCalls.push('A2');
+        pUnit2.assertEqual('Sum', 1 + 1, tBroken ? 3 : 2, 'ex1');
+      });
+    };
+    let defB = function defB(pTest2) {
+      pTest2.addTest(function testB1() { tCalls.push('B1'); }, { tags: ['b'] });
+    };
+    tApp = new MemSpreadsheetApp();
+    tExplorer = new GsUnitExplorer({ defs: [defA, defB], store: new MemStore(), host: { app: tApp } });
+  });
+
+  pTest.addTest(testExplorerRun);
+  function testExplorerRun() {
+    let tList = tExplorer.list();
+    pUnit.assertEqual('Listed', tList.map(pSuite => pSuite.suite + ':' + pSuite.tests.map(pT => pT.name).join('+')).join(),
+      'defA:testA1+testA2,defB:testB1', 'gsex1');
+    pUnit.assertNull('No last', tList[0].tests[0].last, 'gsex2');
+    pUnit.assertEqual('Not run', tCalls.length, 0, 'gsex3');
+    pUnit.assertNull('No sheet for a list', tApp.getActiveSpreadsheet().getSheetByName('TestExplorer'), 'gsex17');
+    tList = tExplorer.run({});
+    pUnit.assertEqual('All ran', tCalls.join(), 'A1,A2,B1', 'gsex4');
+    let tSheet = tApp.getActiveSpreadsheet().getSheetByName('TestExplorer');
+    let tRows = tSheet.getRange(1, 1, tSheet.getLastRow(), 3).getValues().map(pRow => pRow.join(' ').trim());
+    pUnit.assertTrue('Fail row kept', tRows.some(pRow => pRow.startsWith('Fail') && pRow.includes('testA2')), 'gsex18');
+    pUnit.assertTrue('Summary kept', tRows.includes('Summary'), 'gsex19');
+    let tLast = tList[0].tests[1].last;
+    pUnit.assertObjEqual('Details', [tLast.status, tLast.operator, tLast.code, tLast.actual, tLast.expected],
+      ['Fail', 'Equal', 'ex1', '2', '3'], 'gsex5');
+    pUnit.assertEqual('Color', tLast.color, '#ffbbbb', 'gsex6');
+    tCalls = [];
+    tBroken = false;
+    tList = tExplorer.run({ failed: true });
+    pUnit.assertEqual('Failed only', tCalls.join(), 'A2', 'gsex7');
+    pUnit.assertEqual('Fixed', tList[0].tests[1].last.status, 'Pass', 'gsex8');
+    pUnit.assertEqual('Kept', tList[1].tests[0].last.status, 'Pass', 'gsex9');
+    tCalls = [];
+    tExplorer.run({ failed: true });
+    tExplorer.run({ suite: 'defB' });
+    tExplorer.run({ suite: 'defA', test: 'testA1' });
+    pUnit.assertEqual('Suite and test', tCalls.join(), 'B1,A1', 'gsex10');
+  }
+
+  pTest.addTest(testExplorerHook);
+  function testExplorerHook() {
+    let tFailBefore = 'each';
+    let defHooks = function defHooks(pTest2, pUnit2) {
+      pTest2.beforeAll(function setUp() {
+        if (tFailBefore == 'all')
+          throw new Error('No setUp');
+      });
+      pTest2.beforeEach(function eachSetUp() {
+        if (tFailBefore == 'each')
+          pUnit2.fail('No eachSetUp', 'ex2');
+      });
+      pTest2.addTest(function testH1() { tCalls.push('H1'); });
+      pTest2.addTest(function testH2() { tCalls.push('H2'); });
+    };
+    tExplorer = new GsUnitExplorer({ defs: [defHooks], store: new MemStore(), host: { app: tApp } });
+    let tList = tExplorer.run({});
+    pUnit.assertEqual('Not run', tCalls.length, 0, 'gsex20');
+    pUnit.assertEqual('Hook results', tList[0].tests.map(pT => pT.last.status).join(), 'Hook,Hook', 'gsex21');
+    pUnit.assertStrContains('Hook message', tList[0].tests[0].last.message, 'No eachSetUp', 'gsex22');
+    tFailBefore = 'all';
+    tList = tExplorer.run({ failed: true });
+    pUnit.assertStrContains('beforeAll', tList[0].tests[1].last.message, 'No setUp', 'gsex23');
+    tFailBefore = '';
+    tList = tExplorer.run({ failed: true });
+    pUnit.assertEqual('Failed ones run', tCalls.join(), 'H1,H2', 'gsex24');
+    pUnit.assertEqual('Fixed', tList[0].tests.map(pT => pT.last.status).join(), 'Pass,Pass', 'gsex25');
+    let tSheet = tApp.getActiveSpreadsheet().getSheetByName('TestExplorer');
+    pUnit.assertTrue('Sheet rows', tSheet.getLastRow() > 1, 'gsex26');
+  }
+
+  pTest.addTest(testExplorerStoreLimit);
+  function testExplorerStoreLimit() {
+    let tStore = new MemStore();
+    let tSet = tStore.set.bind(tStore);
+    tStore.set = (pKey, pValue) => {
+      if (pValue.length > 9 * 1024 || pKey.endsWith('/testBroken'))
+        throw new Error('Argument too large');
+      tSet(pKey, pValue);
+    };
+    let defBig = function defBig(pTest2, pUnit2) {
+      for (let i = 1; i <= 60; ++i)
+        pTest2.addTest(() => pUnit2.assertEqual('Long', 'x'.repeat(5000), 'y'.repeat(5000)), { id: 'testLong' + i });
+      pTest2.addTest(function testBroken() { });
+    };
+    let tLogged = pTest.stub(console, 'error');
+    let tList = new GsUnitExplorer({ defs: [defBig], store: tStore, host: { app: new MemSpreadsheetApp() } }).run({});
+    pUnit.assertEqual('All saved', tList[0].tests.filter(pT => pT.last != null && pT.last.status == 'Fail').length, 60, 'gsex14');
+    pUnit.assertNull('Not saved', tList[0].tests[60].last, 'gsex15');
+    pUnit.assertCalledTimes('Logged', tLogged, 1, 'gsex16');
+  }
+
+  pTest.addTest(testExplorerShow);
+  function testExplorerShow() {
+    let tApp = new MemSpreadsheetApp();
+    let tHtmlService = {
+      createHtmlOutput: pHtml => ({ html: pHtml, setTitle(pTitle) { this.title = pTitle; return this; } }),
+    };
+    new GsUnitExplorer({ defs: [], store: new MemStore(), host: { app: tApp } }).show(tHtmlService);
+    let tSidebar = tApp.getUi().sidebars[0];
+    pUnit.assertEqual('Title', tSidebar.title, 'Test Explorer', 'gsex11');
+    pUnit.assertStrContains('Calls run', tSidebar.html, '.gsunitExplorerRun(pSelect)', 'gsex12');
+    pUnit.assertStrContains('Calls list', tSidebar.html, '.gsunitExplorerList()', 'gsex13');
+  }
+} // gsunitExplorerTests
+
+function gsunitIdentityTests(pTest, pUnit) {
+  let tRun;
+  let tResults;
+  pTest.beforeEach(function newRun() {
+    tRun = new RunTests({ name: 'GSUnitIdentity', gsunit: new GsUnit({}), host: { app: new MemSpreadsheetApp() } });
+    tRun.showInConsole = false;
+    tRun.showToast = false;
+    tResults = [];
+    let tReporter = new GsUnitReporter();
+    tReporter.testEnd = (pRun, pResult) => tResults.push(pResult);
+    tRun.addReporter(tReporter);
+  });
+
+  pTest.addTest(testIds);
+  function testIds() {
+    let tObj = { check() { } };
+    tRun.addSuite('defI');
+    tRun.addTest(() => { });
+    tRun.addTest(function testArgs(pA, pB) { });
+    tRun.addTest(tObj.check.bind(tObj));
+    tRun.addTest(function testArgs() { });
+    tRun.addTest(() => { }, { id: 'testEmpty', description: 'No files' });
+    tRun.runTests();
+    pUnit.assertEqual('Ids', tRun._testList.map(pT => pT.id).join(), 'test1,testArgs,check,testArgs-2,testEmpty', 'gsid1');
+    pUnit.assertEqual('Names', tResults.map(pR => pR.name).join(), 'test1,testArgs,check,testArgs-2,testEmpty - No files', 'gsid2');
+    pUnit.assertEqual('Key', _gsunitTestKey(tRun._testList[4]), 'defI/testEmpty', 'gsid3');
+    let tE = null;
+    try {
+      tRun.addTest(() => { }, { id: 'testEmpty' });
+    } catch (e) {
+      tE = e;
+    }
+    pUnit.assertStrContains('Duplicate id', tE.message, 'the id "testEmpty" is already in suite defI', 'gsid4');
+    tRun.resetTests();
+    tRun.filter = { test: 'Empty' };
+    tRun.addTest(() => { }, { id: 'testEmpty' });
+    tRun.addTest(() => { }, { id: 'testFull' });
+    tResults = [];
+    tRun.runTests();
+    pUnit.assertEqual('Filter by id', tResults.map(pR => pR.test.id).join(), 'testEmpty', 'gsid5');
+  }
+
+  pTest.addTest(testLocation);
+  function testLocation() {
+    let tHere = fErrorLocation(new Error('here')).split(':');
+    tRun.addTest(() => tRun.gsunit.assertEqual('Loc', 1, 2, 'id1'));
+    tRun.addTest(() => tRun.gsunit.soft(() => tRun.gsunit.fail('Soft', 'id2')));
+    tRun.addTest(() => null.x);
+    let tJUnit = tRun.addReporter(new JUnitReporter());
+    tRun.showInSheet = true;
+    tRun.runTests();
+    let tLine = Number(tHere[1]);
+    pUnit.assertEqual('Assert location', tResults[0].location, tHere[0] + ':' + (tLine + 1), 'gsid6');
+    pUnit.assertEqual('Soft location', tResults[1].location, tHere[0] + ':' + (tLine + 2), 'gsid7');
+    pUnit.assertEqual('Error location', tResults[2].location, tHere[0] + ':' + (tLine + 3), 'gsid8');
+    pUnit.assertEqual('Sheet column', tRun.st.getRange(1, 5).getValue() + ',' + tRun.st.getRange(3, 5).getValue(),
+      'Location,' + tResults[0].location, 'gsid9');
+    pUnit.assertStrContains('JUnit line', tJUnit.output, 'file="' + tHere[0] + '" line="' + (tLine + 1) + '"', 'gsid10');
+    pUnit.assertEqual('No stack', fErrorLocation({ name: 'x' }), '', 'gsid11');
+  }
+} // gsunitIdentityTests
+
+function gsunitOrderTests(pTest, pUnit) {
+  let tRun;
+  let tOrder;
+  let tSummary;
+  pTest.beforeEach(function newRun() {
+    tRun = new RunTests({ name: 'GSUnitOrder', gsunit: new GsUnit({}), host: { app: new MemSpreadsheetApp() } });
+    tRun.showInConsole = false;
+    tRun.showToast = false;
+    tOrder = [];
+    tSummary = null;
+    let tReporter = new GsUnitReporter();
+    tReporter.testEnd = (pRun, pResult) => tOrder.push(pResult.name);
+    tReporter.summary = (pRun, pData) => tSummary = pData;
+    tRun.addReporter(tReporter);
+    for (let tSuite of ['defA', 'defB', 'defC']) {
+      tRun.addSuite(tSuite);
+      for (let i = 1; i <= 4; ++i)
+        tRun.addTest(() => { }, { id: tSuite + i });
+    }
+  });
+
+  pTest.addTest(testSeededRandom);
+  function testSeededRandom() {
+    let tFirst = fSeededRandom(42);
+    let tSecond = fSeededRandom(42);
+    let tList = [tFirst(), tFirst(), tFirst()];
+    pUnit.assertEqual('Same seed', [tSecond(), tSecond(), tSecond()].join(), tList.join(), 'gsor1');
+    pUnit.assertTrue('In range', tList.every(pN => pN >= 0 && pN < 1), 'gsor2');
+    pUnit.assertNotEqual('Other seed', fSeededRandom(43)(), tList[0], 'gsor3');
+    let tShuffled = fShuffle([1, 2, 3, 4, 5], fSeededRandom(7));
+    pUnit.assertEqual('Same items', tShuffled.slice().sort().join(), '1,2,3,4,5', 'gsor4');
+  }
+
+  pTest.addTest(testShuffle);
+  function testShuffle() {
+    tRun.shuffle = true;
+    tRun.seed = 12345;
+    tRun.runTests();
+    let tFirst = tOrder;
+    pUnit.assertEqual('Used seed', tRun.usedSeed, 12345, 'gsor5');
+    pUnit.assertEqual('All run', tFirst.slice().sort().join(), tRun._testList.map(pT => pT.id).sort().join(), 'gsor6');
+    pUnit.assertNotEqual('Shuffled', tFirst.join(), tRun._testList.map(pT => pT.id).join(), 'gsor7');
+    pUnit.assertTrue('Suites are kept together',
+      tFirst.every((pName, i) => i % 4 == 0 || pName.slice(0, 4) == tFirst[i - 1].slice(0, 4)), 'gsor8');
+    pUnit.assertStrContains('Seed in summary', tSummary.msg, 'Seed 12345', 'gsor9');
+
+    tOrder = [];
+    tRun.runTests();
+    pUnit.assertEqual('Same order', tOrder.join(), tFirst.join(), 'gsor10');
+    tOrder = [];
+    tRun.seed = 0;
+    tRun.runTests();
+    let tRandom = tOrder;
+    pUnit.assertTrue('Random seed', tRun.usedSeed > 0, 'gsor11');
+    tOrder = [];
+    tRun.seed = tRun.usedSeed;
+    tRun.runTests();
+    pUnit.assertEqual('Reproduced', tOrder.join(), tRandom.join(), 'gsor12');
+    tRun.shuffle = false;
+    tOrder = [];
+    tRun.runTests();
+    pUnit.assertEqual('Not shuffled', tOrder.join(), tRun._testList.map(pT => pT.id).join(), 'gsor13');
+    pUnit.assertFalse('No seed in summary', tSummary.msg.includes('Seed'), 'gsor14');
+  }
+
+  pTest.addTest(testShuffleCheckpoint);
+  function testShuffleCheckpoint() {
+    tRun.store = new MemStore();
+    tRun.shuffle = true;
+    tRun.seed = 42;
+    tRun.timeBudget = 1;
+    tRun.addSuite('defD');
+    tRun.addTest(() => _busy(3), { id: 'slow' });
+    tRun.runTests();
+    pUnit.assertTrue('Checkpoint', tRun.checkpointed, 'gsor24');
+    tRun.seed = 0;
+    while (tRun.checkpointed)
+      tRun.runTests();
+    let tResumed = tOrder;
+    tRun.store = null;
+    tRun.timeBudget = 0;
+    tRun.seed = 42;
+    tOrder = [];
+    tRun.runTests();
+    pUnit.assertEqual('Resumed with the same seed', tResumed.join(), tOrder.join(), 'gsor15');
+  }
+
+  pTest.addTest(testOrderCheck);
+  function testOrderCheck() {
+    let tShared = [];
+    tRun.addSuite('defD');
+    tRun.addTest(function testSetup() { tShared.push(1); });
+    tRun.addTest(function testUsesSetup() { tRun.gsunit.assertEqual('Setup ran', tShared.length > 0, true, 'x1'); });
+    tRun.orderCheck = true;
+    tRun.runTests();
+    pUnit.assertEqual('Reported once', tOrder.length, 14, 'gsor16');
+    pUnit.assertEqual('Reversed', tOrder.slice(0, 2).join(), 'testUsesSetup,testSetup', 'gsor17');
+    pUnit.assertEqual('Counts of the second run', tRun.pass + tRun.fail, 14, 'gsor18');
+    pUnit.assertEqual('Nothing order dependent', tRun.orderDependent.length, 0, 'gsor19');
+    pUnit.assertStrContains('Summary', tSummary.msg, 'Order dependent 0', 'gsor20');
+
+    // testUsesSetup only passes after testSetup
+    tOrder = [];
+    tRun.resetTests();
+    tRun.addSuite('defD');
+    tRun.addTest(function testSetup() { tShared = [1]; });
+    tRun.addTest(function testUsesSetup() {
+      let tLength = tShared.length;
+      tShared = [];
+      tRun.gsunit.assertEqual('Setup ran', tLength, 1, 'x1');
+    });
+    tRun.runTests();
+    pUnit.assertEqual('Order dependent', tRun.orderDependent.map(pItem => pItem.key + ' ' + pItem.first + ' ' + pItem.second).join(),
+      'defD/testUsesSetup Pass Fail', 'gsor21');
+    pUnit.assertTrue('A failure', tRun.hasFailures(), 'gsor22');
+    pUnit.assertStrContains('Listed', tSummary.msg, 'Order dependent 1 defD/testUsesSetup (Pass, then Fail)', 'gsor23');
+  }
+
+  // -----
+  function _busy(pMs) {
+    let tEnd = Date.now() + pMs;
+    while (Date.now() < tEnd);
+  }
+} // gsunitOrderTests
+
+function gsunitFixtureTests(pTest, pUnit) {
+  let tRun;
+  let tApp;
+  let tDrive;
+  pTest.beforeEach(function newRun() {
+    tDrive = new MemDriveApp();
+    tApp = new MemSpreadsheetApp(tDrive);
+    tRun = new RunTests({ name: 'GSUnitFixtures', gsunit: new GsUnit({}), host: { app: tApp, driveApp: tDrive } });
+    tRun.showInConsole = false;
+    tRun.showToast = false;
+  });
+
+  pTest.addTest(testFixtureCleanup);
+  function testFixtureCleanup() {
+    let tMade = [];
+    let tSuiteFolder;
+    let tSuiteKept = [];
+    tRun.addSuite('defFix');
+    tRun.beforeAll(function makeSuiteFolder() { tSuiteFolder = tRun.fixtureFolder('suite'); });
+    tRun.addTest(function testPass() { _makeAll(); });
+    tRun.addTest(function testFail() {
+      _makeAll();
+      tSuiteKept.push(tSuiteFolder.isTrashed());
+      tRun.gsunit.fail('Fixtures are removed anyway');
+    });
+    tRun.addTest(function testError() {
+      _makeAll();
+      null.x;
+    });
+    tRun.runTests();
+    pUnit.assertEqual('Made', tMade.length, 12, 'gsfx1');
+    pUnit.assertTrue('Names', tMade.every(pItem => pItem.getName().startsWith('gsunit-tmp-')), 'gsfx2');
+    pUnit.assertEqual('Unique names', new Set(tMade.map(pItem => pItem.getName())).size, 12, 'gsfx3');
+    pUnit.assertEqual('Suite fixture kept for the suite', tSuiteKept.join(), 'false', 'gsfx4');
+    pUnit.assertTrue('Suite fixture removed', tSuiteFolder.isTrashed(), 'gsfx5');
+    pUnit.assertEqual('Sheets deleted', tApp.getActiveSpreadsheet().getSheets()
+      .filter(pSheet => pSheet.getName().startsWith('gsunit-tmp-')).length, 0, 'gsfx6');
+    pUnit.assertFalse('Drive items trashed', tDrive.searchFiles("title contains 'gsunit-tmp-' and trashed = false").hasNext() ||
+      tDrive.searchFolders("title contains 'gsunit-tmp-' and trashed = false").hasNext(), 'gsfx7');
+    pUnit.assertEqual('Active sheet', tApp.getActiveSpreadsheet().getActiveSheet().getName(), 'GSUnitFixtures', 'gsfx8');
+
+    // -----
+    function _makeAll() {
+      tMade.push(tRun.fixtureSheet(), tRun.fixtureFolder('data'), tRun.fixtureFile('in.csv', 'a,b'));
+      let tSs = tRun.fixtureSpreadsheet();
+      tMade.push({ getName: () => tSs.getName() });
+      pUnit.assertEqual('Spreadsheet file', tDrive.getFileById(tSs.getId()).getName(), tSs.getName(), 'gsfx9');
+    }
+  }
+
+  pTest.addTest(testKeepFixtures);
+  function testKeepFixtures() {
+    let tWarn = pTest.stub(console, 'warn');
+    let tFolders = [];
+    tRun.keepFixtures = true;
+    tRun.addTest(function testPass() { tFolders.push(tRun.fixtureFolder('pass')); });
+    tRun.addTest(function testFail() {
+      tFolders.push(tRun.fixtureFolder('fail'));
+      tRun.gsunit.fail('Keep it');
+    });
+    tRun.runTests();
+    pUnit.assertEqual('Kept on failure', tFolders.map(pF => pF.isTrashed()).join(), 'true,false', 'gsfx10');
+    pUnit.assertEqual('Kept message', tWarn.calls.map(pCall => pCall.args[0]).join(),
+      'Kept the fixture: ' + tFolders[1].getName(), 'gsfx11');
+  }
+
+  pTest.addTest(testAddCleanup);
+  function testAddCleanup() {
+    let tLog = [];
+    let tWarn = pTest.stub(console, 'warn');
+    tRun.addTest(function testFail() {
+      tRun.addCleanup(() => tLog.push('first'));
+      tRun.addCleanup(() => { throw new Error('gone'); });
+      tRun.addCleanup(() => tLog.push('last'));
+      tRun.gsunit.fail('Clean up anyway');
+    });
+    tRun.addTest(function testNext() { tLog.push('next'); });
+    tRun.runTests();
+    pUnit.assertEqual('Reverse order', tLog.join(), 'last,first,next', 'gsfx12');
+    pUnit.assertEqual('Cleanup error', tWarn.calls[0].args[0], 'Cleanup failed: gone', 'gsfx13');
+    tRun = new RunTests({ name: 'GSUnitFixtures', gsunit: new GsUnit({}), host: { app: tApp, driveApp: null } });
+    pUnit.assertThrow('No driveApp', () => tRun.fixtureFolder(), 'gsfx14');
+  }
+
+  pTest.addTest(testSweepFixtures);
+  function testSweepFixtures() {
+    let tOld = 'gsunit-tmp-old-' + (Date.now() - 2 * 60 * 60 * 1000).toString(36) + '-1';
+    let tSs = tApp.getActiveSpreadsheet();
+    tSs.insertSheet(tOld);
+    tSs.insertSheet('gsunit-tmp-notes');
+    tDrive.createFolder(tOld);
+    tDrive.createFile(tOld + '.txt');
+    tDrive.createFile(tOld);
+    let tNew = tRun.fixtureName('new');
+    tDrive.createFolder(tNew);
+    let tHost = { app: tApp, driveApp: tDrive };
+    pUnit.assertEqual('Old ones', fSweepFixtures({ host: tHost }).join(), [tOld, tOld, tOld].join(), 'gsfx15');
+    pUnit.assertNull('Sheet deleted', tSs.getSheetByName(tOld), 'gsfx16');
+    pUnit.assertNotNull('Other sheet kept', tSs.getSheetByName('gsunit-tmp-notes'), 'gsfx17');
+    pUnit.assertEqual('Other file kept', tDrive.getFilesByName(tOld + '.txt').hasNext(), true, 'gsfx18');
+    pUnit.assertEqual('All', fSweepFixtures({ host: tHost, olderThan: 0 }).join(), tNew, 'gsfx19');
+  }
+} // gsunitFixtureTests
+
+function gsunitSheetAssertTests(pTest, pUnit) {
+  let tSs;
+  let tSheet;
+  let tUnit;
+  pTest.beforeEach(function newSheet() {
+    tSs = new MemSpreadsheet();
+    tSheet = tSs.insertSheet('Data');
+    tSheet.getRange('A1:C2').setValues([['Item', 'Count', 'When'], ['a', 3, new Date(0)]]);
+    tSheet.getRange('B3').setFormula('=SUM(B2:B2)');
+    tSheet.getRange('A1:C1').setBackground('#DDDDDD').setFontWeight('bold');
+    tSheet.getRange('B2').setNumberFormat('0.00');
+    tUnit = new GsUnit({ name: 'inner' });
+  });
+
+  pTest.addTest(testSheetAssertsPass);
+  function testSheetAssertsPass() {
+    tUnit.assertRangeValues('Values', tSheet.getRange('A1:C2'), [['Item', 'Count', 'When'], ['a', 3, new Date(0)]], 'in1');
+    tUnit.assertRangeFormulas('Formulas', tSheet.getRange('B2:B3'), [[''], ['=SUM(B2:B2)']], 'in2');
+    tUnit.assertRangeBackgrounds('Colors', tSheet.getRange('A1:C1'), '#dddddd', 'in3');
+    tUnit.assertRangeFontWeights('Weights', tSheet.getRange('A1:C2'), [['bold', 'bold', 'bold'], ['normal', 'normal', 'normal']], 'in4');
+    tUnit.assertRangeNumberFormats('Formats', tSheet.getRange('B2'), '0.00', 'in5');
+    tUnit.assertCellContains('Cell', tSheet.getRange('A1'), 'te', 'in6');
+    tUnit.assertSheetExists('Exists', tSs, 'Data', 'in7');
+    tUnit.assertSheetRows('Rows', tSheet, 3, 'in8');
+    pUnit.assertEqual('Counted', tUnit.numAsserts, 8, 'gssa1');
+  }
+
+  pTest.addTest(testSheetAssertsFail);
+  function testSheetAssertsFail() {
+    let tE = _fail(() => tUnit.assertRangeValues('Values', tSheet.getRange('A1:C2'),
+      [['Item', 'Total', 'When'], ['a', 4, new Date(0)]], 'in1'));
+    pUnit.assertEqual('Operator', tE.operator + ' ' + tE.code, 'RangeValues in1', 'gssa2');
+    pUnit.assertStrContains('All cells listed', tE.message,
+      '2 cells in Data!A1:C2 did not match. Values\nB1: expected "Total" got "Count"\nB2: expected 4 got 3', 'gssa3');
+    pUnit.assertEqual('Diffs', tE.diffs.length, 2, 'gssa4');
+    tE = _fail(() => tUnit.assertRangeValues('Size', tSheet.getRange('A1:B2'), [['Item']], 'in2'));
+    pUnit.assertStrContains('Size', tE.message, 'Expected is not a 2 x 2 array, the size of Data!A1:B2.', 'gssa5');
+    tE = _fail(() => tUnit.assertRangeFormulas('', tSheet.getRange('B3'), '=SUM(B2)', 'in3'));
+    pUnit.assertStrContains('Formula', tE.message, 'B3: expected "=SUM(B2)" got "=SUM(B2:B2)"', 'gssa6');
+    tE = _fail(() => tUnit.assertRangeBackgrounds('', tSheet.getRange('A1:A2'), '#dddddd', 'in4'));
+    pUnit.assertStrContains('Background', tE.message, '1 cell in Data!A1:A2 did not match.\nA2: expected "#dddddd" got "#ffffff"', 'gssa7');
+    tE = _fail(() => tUnit.assertRangeFontWeights('', tSheet.getRange('C1'), 'normal', 'in5'));
+    pUnit.assertStrContains('Weight', tE.message, 'C1: expected "normal" got "bold"', 'gssa8');
+    tE = _fail(() => tUnit.assertRangeNumberFormats('', tSheet.getRange('B2'), '0', 'in6'));
+    pUnit.assertStrContains('Format', tE.message, 'B2: expected "0" got "0.00"', 'gssa9');
+    tE = _fail(() => tUnit.assertCellContains('', tSheet.getRange('B2:C2'), '4', 'in7'));
+    pUnit.assertStrContains('Contains', tE.message, 'Data!B2 does not contain: "4"', 'gssa10');
+    tE = _fail(() => tUnit.assertSheetExists('', tSs, 'Totals', 'in8'));
+    pUnit.assertStrContains('Exists', tE.message, 'There is no sheet named "Totals". The sheets are: Sheet1, Data', 'gssa11');
+    tE = _fail(() => tUnit.assertSheetRows('', tSheet, 5, 'in9'));
+    pUnit.assertStrContains('Rows', tE.message, 'Expected 5 rows in Data, got 3.', 'gssa12');
+    tE = _fail(() => tUnit.assertRangeValues('', [['a']], [['a']], 'in10'));
+    pUnit.assertStrContains('Not a range', tE.message, 'Actual is not a range.', 'gssa13');
+  }
+
+  // -----
+  function _fail(pFun) {
+    try {
+      pFun();
+    } catch (e) {
+      return e;
+    }
+    pUnit.fail('Expected an AssertFail');
+  }
+} // gsunitSheetAssertTests
+
+function gsunitSheetWriterTests(pTest, pUnit) {
+  // RunTests with the old writer: one appendRow() and setBackground() for each row
+  class RowRun extends RunTests {
+    _appendResult(pRow, pColor) {
+      this.selectSheet('_appendResult');
+      this.st.appendRow(pRow);
+      let tRow = this.st.getLastRow();
+      this.st.getRange(tRow, 1, 1).setBackground(pColor);
+    }
+  }
+
+  pTest.addTest(testBatchedOutput);
+  function testBatchedOutput() {
+    let tOld = _run(RowRun, 50);
+    let tNew = _run(RunTests, 50);
+    pUnit.assertObjEqual('Same values', tNew.values, tOld.values, 'gssw1');
+    pUnit.assertObjEqual('Same colors', tNew.colors, tOld.colors, 'gssw2');
+    pUnit.assertEqual('Rows', tNew.values.length, 1 + 2 + 200 + 1 + 2 + 11, 'gssw3');
+    pUnit.assertTrue('Fewer calls: ' + tNew.counts.total + ' < ' + tOld.counts.total + ' / 10',
+      tNew.counts.total < tOld.counts.total / 10, 'gssw4');
+    pUnit.assertEqual('No appendRow', tNew.counts.appendRow, undefined, 'gssw5');
+    pUnit.assertTrue('Batched setValues', tNew.counts.setValues <= 8, 'gssw6');
+  }
+
+  pTest.addTest(testPeriodicFlush);
+  function testPeriodicFlush() {
+    let tSeen = [];
+    let tRun = _run(RunTests, 10, pRun => pRun.addTest(function testLast() { tSeen.push(pRun.st.getLastRow()); }));
+    pUnit.assertEqual('Written during the run', tSeen[0], 201, 'gssw7');
+    pUnit.assertEqual('Nothing left', tRun.run._rowBuffer.length, 0, 'gssw8');
+  }
+
+  pTest.addTest(testFlushOnThrow);
+  function testFlushOnThrow() {
+    let tRun;
+    let tReporter = new GsUnitReporter();
+    tReporter.suiteEnd = () => { throw new Error('Reporter broke'); };
+    pUnit.assertThrow('Run throws', () => _run(RunTests, 500, pRun => (tRun = pRun).addReporter(tReporter)),
+      'gssw9', { message: /Reporter broke/ });
+    pUnit.assertEqual('Rows written', tRun.st.getLastRow(), 1 + 1 + 100, 'gssw10');
+  }
+
+  // -----
+  function _run(pClass, pBatch, pMore = () => { }) {
+    let tCounts = {};
+    let tApp = fCountCalls(new MemSpreadsheetApp(), tCounts);
+    let tRun = new pClass({ name: 'GSUnitWriter', gsunit: new GsUnit({}), host: { app: tApp } });
+    tRun.showInConsole = false;
+    tRun.showToast = false;
+    tRun.showInSheet = true;
+    tRun.showPass = true;
+    tRun.sheetBatchSize = pBatch;
+    for (let tSuite of ['defA', 'defB']) {
+      tRun.addSuite(tSuite);
+      for (let i = 1; i <= 100; ++i)
+        tRun.addTest(i % 10 == 0 ? () => tRun.gsunit.fail('Fail ' + i, 'sw' + i) : () => { }, { id: 'test' + i });
+    }
+    pMore(tRun);
+    tRun.runTests();
+    let tSheet = tRun.st;
+    let tLast = tSheet.getLastRow();
+    return {
+      run: tRun,
+      counts: tCounts,
+      values: tSheet.getRange(1, 1, tLast, 5).getValues(),
+      colors: tSheet.getRange(1, 1, tLast, 1).getBackgrounds(),
+    };
+  }
+} // gsunitSheetWriterTests
+
+function gsunitThrowTests(pTest, pUnit) {
+  let tUnit;
+  pTest.beforeEach(function newUnit() {
+    tUnit = new GsUnit({ name: 'inner' });
+  });
+
+  pTest.addTest(testAssertThrow);
+  function testAssertThrow() {
+    let tE = _fail(() => tUnit.assertThrow('No throw', () => 3, 'in1'));
+    pUnit.assertEqual('Fails with no throw', tE.message, 'for Throw. Expected a throw. No throw [in1]', 'gsth1');
+    tE = tUnit.assertThrow('Throws', () => null.x, 'in2', { type: TypeError, name: 'TypeError', message: /null/ });
+    pUnit.assertEqual('Returns the error', tE.name, 'TypeError', 'gsth2');
+    tE = _fail(() => tUnit.assertThrow('Match', () => { throw new RangeError('Row -1'); }, 'in3',
+      { type: TypeError, name: 'TypeError', message: 'Row 1' }));
+    pUnit.assertEqual('Every mismatch', tE.diffs.join('|'), 'Expected an instance of TypeError, got RangeError|' +
+      'Expected the name TypeError, got RangeError|Expected the message "Row 1", got "Row -1"', 'gsth3');
+    tE = tUnit.assertThrow('Inner assert', () => tUnit.assertEqual('x', 1, 2, 'c1'), 'in4', { operator: 'Equal', code: 'c1' });
+    pUnit.assertEqual('AssertFail', tE.code, 'c1', 'gsth4');
+    tE = _fail(() => tUnit.assertThrow('Inner assert', () => tUnit.assertEqual('x', 1, 2, 'c1'), 'in5', { code: 'c2' }));
+    pUnit.assertEqual('Code', tE.diffs.join(), 'Expected the code c2, got c1', 'gsth5');
+    tE = _fail(() => tUnit.assertThrow('Not an AssertFail', () => { throw new Error('x'); }, 'in6', { operator: 'Equal' }));
+    pUnit.assertEqual('Not an AssertFail', tE.diffs.join(), 'Expected an AssertFail, got Error', 'gsth6');
+    pUnit.assertEqual('Counted', tUnit.numAsserts, 8, 'gsth7');
+  }
+
+  pTest.addTest(testAssertNotThrow);
+  function testAssertNotThrow() {
+    pUnit.assertEqual('Returns the value', tUnit.assertNotThrow('Value', () => 3, 'in1'), 3, 'gsth8');
+    let tE = _fail(() => tUnit.assertNotThrow('Throws', () => null.x, 'in2'));
+    pUnit.assertStrContains('Fails', tE.message, 'Expected no throw, got TypeError: Cannot read properties of null', 'gsth9');
+    pUnit.assertEqual('Operator', tE.operator, 'NotThrow', 'gsth10');
+  }
+
+  pTest.addTest(testAssertThrowAsync);
+  async function testAssertThrowAsync() {
+    let tE = await tUnit.assertThrowAsync('Reject', () => Promise.reject(new TypeError('bad')), 'in1', { type: TypeError });
+    pUnit.assertEqual('Returns the error', tE.message, 'bad', 'gsth11');
+    tE = await tUnit.assertThrowAsync('Reject', () => Promise.reject(new Error('bad')), 'in2', { message: /good/ })
+      .catch(pE => pE);
+    pUnit.assertEqual('Mismatch', tE.diffs.join(), 'Expected the message to match /good/, got "bad"', 'gsth12');
+  }
+
+  pTest.addTest(testAssertOutput);
+  function testAssertOutput() {
+    let tRun = new RunTests({ name: 'GSUnitThrow', gsunit: new GsUnit({}), host: { app: new MemSpreadsheetApp() } });
+    tRun.debug = true;
+    let tOut = tUnit.assertOutputContains('Debug', () => tRun.debugMsg('Start'), 'Debug: Start', 'in1');
+    pUnit.assertEqual('Lines', tOut.lines.map(pLine => pLine.stream + ' ' + pLine.text).join(), 'info Debug: Start', 'gsth13');
+    tRun.debug = false;
+    tUnit.assertOutputNotContains('No debug', () => tRun.debugMsg('Start'), 'Start', 'in2');
+    let tE = _fail(() => tUnit.assertOutputContains('Missing', () => console.warn('Low', { n: 1 }), /High/, 'in3'));
+    pUnit.assertStrContains('Output shown', tE.message, 'The output did not match /High/. The output was: Missing\nLow {"n":1}', 'gsth14');
+    tOut = fCaptureOutput(() => _fail(() =>
+      tUnit.assertOutputContains('Stream', () => console.info('Low'), 'Low', 'in4', { streams: ['error'] })), ['info']);
+    pUnit.assertEqual('Only the given streams', tOut.returned.actual + '/' + tOut.text, '/Low', 'gsth15');
+    let tLogger = pTest.useFake('Logger', { log: fSpy() });
+    tUnit.assertOutputContains('Logger', () => Logger.log('Saved %s', 3), 'Saved %s 3', 'in5');
+    pUnit.assertNotCalled('Not shown', tLogger.log, 'gsth16');
+
+    tRun.addTest(function testBad() { tRun.gsunit.fail('Bad'); });
+    tRun.showToast = false;
+    pTest.stub(console, 'time');
+    pTest.stub(console, 'timeEnd');
+    tUnit.assertOutputContains('Reporter', () => tRun.runTests(), /^Fail {2}testBad AssertFail: for Fail\. Bad/m, 'in6');
+  }
+
+  // -----
+  function _fail(pFun) {
+    try {
+      pFun();
+    } catch (e) {
+      return e;
+    }
+    pUnit.fail('Expected an AssertFail');
+  }
+} // gsunitThrowTests
+
+function gsunitPluginTests(pTest, pUnit) {
+  let tUnit;
+  pTest.beforeEach(function newUnit() {
+    tUnit = new GsUnit({ name: 'inner' });
+  });
+
+  pTest.addTest(testAddAssert);
+  function testAddAssert() {
+    let tCheck = pActual => typeof pActual !== 'string' ? 'Actual is not a string.' : /^\d{4}-\d{2}-\d{2}$/.test(pActual);
+    GsUnit.addAssert('IsoDate', tCheck, { message: pActual => 'Expected an ISO date, got "' + pActual + '".' });
+    pTest.addCleanup(() => GsUnit.removeAssert('IsoDate'));
+    GsUnit.addAssert('IsoDate', tCheck);
+    pUnit.assertThrow('Name in use', () => GsUnit.addAssert('IsoDate', () => true), 'gspl1',
+      { message: 'GsUnit.assertIsoDate is already defined.' });
+
+    tUnit.assertIsoDate('Created', '2024-01-31', 'in1');
+    tUnit.assertNotIsoDate('Raw', '31/01/2024', 'in2');
+    let tE = tUnit.assertThrow('', () => tUnit.assertIsoDate('Created', '31/01/2024', 'in3'));
+    pUnit.assertEqual('Message', tE.message, 'for IsoDate. Expected an ISO date, got "31/01/2024". Created [in3]', 'gspl2');
+    pUnit.assertEqual('Actual', tE.actual, '31/01/2024', 'gspl3');
+    tE = tUnit.assertThrow('', () => tUnit.assertNotIsoDate('', '2024-01-31', 'in4'));
+    pUnit.assertEqual('Negated', tE.message, 'for NotIsoDate. NotIsoDate failed for 2024-01-31. [in4]', 'gspl4');
+    tE = tUnit.assertThrow('', () => tUnit.assertNotIsoDate('Bad arg', 3, 'in5'));
+    pUnit.assertEqual('Not valid fails both', tE.message, 'for NotIsoDate. Actual is not a string. Bad arg [in5]', 'gspl5');
+    tUnit.showDefault = false;
+    tE = tUnit.assertThrow('', () => tUnit.assertIsoDate('Created', '', 'in6'));
+    pUnit.assertEqual('showDefault', tE.message, 'for IsoDate. Created [in6]', 'gspl6');
+    pUnit.assertEqual('Counted', tUnit.numAsserts, 10, 'gspl7');
+
+    tUnit.soft(() => {
+      tUnit.assertIsoDate('Soft 1', 'x', 'in7');
+      tUnit.assertIsoDate('Soft 2', 'y', 'in8');
+    });
+    pUnit.assertEqual('Soft mode', tUnit.takeSoftFails().map(pE => pE.code).join(), 'in7,in8', 'gspl8');
+
+    GsUnit.removeAssert('IsoDate');
+    pUnit.assertEqual('Removed', typeof tUnit.assertIsoDate + typeof tUnit.assertNotIsoDate, 'undefinedundefined', 'gspl9');
+  }
+
+  pTest.addTest(testAssertReported);
+  function testAssertReported() {
+    GsUnit.addAssert('Even', pN => pN % 2 == 0, { not: '' });
+    pTest.addCleanup(() => GsUnit.removeAssert('Even'));
+    let tRun = new RunTests({ name: 'GSUnitPlugin', gsunit: tUnit, host: { app: new MemSpreadsheetApp() } });
+    tRun.showInConsole = false;
+    tRun.showToast = false;
+    let tResults = [];
+    let tReporter = new GsUnitReporter();
+    tReporter.testEnd = (pRun, pResult) => tResults.push(pResult);
+    tRun.addReporter(tReporter);
+    let tHere = fErrorLocation(new Error('here')).split(':');
+    tRun.addTest(() => tUnit.assertEven('Odd', 3, 'ev1'));
+    tRun.runTests();
+    pUnit.assertEqual('Fail', tResults[0].status + ' ' + tResults[0].error.operator + ' ' + tResults[0].error.code,
+      'Fail Even ev1', 'gspl10');
+    pUnit.assertEqual('Location', tResults[0].location, tHere[0] + ':' + (Number(tHere[1]) + 1), 'gspl11');
+    pUnit.assertUndefined('No negated variant', tUnit.assertNotEven, 'gspl12');
+  }
+
+  pTest.addTest(testAssertPacks);
+  function testAssertPacks() {
+    for (let tPack of [GsUnitNumberAsserts, GsUnitMatchAsserts, GsUnitTypeAsserts, GsUnitArrayAsserts]) {
+      // Only the asserts added here are removed, not ones the caller had added
+      for (let tName of Object.keys(tPack).filter(pName => !(('assert' + pName) in GsUnit.prototype)))
+        pTest.addCleanup(() => GsUnit.removeAssert(tName));
+      GsUnit.addAsserts(tPack);
+    }
+    tUnit.assertGreater('', 3, 2, 'in1');
+    tUnit.assertGreaterOrEqual('', 3, 3, 'in2');
+    tUnit.assertLess('', 2, 3, 'in3');
+    tUnit.assertLessOrEqual('', 3, 3, 'in4');
+    tUnit.assertBetween('', 3, 1, 3, 'in5');
+    tUnit.assertNotBetween('', 4, 1, 3, 'in6');
+    tUnit.assertMatch('', 'abc', /b/, 'in7');
+    tUnit.assertNotMatch('', 'abc', /d/, 'in8');
+    tUnit.assertInstanceOf('', new TypeError('x'), Error, 'in9');
+    tUnit.assertNotInstanceOf('', {}, Error, 'in10');
+    tUnit.assertLength('', [1, 2], 2, 'in11');
+    tUnit.assertSubset('', [{ a: 1 }, 2], [2, 3, { a: 1 }], 'in12');
+    tUnit.assertNotSubset('', [4], [2, 3], 'in13');
+    tUnit.assertUnorderedEqual('', [1, [2], 1], [[2], 1, 1], 'in14');
+    pUnit.assertEqual('Counted', tUnit.numAsserts, 14, 'gspl13');
+
+    let tFails = [
+      () => tUnit.assertGreater('', 2, 3, 'in1'),
+      () => tUnit.assertBetween('', 4, 1, 3, 'in2'),
+      () => tUnit.assertLess('', '2', 3, 'in3'),
+      () => tUnit.assertMatch('', 'abc', /d/, 'in4'),
+      () => tUnit.assertInstanceOf('', [], Date, 'in5'),
+      () => tUnit.assertLength('', 'ab', 2, 'in6'),
+      () => tUnit.assertSubset('', [1, 4], [1, 2], 'in7'),
+      () => tUnit.assertUnorderedEqual('', [1, 1, 2], [1, 2, 3], 'in8'),
+    ];
+    let tMessages = tFails.map(pFun => tUnit.assertThrow('', pFun).message);
+    pUnit.assertObjEqual('Messages', tMessages, [
+      'for Greater. Expected 2 > 3. [in1]',
+      'for Between. Expected 4 to be between 1 and 3. [in2]',
+      'for Less. Actual is not a number: 2 [in3]',
+      'for Match. Expected "abc" to match /d/. [in4]',
+      'for InstanceOf. Expected an instance of Date, got Array. [in5]',
+      'for Length. Actual is not an array. [in6]',
+      'for Subset. These items are not in the expected list: [4] [in7]',
+      'for UnorderedEqual. The arrays do not have the same items.\nmissing: [3]\nextra: [1] [in8]',
+    ], 'gspl14');
+  }
+} // gsunitPluginTests
+
+function gsunitExpectTests(pTest, pUnit) {
+  let tUnit;
+  pTest.beforeEach(function newUnit() {
+    tUnit = new GsUnit({ name: 'inner' });
+  });
+
+  // -----
+  function _fail(pFun) {
+    let tE = pUnit.assertThrow('', pFun);
+    return [tE.message, tE.operator, tE.code];
+  }
+
+  pTest.addTest(testSameAsAsserts);
+  function testSameAsAsserts() {
+    let tOld = new GsUnit({ name: 'old' });
+    let tPairs = [
+      [() => tUnit.expect(3).withMessage('Size').withCode('in1').toBe('3'),
+        () => tOld.assertTypeEqual('Size', 3, '3', 'in1')],
+      [() => tUnit.expect(3).not.toBe(3),
+        () => tOld.assertNotTypeEqual('', 3, 3)],
+      [() => tUnit.expect('a').withCode('in2').toEqual('b'),
+        () => tOld.assertEqual('', 'a', 'b', 'in2')],
+      [() => tUnit.expect('a').not.toEqual('a'),
+        () => tOld.assertNotEqual('', 'a', 'a')],
+      [() => tUnit.expect({ a: [1, 2] }).withMessage('Obj').toEqual({ a: [1, 3] }),
+        () => tOld.assertObjEqual('Obj', { a: [1, 2] }, { a: [1, 3] })],
+      [() => tUnit.expect([1]).not.toEqual([1]),
+        () => tOld.assertNotObjEqual('', [1], [1])],
+      [() => tUnit.expect('abc').toContain('d'),
+        () => tOld.assertStrContains('', 'abc', 'd')],
+      [() => tUnit.expect('abc').not.toContain('b'),
+        () => tOld.assertStrNotContains('', 'abc', 'b')],
+      [() => tUnit.expect([1, 2]).toContain(3),
+        () => tOld.assertArrayContains('', [1, 2], 3)],
+      [() => tUnit.expect([1, 2]).not.toContain(2),
+        () => tOld.assertArrayNotContains('', [1, 2], 2)],
+      [() => tUnit.expect(1.5).withCode('in3').toBeCloseTo(1, 0.1),
+        () => tOld.assertRoughlyEqual('', 1.5, 1, 0.1, 'in3')],
+      [() => tUnit.expect(() => 1).toThrow(),
+        () => tOld.assertThrow('', () => 1)],
+      [() => tUnit.expect(() => { throw new Error('x'); }).not.toThrow(),
+        () => tOld.assertNotThrow('', () => { throw new Error('x'); })],
+    ];
+    pUnit.assertObjEqual('Same fails', tPairs.map(pPair => _fail(pPair[0])), tPairs.map(pPair => _fail(pPair[1])), 'gsxp1');
+    pUnit.assertEqual('Same count', tUnit.numAsserts, tOld.numAsserts, 'gsxp2');
+
+    tUnit.showDefault = false;
+    tOld.showDefault = false;
+    pUnit.assertObjEqual('showDefault', _fail(() => tUnit.expect(1).withMessage('One').toEqual(2)),
+      _fail(() => tOld.assertEqual('One', 1, 2)), 'gsxp3');
+    pUnit.assertEqual('Fields', tUnit.assertThrow('', () => tUnit.expect(1).withCode('in4').toEqual(2)).expected, 2, 'gsxp4');
+  }
+
+  pTest.addTest(testPasses);
+  function testPasses() {
+    tUnit.expect(null).toBe(null);
+    tUnit.expect(0).not.toBe('0');
+    tUnit.expect(0).toEqual('0');
+    tUnit.expect(new Date(0)).toEqual(new Date(0));
+    tUnit.expect({ a: 1 }).not.toEqual({ a: 2 });
+    tUnit.expect('abc').toContain('bc');
+    tUnit.expect(['1', 2]).toContain(1);
+    tUnit.expect([]).not.toContain(1);
+    tUnit.expect(1.05).toBeCloseTo(1, 0.1);
+    tUnit.expect(() => { throw new RangeError('Row -1'); }).toThrow(RangeError);
+    tUnit.expect(() => { throw new RangeError('Row -1'); }).toThrow(/-1/);
+    tUnit.expect(() => { throw new RangeError('Row -1'); }).toThrow('Row -1');
+    tUnit.expect(() => tUnit.fail('x', 'in1')).toThrow({ operator: 'Fail', code: 'in1' });
+    pUnit.assertEqual('Asserts', tUnit.numAsserts, 13, 'gsxp5');
+
+    let tE = tUnit.expect(() => { throw new TypeError('bad'); }).toThrow();
+    pUnit.assertEqual('toThrow returns the error', tE.message, 'bad', 'gsxp6');
+    pUnit.assertEqual('not.toThrow returns the value', tUnit.expect(() => 7).not.toThrow(), 7, 'gsxp7');
+    tE = _fail(() => tUnit.expect(() => { throw new TypeError('bad'); }).withCode('in2').toThrow(RangeError));
+    pUnit.assertEqual('Error class', tE.join('|'),
+      'for Throw. The thrown error did not match.\nExpected an instance of RangeError, got TypeError [in2]|Throw|in2', 'gsxp8');
+  }
+
+  pTest.addTest(testChain);
+  function testChain() {
+    let tExpect = tUnit.expect(2).withMessage('Two');
+    tExpect.not.toBe(3);
+    tExpect.toBe(2);
+    pUnit.assertFalse('not is a copy', tExpect.negate, 'gsxp9');
+    tUnit.expect(2).not.not.toBe(2);
+    pUnit.assertEqual('Any order', _fail(() => tUnit.expect(2).withCode('in1').not.withMessage('Two').toBe(2)).join('|'),
+      'for NotTypeEqual. Expected "2" to not exactly equal expected value. Two [in1]|NotTypeEqual|in1', 'gsxp10');
+    pUnit.assertThrow('not.toBeCloseTo', () => tUnit.expect(1).not.toBeCloseTo(1, 0), 'gsxp11',
+      { message: 'expect().not.toBeCloseTo() is not supported.' });
+    pUnit.assertThrow('not.toThrow arg', () => tUnit.expect(() => 1).not.toThrow(Error), 'gsxp12',
+      { name: 'Error', message: 'expect().not.toThrow() does not take an arg.' });
+  }
+
+  pTest.addTest(testSoftAndLocation);
+  function testSoftAndLocation() {
+    tUnit.codeSuffix = '-c1';
+    tUnit.soft(() => {
+      tUnit.expect(1).withCode('in1').toBe(2);
+      tUnit.expect('a').withCode('in2').not.toContain('a');
+    });
+    pUnit.assertEqual('Soft mode', tUnit.takeSoftFails().map(pE => pE.code).join(), 'in1-c1,in2-c1', 'gsxp13');
+    tUnit.codeSuffix = '';
+
+    let tHere = fErrorLocation(new Error('here')).split(':');
+    let tE = pUnit.assertThrow('', () => tUnit.expect([1]).toEqual([2]));
+    pUnit.assertEqual('Location', fErrorLocation(tE), tHere[0] + ':' + (Number(tHere[1]) + 1), 'gsxp14');
+  }
+} // gsunitExpectTests
+
+function gsunitNumberTests(pTest, pUnit) {
+  let tUnit;
+  pTest.beforeEach(function newUnit() {
+    tUnit = new GsUnit({ name: 'inner' });
+  });
+
+  // -----
+  function _message(pFun) {
+    return pUnit.assertThrow('', pFun).message;
+  }
+
+  pTest.addTest(testNaNAndFinite);
+  function testNaNAndFinite() {
+    tUnit.assertNaN('', NaN, 'in1');
+    tUnit.assertNaN('', 0 / 0, 'in2');
+    tUnit.assertNotNaN('', 1, 'in3');
+    tUnit.assertNotNaN('', 'abc', 'in4');
+    tUnit.assertFinite('', -2.5, 'in5');
+    tUnit.assertInfinite('', -1 / 0, 'in6');
+    pUnit.assertEqual('Counted', tUnit.numAsserts, 6, 'gsnm1');
+
+    pUnit.assertObjEqual('Fails', [
+      _message(() => tUnit.assertNaN('Ratio', 1, 'in1')),
+      _message(() => tUnit.assertNaN('', 'abc', 'in2')),
+      _message(() => tUnit.assertNotNaN('', NaN, 'in3')),
+      _message(() => tUnit.assertFinite('', Infinity, 'in4')),
+      _message(() => tUnit.assertFinite('', NaN, 'in5')),
+      _message(() => tUnit.assertFinite('', '12', 'in6')),
+      _message(() => tUnit.assertInfinite('', 1e308, 'in7')),
+    ], [
+      'for NaN. Expected actual to be NaN, got 1. Ratio [in1]',
+      'for NaN. Expected actual to be NaN, got "abc". [in2]',
+      'for NotNaN. Expected actual to not be NaN. [in3]',
+      'for Finite. Expected a finite number, got Infinity. [in4]',
+      'for Finite. Expected a finite number, got NaN. [in5]',
+      'for Finite. Expected a finite number, got "12". [in6]',
+      'for Infinite. Expected Infinity or -Infinity, got 1e+308. [in7]',
+    ], 'gsnm2');
+  }
+
+  pTest.addTest(testRoughlyEqual);
+  function testRoughlyEqual() {
+    tUnit.assertRoughlyEqual('Cents', 0.1 * 3, 0.3, 0.005, 'in1');
+    tUnit.assertRoughlyEqual('Abs', 1.04, 1, 0.05, 'in2');
+    tUnit.assertRoughlyEqual('Rel', 1000001, 1000000, { rel: 1e-6 }, 'in3');
+    tUnit.assertRoughlyEqual('Ulps', 0.1 + 0.2, 0.3, { ulps: 1 }, 'in4');
+    tUnit.assertRoughlyEqual('Any', 100.5, 100, { abs: 0.01, rel: 0.01 }, 'in5');
+    tUnit.assertRoughlyEqual('Default', 0.1 + 0.2, 0.3, undefined, 'in6');
+    tUnit.assertRoughlyEqual('Infinity', -Infinity, -Infinity, 0, 'in7');
+    tUnit.assertRoughlyEqual('Zero', -0, 0, 0, 'in8');
+    pUnit.assertEqual('Counted', tUnit.numAsserts, 8, 'gsnm3');
+
+    pUnit.assertObjEqual('Fails', [
+      _message(() => tUnit.assertRoughlyEqual('Total', 1.5, 1, 0.1, 'in1')),
+      _message(() => tUnit.assertRoughlyEqual('', 1.5, 1, { abs: 0.1, rel: 0.1, ulps: 2 }, 'in2')),
+      _message(() => tUnit.assertRoughlyEqual('', 0.1 + 0.2, 0.3, 0, 'in3')),
+      _message(() => tUnit.assertRoughlyEqual('', NaN, NaN, 1, 'in4')),
+      _message(() => tUnit.assertRoughlyEqual('', Infinity, 1e308, { rel: 1 }, 'in5')),
+      _message(() => tUnit.assertRoughlyEqual('', '1', 1, 1, 'in6')),
+      _message(() => tUnit.assertRoughlyEqual('', 1, '', 1, 'in7')),
+      _message(() => tUnit.assertRoughlyEqual('', 1, 1, { abs: NaN }, 'in8')),
+      _message(() => tUnit.assertRoughlyEqual('', 1, 1, { tol: 1 }, 'in9')),
+    ], [
+      'for RoughlyEqual. Expected 1, got 1.5. The difference 0.5 is more than the tolerance (abs 0.1). Total [in1]',
+      'for RoughlyEqual. Expected 1, got 1.5. The difference 0.5 (2251799813685248 ulps) is more than the tolerance' +
+      ' (abs 0.1, rel 0.1 = 0.15000000000000002, 2 ulps). [in2]',
+      'for RoughlyEqual. Expected 0.3, got 0.30000000000000004. The difference 5.551115123125783e-17 is more than' +
+      ' the tolerance (abs 0). [in3]',
+      'for RoughlyEqual. Expected NaN, got NaN. NaN is not close to any number. [in4]',
+      'for RoughlyEqual. Expected 1e+308, got Infinity. Infinity is only close to the same Infinity. [in5]',
+      'for RoughlyEqual. Actual is not a number: "1" [in6]',
+      'for RoughlyEqual. Expected is not a number: "" [in7]',
+      'for RoughlyEqual. The tolerance is not valid: {"abs":null} [in8]',
+      'for RoughlyEqual. The tolerance is not valid: {"tol":1} [in9]',
+    ], 'gsnm4');
+
+    pUnit.assertEqual('Ulps', fUlpDistance(0.1 + 0.2, 0.3), 1, 'gsnm5');
+    pUnit.assertEqual('Ulps across 0', fUlpDistance(-Number.MIN_VALUE, Number.MIN_VALUE), 2, 'gsnm6');
+    pUnit.assertNaN('Ulps NaN', fUlpDistance(NaN, 1), 'gsnm7');
+    pUnit.assertEqual('fNumDiff', fNumDiff(2, 2.5, { abs: 0.5 }), '', 'gsnm8');
+  }
+
+  pTest.addTest(testArrayRoughlyEqual);
+  function testArrayRoughlyEqual() {
+    tUnit.assertArrayRoughlyEqual('List', [0.1 * 3, 2], [0.3, 2.001], 0.005, 'in1');
+    tUnit.assertArrayRoughlyEqual('Grid', [[1, 2], [3, 4]], [[1.001, 2], [3, 3.999]], 0.005, 'in2');
+    tUnit.assertArrayRoughlyEqual('One value', [[0.5, 0.5000001]], 0.5, { rel: 1e-6 }, 'in3');
+    tUnit.expect([0.1 + 0.2]).toBeCloseTo([0.3], { ulps: 1 });
+    pUnit.assertEqual('Counted', tUnit.numAsserts, 4, 'gsnm9');
+
+    let tE = pUnit.assertThrow('', () => tUnit.assertArrayRoughlyEqual('Grid', [[1, 2], [3, 4]], [[1.1, 2], [3, 5]], 0.05, 'in4'));
+    pUnit.assertEqual('Grid', tE.message,
+      'for ArrayRoughlyEqual. 2 of 4 values are not close. Grid\n' +
+      '[0][0]: Expected 1.1, got 1. The difference 0.10000000000000009 is more than the tolerance (abs 0.05).\n' +
+      '[1][1]: Expected 5, got 4. The difference 1 is more than the tolerance (abs 0.05). [in4]', 'gsnm10');
+    pUnit.assertEqual('Diffs', tE.diffs.length, 2, 'gsnm11');
+
+    pUnit.assertObjEqual('Sizes', [
+      _message(() => tUnit.assertArrayRoughlyEqual('', [1, 2], [1], 0, 'in1')),
+      _message(() => tUnit.assertArrayRoughlyEqual('', [[1], [2, 3]], [[1], [2]], 0, 'in2')),
+      _message(() => tUnit.assertArrayRoughlyEqual('', [1, 2], [[1], 0], 0, 'in3')),
+      _message(() => tUnit.assertArrayRoughlyEqual('', 3, [3], 0, 'in4')),
+    ], [
+      'for ArrayRoughlyEqual. The sizes do not match.\nExpected 1 item, got 2. [in1]',
+      'for ArrayRoughlyEqual. The sizes do not match.\n[1]: Expected 1 item, got 2. [in2]',
+      'for ArrayRoughlyEqual. The sizes do not match. 1 of 1 value is not close.\n' +
+      '[0]: Expected 1 item, got 1.\n[1]: Expected 0, got 2. The difference 2 is more than the tolerance (abs 0). [in3]',
+      'for ArrayRoughlyEqual. Actual is not an array or a Range. [in4]',
+    ], 'gsnm12');
+
+    let tSheet = new MemSpreadsheet().insertSheet('Totals');
+    tSheet.getRange('C2:D3').setValues([[1.25, 2.5], ['', 4.3]]);
+    tUnit.assertArrayRoughlyEqual('Range', tSheet.getRange('C2:C2'), [[1.2501]], 0.001, 'in5');
+    tE = pUnit.assertThrow('', () => tUnit.assertArrayRoughlyEqual('Range', tSheet.getRange('C2:D3'),
+      [[1.25, 2.5], [0, 4.25]], 0.005, 'in6'));
+    pUnit.assertObjEqual('Range cells', tE.diffs, [
+      'C3: Actual is not a number: ""',
+      'D3: Expected 4.25, got 4.3. The difference 0.04999999999999982 is more than the tolerance (abs 0.005).',
+    ], 'gsnm13');
+  }
+} // gsunitNumberTests
+
+function gsunitPropertyTests(pTest, pUnit) {
+  let tUnit;
+  pTest.beforeEach(function newUnit() {
+    tUnit = new GsUnit({ name: 'inner' });
+  });
+
+  pTest.addTest(testGenerators);
+  function testGenerators() {
+    let tGens = [GsUnitGen.int(-5, 5), GsUnitGen.float(0, 1), GsUnitGen.bool(), GsUnitGen.oneOf('a', 'b'),
+      GsUnitGen.string({ chars: 'unicode', min: 1, max: 8 }), GsUnitGen.array(GsUnitGen.int(), { min: 2, max: 4 }),
+      GsUnitGen.object({ n: GsUnitGen.int(1, 3) }), GsUnitGen.date(new Date(0), new Date(1000)),
+      GsUnitGen.grid(GsUnitGen.cell(), { maxRows: 3, maxCols: 4 })];
+    let tFirst = tGens.map(pGen => pGen.generate(fSeededRandom(9)));
+    pUnit.assertObjEqual('Same seed, same values', tGens.map(pGen => pGen.generate(fSeededRandom(9))), tFirst, 'gspt1');
+
+    let tRandom = fSeededRandom(3);
+    let tBad = [];
+    let tAstral = false;
+    for (let i = 0; i < 200; ++i) {
+      let [tInt, tFloat, tBool, tOne, tStr, tList, tObj, tDate, tGrid] = tGens.map(pGen => pGen.generate(tRandom));
+      if (!Number.isInteger(tInt) || tInt < -5 || tInt > 5)
+        tBad.push('int ' + tInt);
+      if (tFloat < 0 || tFloat > 1)
+        tBad.push('float ' + tFloat);
+      if (typeof tBool !== 'boolean' || !['a', 'b'].includes(tOne))
+        tBad.push('bool, oneOf ' + tBool + tOne);
+      let tChars = Array.from(tStr);
+      if (tChars.length < 1 || tChars.length > 8 || tChars.some(pC => /[\uD800-\uDFFF]/.test(pC) && pC.length == 1))
+        tBad.push('string ' + JSON.stringify(tStr));
+      tAstral = tAstral || tStr.length > tChars.length;
+      if (tList.length < 2 || tList.length > 4 || tObj.n < 1 || tObj.n > 3)
+        tBad.push('array, object ' + tList.length + tObj.n);
+      if (!(tDate instanceof Date) || tDate.getTime() < 0 || tDate.getTime() > 1000)
+        tBad.push('date ' + tDate);
+      if (tGrid.length < 1 || tGrid.length > 3 || tGrid.some(pRow => pRow.length != tGrid[0].length || pRow.length > 4))
+        tBad.push('grid ' + JSON.stringify(tGrid));
+    }
+    pUnit.assertObjEqual('In range', tBad, [], 'gspt2');
+    pUnit.assertTrue('Unicode has emoji', tAstral, 'gspt3');
+    pUnit.assertEqual('Filter', GsUnitGen.int(0, 9).filter(pN => pN % 2 == 1).generate(tRandom) % 2, 1, 'gspt4');
+    pUnit.assertThrow('Filter fails', () => GsUnitGen.int(0, 9).filter(() => false).generate(tRandom), 'gspt5',
+      { message: 'GsUnitGenerator filter: no value was kept in 100 tries.' });
+  }
+
+  pTest.addTest(testShrink);
+  function testShrink() {
+    let tCheck = (pGens, pProperty) => fCheckProperty(pGens, pProperty, { seed: 5 });
+    let tResult = tCheck([GsUnitGen.int(0, 1000)], pN => pN < 50);
+    pUnit.assertObjEqual('Int', [tResult.ok, tResult.args, tResult.error.message], [false, [50], 'The property returned false.'], 'gspt6');
+    pUnit.assertTrue('Shrunk', tResult.shrinks > 0 && tResult.original[0] > 50, 'gspt7');
+    tResult = tCheck([GsUnitGen.string()], pS => !pS.includes('b'));
+    pUnit.assertObjEqual('String', tResult.args, ['b'], 'gspt8');
+    tResult = tCheck([GsUnitGen.array(GsUnitGen.int(0, 100))], pList => pList.reduce((a, b) => a + b, 0) < 100);
+    pUnit.assertObjEqual('Array', tResult.args, [[100]], 'gspt9');
+    tResult = tCheck([GsUnitGen.grid()], pGrid => pGrid.length * pGrid[0].length < 6);
+    pUnit.assertObjEqual('Grid', tResult.args, [[['', '', ''], ['', '', '']]], 'gspt10');
+    tResult = tCheck([GsUnitGen.object({ a: GsUnitGen.int(), s: GsUnitGen.string() })], pObj => pObj.a < 10 || pObj.s.length < 2);
+    pUnit.assertObjEqual('Object', tResult.args, [{ a: 10, s: 'aa' }], 'gspt11');
+    tResult = tCheck([GsUnitGen.date()], pDate => pDate.getUTCFullYear() < 2050);
+    pUnit.assertEqual('Date', tResult.args[0].toISOString(), '2050-01-01T00:00:00.000Z', 'gspt12');
+    tResult = tCheck([GsUnitGen.int(), GsUnitGen.int()], (a, b) => pUnit.assertTrue('', a <= b || a - b < 10));
+    pUnit.assertObjEqual('Two args', [tResult.args, tResult.error.name], [[10, 0], 'AssertFail'], 'gspt13');
+    tResult = tCheck(GsUnitGen.float(), pX => Math.round(pX) == pX);
+    pUnit.assertTrue('Float', Math.abs(tResult.args[0]) < 2 && !Number.isInteger(tResult.args[0]), 'gspt14');
+
+    let tCalls = 0;
+    let tFirst;
+    tResult = fCheckProperty([GsUnitGen.int(100, 1000)], pN => {
+      ++tCalls;
+      tFirst = tFirst === undefined ? pN : tFirst;
+      return pN !== tFirst;
+    }, { seed: 5, maxShrinks: 3 });
+    pUnit.assertEqual('maxShrinks', tCalls, 4, 'gspt15');
+    tCalls = 0;
+    tResult = fCheckProperty([new GsUnitGenerator(() => 1, function* (pV) { for (;;) yield pV; })],
+      () => ++tCalls < 0, { maxShrinks: 10 });
+    pUnit.assertObjEqual('Same value is not a shrink', [tCalls, tResult.shrinks], [1, 0], 'gspt33');
+    tCalls = 0;
+    tResult = fCheckProperty([new GsUnitGenerator(() => 100, pV => [pV - 1])], () => ++tCalls < 0, { maxShrinks: 5 });
+    pUnit.assertObjEqual('Every call counted', [tCalls, tResult.shrinks], [6, 5], 'gspt34');
+    tResult = fCheckProperty([GsUnitGen.int()], () => ++tCalls > 0, { runs: 20 });
+    pUnit.assertObjEqual('Passes', [tResult.ok, tResult.runs, tResult.seed > 0], [true, 20, true], 'gspt16');
+    pUnit.assertThrow('Async', () => fCheckProperty([GsUnitGen.int()], async () => true), 'gspt17',
+      { message: 'The property returned a Promise. Async properties are not supported.' });
+  }
+
+  pTest.addTest(testAssertProperty);
+  function testAssertProperty() {
+    let tResult = tUnit.assertProperty('Commutes', [GsUnitGen.int(), GsUnitGen.int()],
+      (a, b) => tUnit.assertEqual('', a + b, b + a), 'in1', { runs: 50 });
+    pUnit.assertEqual('Counted once', tUnit.numAsserts, 1, 'gspt18');
+    pUnit.assertEqual('Runs', tResult.runs, 50, 'gspt19');
+
+    let tE = pUnit.assertThrow('', () => tUnit.assertProperty('Split/join', [GsUnitGen.string({ chars: 'ab,' })],
+      pS => tUnit.assertEqual('Parts', pS.split(',').filter(pPart => pPart != '').join(','), pS), 'in2', { seed: 77 }));
+    pUnit.assertEqual('Message', tE.message.replace(/run \d+ of/, 'run N of').replace(/in \d+ steps, from: .*/, 'in N steps, from: X'),
+      'for Property. Failed on run N of 100, seed 77. Split/join\nCounterexample: ","\n' +
+      'Shrunk in N steps, from: X\nAssertFail: for Equal. Expected ","\ngot "". Parts [in2]', 'gspt20');
+    pUnit.assertObjEqual('Fields', [tE.operator, tE.code, tE.seed, tE.actual, tE.error.operator], ['Property', 'in2', 77, [','], 'Equal'], 'gspt21');
+    pUnit.assertEqual('Counted once', tUnit.numAsserts, 2, 'gspt22');
+    let tAgain = pUnit.assertThrow('', () => tUnit.assertProperty('', [GsUnitGen.string({ chars: 'ab,' })],
+      pS => pS.split(',').filter(pPart => pPart != '').join(',') == pS, 'in3', { seed: 77 }));
+    pUnit.assertObjEqual('Same seed, same values', tAgain.original, tE.original, 'gspt23');
+
+    tUnit.soft(() => tUnit.assertProperty('Soft', [GsUnitGen.int()], () => tUnit.fail('No'), 'in4'));
+    pUnit.assertEqual('Soft mode', tUnit.takeSoftFails().map(pE => pE.operator + ' ' + pE.code).join(), 'Property in4', 'gspt24');
+  }
+
+  pTest.addTest(testAddProperty);
+  function testAddProperty() {
+    let tRun = new RunTests({ name: 'GSUnitProperty', gsunit: tUnit, host: { app: new MemSpreadsheetApp() } });
+    tRun.showInConsole = false;
+    tRun.showToast = false;
+    let tResults = [];
+    let tReporter = new GsUnitReporter();
+    tReporter.testEnd = (pRun, pResult) => tResults.push(pResult);
+    tRun.addReporter(tReporter);
+    tRun.addProperty(function propAbs(pN) { tUnit.assertTrue('Positive', Math.abs(pN) >= 0, 'ab1'); }, [GsUnitGen.int()]);
+    tRun.addProperty(function propSmall(pN) { tUnit.assertTrue('Small', pN < 100, 'sm1'); }, [GsUnitGen.int()],
+      { code: 'sm', seed: 31, runs: 200, tags: ['slow'] });
+    tRun.seed = 12;
+    tRun.addProperty(pN => pN < 900, [GsUnitGen.int()]);
+    tRun.showInSheet = true;
+    tRun.runTests();
+    pUnit.assertEqual('Statuses', tResults.map(pResult => pResult.test.id + ' ' + pResult.status).join(),
+      'propAbs Pass,propSmall Fail,test3 Fail', 'gspt25');
+    pUnit.assertStrContains('Seed arg', tResults[1].error.message, 'seed 31.', 'gspt26');
+    pUnit.assertStrContains('Counterexample', tResults[1].error.message, '\nCounterexample: 100\n', 'gspt27');
+    pUnit.assertEqual('Code', tResults[1].error.code, 'sm', 'gspt28');
+    pUnit.assertEqual('Run seed', tResults[2].error.seed, 12, 'gspt29');
+    pUnit.assertEqual('Asserts', tRun.gsunit.numAsserts, 3, 'gspt30');
+    pUnit.assertObjEqual('addTest args', tResults[1].test.tags, ['slow'], 'gspt31');
+    let tValues = tRun.st.getDataRange().getValues();
+    pUnit.assertTrue('Sheet has the seed', tValues.some(pRow => pRow.some(pCell => String(pCell).includes('seed 31.'))), 'gspt32');
+  }
+} // gsunitPropertyTests
+
+// ======================================================================
+/* Run the tests with node.
+ *   node gsunit.js [-f file.js]... [--def defName]... [--run runName]...
+ *                  [--suite name]... [--tag tag]... [--test name]... [--code prefix]...
+ *                  [--shuffle] [--seed n] [--order-check]
+ * -f loads a script file (e.g. your tests) into the global scope, like Apps Script does.
+ * --def defName functions are run together with gsunitRunTest().
+ *   The --suite, --tag, --test, and --code args select which of the --def tests are run.
+ *   See RunTests.runTests() for the filter.
+ * --junit file.xml, --tap file.tap save the --def results in JUnit XML or TAP format.
+ *   Use "-" for stdout.
+ * --shuffle runs the --def tests in a random order. The seed is printed, and
+ *   --seed n runs that order again. --order-check runs the tests twice, in different
+ *   orders, and lists the tests with a different result. See RunTests.runTests()
+ * --run runName functions are called with no args. Return the RunTests object
+ *   (e.g. "return gsunitRunTest([...])") so its fail/err counts set the exit code.
+ * With no --def or --run, runGsUnitTestAll is run.
+ * The exit code is 1 if there were any Fail or Error results.
+ */
+
+/** ----------------------
+ * @function Parse the command line args and run the tests.
+ * @param {array} pArgv - process.argv.slice(2)
+ * @returns {Promise} resolves to the exit code
+ */
+async function gsunitCli(pArgv = []) {
+  const fs = require('fs');
+  const vm = require('vm');
+
+  Object.assign(globalThis, module.exports);
+  if (typeof globalThis.SpreadsheetApp === 'undefined')
+    globalThis.SpreadsheetApp = fGsUnitMemApp();
+
+  let tDef = [];
+  let tRun = [];
+  let tFilter = {};
+  let tReporters = [];
+  let tOptions = {};
+  let tToStdout = false;  // A report is written to stdout, so the console output goes to stderr
+  for (let i = 0; i < pArgv.length; ++i) {
+    let tArg = pArgv[i];
+    let tVal = pArgv[i + 1];
+    if (tArg == '--shuffle' || tArg == '--order-check') {
+      tOptions[tArg == '--shuffle' ? 'shuffle' : 'orderCheck'] = true;
+      continue;
+    }
+    if (['-f', '--def', '--run', '--suite', '--tag', '--test', '--code', '--junit', '--tap', '--seed'].includes(tArg) && tVal === undefined)
+      throw new Error('Missing value after ' + tArg);
+    if (tArg == '--seed') {
+      if (!/^\d+$/.test(tVal))
+        throw new Error('The --seed value must be a number: ' + tVal);
+      Object.assign(tOptions, { shuffle: true, seed: Number(tVal) });
+    } else if (['--suite', '--tag', '--test', '--code'].includes(tArg)) {
+      let tKey = tArg.slice(2);
+      tFilter[tKey] = (tFilter[tKey] || []).concat(tVal);
+    } else if (tArg == '--junit')
+      tReporters.push(new JUnitReporter({ write: _writer(tVal) }));
+    else if (tArg == '--tap')
+      tReporters.push(new TapReporter({ write: _writer(tVal) }));
+    else if (tArg == '-f')
+      vm.runInThisContext(fs.readFileSync(tVal, 'utf8'), { filename: tVal });
+    else if (tArg == '--def')
+      tDef.push(tVal);
+    else if (tArg == '--run')
+      tRun.push(tVal);
+    else
+      throw new Error('Unknown arg: ' + tArg);
+    ++i;
+  }
+  // The filter, reporters, and options are only used for the --def tests (or the self tests)
+  if (tDef.length == 0 && tRun.length > 0 &&
+    (tReporters.length > 0 || Object.keys(tFilter).length > 0 || Object.keys(tOptions).length > 0))
+    throw new Error('--junit, --tap, --suite, --tag, --test, --code, --shuffle, --seed, and --order-check need --def');
+  let tDefFuns = tDef.map(_getFun);
+  if (tDef.length == 0 && tRun.length == 0)
+    tDefFuns = gsunitTestAllDefs();
+  if (tToStdout)
+    globalThis.console = new console.Console(process.stderr, process.stderr);
+
+  let tResults = [];
+  if (tDefFuns.length > 0)
+    tResults.push(await gsunitRunTest(tDefFuns, tFilter, tReporters, tOptions));
+  for (let tName of tRun)
+    tResults.push(await _getFun(tName)());
+
+  let tExit = 0;
+  for (let tResult of tResults)
+    if (tResult instanceof RunTests && tResult.hasFailures())
+      tExit = 1;
+  return tExit;
+
+  // -----
+  function _getFun(pName) {
+    let tFun = globalThis[pName];
+    if (typeof tFun !== 'function')
+      throw new Error('Function not found: ' + pName);
+    return tFun;
+  }
+  // -----
+  function _writer(pFile) {
+    if (pFile == '-') {
+      tToStdout = true;
+      return pText => process.stdout.write(pText);
+    }
+    return pText => fs.writeFileSync(pFile, pText);
+  }
+} // gsunitCli
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    fDefaultArg, AssertFail, TestTimeout, fIsThenable, fSeededRandom, fShuffle, fObjDiff, fNumDiff, fUlpDistance, GsUnit,
+    GsUnitGenerator, GsUnitGen, fCheckProperty, fSoftFail, RunTests, fCompareRuns,
+    GsUnitExpect, GsUnitNumberAsserts, GsUnitMatchAsserts, GsUnitTypeAsserts, GsUnitArrayAsserts,
+    GsUnitReporter, ConsoleReporter, SheetReporter, ToastReporter, NotifyReporter, JUnitReporter, TapReporter, fShowValue,
+    fErrorLocation, fSweepFixtures, gsunitSweepFixtures,
+    PropertiesStore, MemStore, GsUnitScheduler, gsunitScheduledRun, ScriptAppTriggers, MemTriggers,
+    GsUnitExplorer, showGsUnitExplorer, gsunitExplorerList, gsunitExplorerRun,
+    fGsUnitHost, fGsUnitMemApp, MemSpreadsheetApp, MemSpreadsheet, MemSheet, MemRange, MemUi,
+    fColumnLetter, fSpy, fStub, fSpyOn, fCaptureOutput, fCountCalls, MemIterator, MemDriveItem, MemFolder, MemFile, MemDriveApp,
+    MemProperties, MemPropertiesService, MemMailApp, MemUrlFetchApp,
+    menuGsUnitTest, runGsUnitTestSheet, runGsUnitSmokeTest, runGsUnitTestAll, gsunitTestAllDefs, gsunitRunTest,
+    gsunitTestSheetUnit, gsunitSmokeTests, gsunitObjEqualTests, gsunitHookTests,
+    gsunitFilterTests, gsunitReporterTests, gsunitAsyncTests, gsunitCheckpointTests, gsunitFakeTests, gsunitSoftTests,
+    gsunitMarkerTests, gsunitDataTests, gsunitHistoryTests, gsunitNotifyTests, gsunitScheduleTests,
+    gsunitExplorerTests, gsunitIdentityTests, gsunitOrderTests, gsunitFixtureTests,
+    gsunitSheetAssertTests, gsunitSheetWriterTests, gsunitThrowTests, gsunitPluginTests, gsunitExpectTests, gsunitNumberTests, gsunitPropertyTests, gsunitCli,
+  };
+  if (require.main === module)
+    gsunitCli(process.argv.slice(2)).then(pExit => process.exitCode = pExit, pE => {
+      console.error(pE.stack);
+      process.exitCode = 2;
+    });
+}